@@ -0,0 +1,104 @@
+// __tests__/filter-query.test.js
+// The `q` filter language: lexing, precedence, field types and error messages
+
+import { describe, expect, it } from 'vitest';
+import { compileFilterQuery, applyFilterQuery, filterField } from '../lib/filter-query';
+
+const FIELDS = {
+  title: filterField.text('title'),
+  priority: filterField.enum('priority', ['high', 'medium', 'low']),
+  completed: filterField.boolean('completed'),
+  blocked: filterField.boolean('blocked', task => (task.blockedBy || []).length > 0),
+  due: filterField.date('dueDate'),
+  estimate: filterField.number('estimatedMinutes'),
+  tag: filterField.list('tags')
+};
+
+// Sunday 18 October 2026, 12:00 UTC
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+const TASKS = [
+  { id: 'call', title: 'Call mom', priority: 'high', completed: false, dueDate: '2026-10-18T15:00:00Z', estimatedMinutes: 15, tags: ['family'] },
+  { id: 'taxes', title: 'File taxes', priority: 'high', completed: false, dueDate: '2026-10-23T09:00:00Z', estimatedMinutes: 120, tags: ['admin'], blockedBy: ['w2'] },
+  { id: 'w2', title: 'Get W-2', priority: 'medium', completed: true, dueDate: '2026-10-10T09:00:00Z', tags: ['admin'] },
+  { id: 'plants', title: 'Water plants', priority: 'low', completed: false, dueDate: null, estimatedMinutes: 5, tags: [] }
+];
+
+function run(q, options = {}) {
+  const compiled = compileFilterQuery(q, FIELDS, { now: NOW, ...options });
+  if (compiled.error) throw new Error(compiled.error);
+  return applyFilterQuery(TASKS, compiled).map(task => task.id);
+}
+
+const errorOf = (q, options = {}) => compileFilterQuery(q, FIELDS, { now: NOW, ...options }).error;
+
+describe('compileFilterQuery', () => {
+  it('matches text, enums, booleans, numbers and lists', () => {
+    expect(run('title:mom')).toEqual(['call']);
+    expect(run('title="water plants"')).toEqual(['plants']);
+    expect(run('priority:high,medium')).toEqual(['call', 'taxes', 'w2']);
+    expect(run('priority!=high')).toEqual(['w2', 'plants']);
+    expect(run('completed:false')).toEqual(['call', 'taxes', 'plants']);
+    expect(run('estimate<=15')).toEqual(['call', 'plants']);
+    expect(run('tag:admin')).toEqual(['taxes', 'w2']);
+  });
+
+  it('treats a bare field as true or "has a value"', () => {
+    expect(run('completed')).toEqual(['w2']);
+    expect(run('blocked')).toEqual(['taxes']);
+    expect(run('NOT due')).toEqual(['plants']);
+    expect(run('tag')).toEqual(['call', 'taxes', 'w2']);
+  });
+
+  it('gives NOT precedence over AND, and AND over OR', () => {
+    expect(run('priority:low OR priority:high AND NOT blocked')).toEqual(['call', 'plants']);
+    expect(run('(priority:low OR priority:high) AND NOT blocked')).toEqual(['call', 'plants']);
+    expect(run('priority:high tag:family')).toEqual(['call']);
+    expect(run('NOT NOT completed')).toEqual(['w2']);
+  });
+
+  it('compares dates against durations and natural-language times', () => {
+    expect(run('due<1d')).toEqual(['call', 'w2']);
+    expect(run('due<-1d')).toEqual(['w2']);
+    expect(run('due>=1w')).toEqual([]);
+    expect(run('due<"next friday"')).toEqual(['call', 'w2']);
+    expect(run('due:today')).toEqual(['call']);
+    expect(run('due:2026-10-23')).toEqual(['taxes']);
+  });
+
+  it('matches calendar days in the given timezone', () => {
+    // 15:00 UTC on the 18th is already the 19th in Tokyo
+    expect(run('due:today', { timezone: 'Asia/Tokyo' })).toEqual([]);
+    expect(run('due:tomorrow', { timezone: 'Asia/Tokyo' })).toEqual(['call']);
+  });
+
+  it('splits top-level AND parts into separate stages', () => {
+    expect(compileFilterQuery('priority:high AND NOT completed tag:admin', FIELDS).filters).toHaveLength(3);
+    expect(compileFilterQuery('priority:high OR completed', FIELDS).filters).toHaveLength(1);
+    expect([...compileFilterQuery('priority:high due<1d', FIELDS).fieldsUsed]).toEqual(['priority', 'dueDate']);
+  });
+
+  it.each([
+    ['', 'Filter query (q) is empty'],
+    ['x'.repeat(501), 'at most 500 characters'],
+    ['owner:me', 'Unknown field: owner'],
+    ['priority:urgent', 'Invalid priority: urgent - must be one of: high, medium, low'],
+    ['completed:maybe', 'use true or false'],
+    ['estimate>lots', 'must be a number'],
+    ['title<b', 'Operator < is not supported for title'],
+    ['title:"call mom', 'Unterminated quote'],
+    ['(completed', 'Missing ) for ('],
+    ['completed AND', 'Query ends too early'],
+    ['completed)', 'Unexpected ")"'],
+    ['priority:', 'Missing value after priority:'],
+    ['due<bogus', 'Invalid date "bogus" - use e.g. 7d'],
+    ['due<next friday', 'Invalid date "next" - quote dates with spaces: due<"next friday"']
+  ])('reports %j', (q, message) => {
+    expect(errorOf(q)).toContain(message);
+  });
+
+  it('does not suggest quoting when the next word is a keyword or another filter', () => {
+    expect(errorOf('due<bogus AND completed')).toContain('use e.g. 7d');
+    expect(errorOf('due<bogus completed:true')).toContain('use e.g. 7d');
+  });
+});
@@ -0,0 +1,54 @@
+// __tests__/heap.test.js
+// Binary heap ordering used by the reminder scheduler and top-k sorting
+
+import { describe, expect, it } from 'vitest';
+import { Heap } from '../lib/heap';
+
+function drain(heap) {
+  const items = [];
+  while (heap.size > 0) items.push(heap.pop());
+  return items;
+}
+
+describe('Heap', () => {
+  it('pops numbers in ascending order by default', () => {
+    const heap = new Heap();
+    const values = [5, 3, 9, 1, 7, 3, 8, 2, 6, 0, 4];
+    for (const value of values) heap.push(value);
+
+    expect(heap.size).toBe(values.length);
+    expect(heap.peek()).toBe(0);
+    expect(drain(heap)).toEqual([...values].sort((a, b) => a - b));
+  });
+
+  it('orders by a custom compare function', () => {
+    const heap = new Heap((a, b) => b.due - a.due);
+    for (const due of [3, 10, 1, 7]) heap.push({ due });
+    expect(drain(heap).map(item => item.due)).toEqual([10, 7, 3, 1]);
+  });
+
+  it('stays ordered when pushes and pops interleave', () => {
+    const heap = new Heap();
+    const popped = [];
+    for (let i = 0; i < 50; i++) {
+      heap.push((i * 31) % 50);
+      if (i % 3 === 2) popped.push(heap.pop());
+    }
+    const rest = drain(heap);
+
+    expect(rest).toEqual([...rest].sort((a, b) => a - b));
+    expect([...popped, ...rest].sort((a, b) => a - b)).toEqual(Array.from({ length: 50 }, (_, i) => i));
+  });
+
+  it('returns undefined when empty and can be cleared', () => {
+    const heap = new Heap();
+    expect(heap.peek()).toBeUndefined();
+    expect(heap.pop()).toBeUndefined();
+
+    heap.push(1);
+    heap.push(2);
+    heap.clear();
+    expect(heap.size).toBe(0);
+    expect(heap.pop()).toBeUndefined();
+  });
+});
@@ -0,0 +1,197 @@
+// __tests__/journal.test.js
+// Crash recovery of the file journal: replay, torn tails, compaction and memory-only fallback
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { FileJournal } from '../lib/journal';
+
+let dataDir;
+const journals = [];
+
+function openJournal(options = {}) {
+  const journal = new FileJournal({ dataDir, ...options }).open();
+  journals.push(journal);
+  return journal;
+}
+
+function readJournalLines() {
+  return fs.readFileSync(path.join(dataDir, 'journal.log'), 'utf8').split('\n').filter(Boolean);
+}
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poke-brain-journal-'));
+});
+
+afterEach(() => {
+  for (const journal of journals.splice(0)) journal.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  vi.restoreAllMocks();
+});
+
+describe('FileJournal replay', () => {
+  it('restores sets, deletes and clears after a restart', () => {
+    const journal = openJournal();
+    const tasks = journal.collection('tasks');
+    const reminders = journal.collection('reminders');
+
+    tasks.set('a', { title: 'A' });
+    tasks.set('b', { title: 'B' });
+    tasks.delete('a');
+    reminders.set('r', { title: 'R' });
+    reminders.clear();
+    journal.close();
+
+    const reopened = openJournal();
+    expect([...reopened.collection('tasks').entries()]).toEqual([['b', { title: 'B' }]]);
+    expect(reopened.collection('reminders').size).toBe(0);
+  });
+
+  it('folds the replayed journal into a snapshot on open', () => {
+    const journal = openJournal();
+    journal.collection('tasks').set('a', { title: 'A' });
+    journal.close();
+
+    openJournal();
+    expect(fs.existsSync(path.join(dataDir, 'snapshot.json'))).toBe(true);
+    expect(readJournalLines()).toEqual([]);
+  });
+
+  it('drops a torn trailing line but keeps every complete entry', () => {
+    const journal = openJournal();
+    journal.collection('tasks').set('a', { title: 'A' });
+    journal.collection('tasks').set('b', { title: 'B' });
+    journal.close();
+
+    // The process died halfway through writing the next entry
+    fs.appendFileSync(path.join(dataDir, 'journal.log'), '{"seq":3,"op":"set","collection":"tasks","key":"c","val');
+
+    const reopened = openJournal();
+    const tasks = reopened.collection('tasks');
+    expect([...tasks.keys()]).toEqual(['a', 'b']);
+
+    // New writes continue on a clean line and survive the next restart
+    tasks.set('d', { title: 'D' });
+    reopened.close();
+    expect([...openJournal().collection('tasks').keys()]).toEqual(['a', 'b', 'd']);
+  });
+
+  it('skips an unreadable line in the middle and keeps replaying', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    fs.writeFileSync(path.join(dataDir, 'journal.log'), [
+      JSON.stringify({ seq: 1, op: 'set', collection: 'tasks', key: 'a', value: 1 }),
+      'not json',
+      JSON.stringify({ seq: 2, op: 'set', collection: 'tasks', key: 'b', value: 2 }),
+      ''
+    ].join('\n'));
+
+    const journal = openJournal();
+    expect([...journal.collection('tasks').entries()]).toEqual([['a', 1], ['b', 2]]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Skipping unreadable journal entry'));
+  });
+
+  it('continues the sequence after a restart', () => {
+    const journal = openJournal();
+    journal.collection('tasks').set('a', 1);
+    journal.close();
+
+    const reopened = openJournal({ compactEvery: 100 });
+    reopened.collection('tasks').set('b', 2);
+
+    const [line] = readJournalLines();
+    expect(JSON.parse(line).seq).toBe(2);
+  });
+});
+
+describe('FileJournal compaction', () => {
+  it('writes a snapshot and truncates the journal every compactEvery entries', () => {
+    const journal = openJournal({ compactEvery: 3 });
+    const tasks = journal.collection('tasks');
+
+    tasks.set('a', 1);
+    tasks.set('b', 2);
+    expect(readJournalLines()).toHaveLength(2);
+
+    tasks.set('c', 3);
+    expect(readJournalLines()).toEqual([]);
+
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dataDir, 'snapshot.json'), 'utf8'));
+    expect(snapshot.seq).toBe(3);
+    expect(snapshot.collections.tasks).toEqual([['a', 1], ['b', 2], ['c', 3]]);
+    expect(fs.existsSync(path.join(dataDir, 'snapshot.json.tmp'))).toBe(false);
+
+    tasks.delete('a');
+    journal.close();
+    expect([...openJournal().collection('tasks').entries()]).toEqual([['b', 2], ['c', 3]]);
+  });
+
+  it('ignores entries already in the snapshot when the crash hit before the journal was truncated', () => {
+    // Snapshot renamed into place, but the process died before ftruncate
+    fs.writeFileSync(path.join(dataDir, 'snapshot.json'), JSON.stringify({
+      seq: 2,
+      collections: { tasks: [['a', 'new']] }
+    }));
+    fs.writeFileSync(path.join(dataDir, 'journal.log'), [
+      JSON.stringify({ seq: 1, op: 'set', collection: 'tasks', key: 'a', value: 'old' }),
+      JSON.stringify({ seq: 2, op: 'set', collection: 'tasks', key: 'a', value: 'new' }),
+      JSON.stringify({ seq: 3, op: 'set', collection: 'tasks', key: 'b', value: 'later' }),
+      ''
+    ].join('\n'));
+
+    const tasks = openJournal().collection('tasks');
+    expect(tasks.get('a')).toBe('new');
+    expect(tasks.get('b')).toBe('later');
+  });
+
+  it('keeps the old snapshot when a compaction left only a temp file behind', () => {
+    const journal = openJournal();
+    journal.collection('tasks').set('a', 1);
+    journal.compact();
+    journal.close();
+
+    // Crash while writing the next snapshot - before the rename
+    fs.writeFileSync(path.join(dataDir, 'snapshot.json.tmp'), '{"seq":9,"collec');
+
+    expect(openJournal().collection('tasks').get('a')).toBe(1);
+  });
+});
+
+describe('FileJournal subscriptions and fallback', () => {
+  it('notifies subscribers after each write, but not during replay', () => {
+    const journal = openJournal();
+    journal.collection('tasks').set('a', 1);
+    journal.close();
+
+    const reopened = new FileJournal({ dataDir });
+    journals.push(reopened);
+    const changes = [];
+    reopened.collection('tasks').subscribe(change => changes.push(change));
+    reopened.open();
+    expect(changes).toEqual([]);
+
+    reopened.collection('tasks').set('b', 2);
+    reopened.collection('tasks').delete('b');
+    reopened.collection('tasks').delete('missing');
+    expect(changes).toEqual([{ op: 'set', key: 'b', value: 2 }, { op: 'delete', key: 'b' }]);
+  });
+
+  it('falls back to memory only when the data directory cannot be created', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const blocker = path.join(dataDir, 'file');
+    fs.writeFileSync(blocker, '');
+
+    const journal = new FileJournal({ dataDir: path.join(blocker, 'data') }).open();
+    journals.push(journal);
+
+    expect(journal.enabled).toBe(false);
+    journal.collection('tasks').set('a', 1);
+    expect(journal.collection('tasks').get('a')).toBe(1);
+  });
+
+  it('writes nothing when disabled', () => {
+    const journal = openJournal({ enabled: false });
+    journal.collection('tasks').set('a', 1);
+    expect(fs.readdirSync(dataDir)).toEqual([]);
+  });
+});
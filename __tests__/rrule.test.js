@@ -0,0 +1,125 @@
+// __tests__/rrule.test.js
+// RRULE parsing and occurrence expansion, including wall-clock time across DST changes
+
+import { describe, expect, it } from 'vitest';
+import { parseRRule, formatRRule, getOccurrences, getNextOccurrence, iterateOccurrences } from '../lib/rrule';
+import { getZonedParts } from '../lib/timezone';
+
+const iso = dates => dates.map(date => date.toISOString());
+
+// 'Mon 19:00' style labels in a timezone
+function local(dates, timezone) {
+  const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return dates.map(date => {
+    const p = getZonedParts(date, timezone);
+    const pad = n => String(n).padStart(2, '0');
+    return `${names[p.weekday]} ${p.month}/${p.day} ${pad(p.hour)}:${pad(p.minute)}`;
+  });
+}
+
+describe('parseRRule', () => {
+  it('parses every supported part', () => {
+    expect(parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO,-1FR;COUNT=5')).toEqual({
+      freq: 'MONTHLY',
+      interval: 2,
+      byDay: [{ weekday: 'MO', ordinal: 1 }, { weekday: 'FR', ordinal: -1 }],
+      count: 5,
+      until: null
+    });
+    expect(parseRRule('FREQ=DAILY;UNTIL=20261231').until.toISOString()).toBe('2026-12-31T23:59:59.000Z');
+  });
+
+  it.each([
+    ['', 'non-empty'],
+    ['INTERVAL=2', 'requires FREQ'],
+    ['FREQ=SECONDLY', 'Unsupported FREQ'],
+    ['FREQ=DAILY;INTERVAL=0', 'INTERVAL must be a positive integer'],
+    ['FREQ=DAILY;COUNT=2;UNTIL=20261231', 'both COUNT and UNTIL'],
+    ['FREQ=WEEKLY;BYDAY=1MO', 'only supported with FREQ=MONTHLY'],
+    ['FREQ=YEARLY;BYDAY=MO', 'not supported with FREQ=YEARLY'],
+    ['FREQ=MONTHLY;BYDAY=6MO', 'Invalid BYDAY ordinal'],
+    ['FREQ=DAILY;BYSETPOS=1', 'Unsupported RRULE part BYSETPOS']
+  ])('rejects %j', (input, message) => {
+    expect(() => parseRRule(input)).toThrow(message);
+  });
+
+  it('formats a rule back into its normalized form', () => {
+    expect(formatRRule(parseRRule('byday=mo,we;freq=weekly;interval=1'))).toBe('FREQ=WEEKLY;BYDAY=MO,WE');
+    expect(formatRRule(parseRRule('FREQ=DAILY;UNTIL=20261231T080000Z'))).toBe('FREQ=DAILY;UNTIL=20261231T080000Z');
+  });
+});
+
+describe('getOccurrences', () => {
+  it('starts with DTSTART and counts it towards COUNT', () => {
+    expect(iso(getOccurrences('FREQ=DAILY;INTERVAL=2;COUNT=3', '2026-10-20T09:30:00Z'))).toEqual([
+      '2026-10-20T09:30:00.000Z',
+      '2026-10-22T09:30:00.000Z',
+      '2026-10-24T09:30:00.000Z'
+    ]);
+  });
+
+  it('stops at UNTIL', () => {
+    expect(getOccurrences('FREQ=DAILY;UNTIL=20261022T090000Z', '2026-10-20T09:00:00Z')).toHaveLength(3);
+  });
+
+  it('expands weekly BYDAY on the local weekday, not the UTC one', () => {
+    // Monday 19:00 in Los Angeles is already Tuesday in UTC
+    const dates = getOccurrences('FREQ=WEEKLY;BYDAY=MO,WE,FR', '2026-10-20T02:00:00Z', {
+      limit: 5,
+      tzid: 'America/Los_Angeles'
+    });
+    expect(local(dates, 'America/Los_Angeles')).toEqual([
+      'Mon 10/19 19:00', 'Wed 10/21 19:00', 'Fri 10/23 19:00', 'Mon 10/26 19:00', 'Wed 10/28 19:00'
+    ]);
+  });
+
+  it('keeps the local time of day across a DST change', () => {
+    // Europe/Berlin leaves summer time on 25 October 2026
+    const dates = getOccurrences('FREQ=DAILY', '2026-10-23T06:00:00Z', { limit: 4, tzid: 'Europe/Berlin' });
+    expect(local(dates, 'Europe/Berlin')).toEqual(['Fri 10/23 08:00', 'Sat 10/24 08:00', 'Sun 10/25 08:00', 'Mon 10/26 08:00']);
+    expect(iso(dates).slice(2)).toEqual(['2026-10-25T07:00:00.000Z', '2026-10-26T07:00:00.000Z']);
+  });
+
+  it('repeats HOURLY rules in elapsed time', () => {
+    const dates = getOccurrences('FREQ=HOURLY;INTERVAL=12', '2026-10-24T18:00:00Z', { limit: 3, tzid: 'Europe/Berlin' });
+    expect(iso(dates)).toEqual(['2026-10-24T18:00:00.000Z', '2026-10-25T06:00:00.000Z', '2026-10-25T18:00:00.000Z']);
+  });
+
+  it('picks numbered weekdays within the month', () => {
+    const dates = getOccurrences('FREQ=MONTHLY;BYDAY=-1FR', '2026-10-30T17:00:00Z', { limit: 3, tzid: 'Europe/Berlin' });
+    expect(local(dates, 'Europe/Berlin')).toEqual(['Fri 10/30 18:00', 'Fri 11/27 18:00', 'Fri 12/25 18:00']);
+  });
+
+  it('skips months without the start day and non-leap years for 29 February', () => {
+    expect(iso(getOccurrences('FREQ=MONTHLY', '2026-01-31T09:00:00Z', { limit: 3 }))).toEqual([
+      '2026-01-31T09:00:00.000Z', '2026-03-31T09:00:00.000Z', '2026-05-31T09:00:00.000Z'
+    ]);
+    expect(iso(getOccurrences('FREQ=YEARLY', '2024-02-29T09:00:00Z', { limit: 2 }))).toEqual([
+      '2024-02-29T09:00:00.000Z', '2028-02-29T09:00:00.000Z'
+    ]);
+  });
+
+  it('jumps ahead to `after` with the same result as walking from DTSTART', () => {
+    const rule = 'FREQ=WEEKLY;INTERVAL=3;BYDAY=TU,SA';
+    const dtstart = '2026-01-06T07:15:00Z';
+    const after = new Date('2031-06-01T00:00:00Z');
+
+    const walked = [];
+    for (const occurrence of iterateOccurrences(rule, dtstart, null, 'Asia/Tokyo')) {
+      if (occurrence > after) walked.push(occurrence);
+      if (walked.length === 4) break;
+    }
+
+    expect(iso(getOccurrences(rule, dtstart, { after, limit: 4, tzid: 'Asia/Tokyo' }))).toEqual(iso(walked));
+  });
+
+  it('returns null from getNextOccurrence once the series has ended', () => {
+    expect(getNextOccurrence('FREQ=DAILY;COUNT=2', '2026-10-20T09:00:00Z', '2026-10-21T09:00:00Z')).toBeNull();
+    expect(getNextOccurrence('FREQ=DAILY;COUNT=2', '2026-10-20T09:00:00Z', '2026-10-20T09:00:00Z').toISOString())
+      .toBe('2026-10-21T09:00:00.000Z');
+  });
+
+  it('rejects an invalid DTSTART', () => {
+    expect(() => getOccurrences('FREQ=DAILY', 'not a date')).toThrow('Invalid DTSTART');
+  });
+});
@@ -0,0 +1,129 @@
+// __tests__/single-pass-filter.test.js
+// Lazy single-pass pipelines: operation order, bounded top-k sorting and early exit
+
+import { describe, expect, it } from 'vitest';
+import { singlePass, CommonFilters } from '../lib/single-pass-filter';
+
+const range = n => Array.from({ length: n }, (_, i) => i);
+
+// Deterministic pseudo-random scores with plenty of ties
+const TASKS = range(200).map(i => ({ id: i, score: (i * 37) % 23, done: i % 5 === 0 }));
+const byScoreDesc = (a, b) => b.score - a.score;
+
+// A source that records how many items were read from it
+function counted(items) {
+  const source = {
+    read: 0,
+    * [Symbol.iterator]() {
+      for (const item of items) {
+        source.read++;
+        yield item;
+      }
+    }
+  };
+  return source;
+}
+
+describe('singlePass', () => {
+  it('runs operations in the order they were added', () => {
+    expect(singlePass(range(10)).filter(n => n % 2 === 0).map(n => n * 10).execute()).toEqual([0, 20, 40, 60, 80]);
+    expect(singlePass(range(10)).limit(3).filter(n => n % 2 === 0).execute()).toEqual([0, 2]);
+    expect(singlePass(range(10)).filter(n => n % 2 === 0).limit(3).execute()).toEqual([0, 2, 4]);
+    expect(singlePass(range(10)).skip(2).limit(3).execute()).toEqual([2, 3, 4]);
+  });
+
+  it('flattens and de-duplicates', () => {
+    const result = singlePass([[1, 2], [2, 3], [3, 4]]).flatMap(pair => pair).distinct().execute();
+    expect(result).toEqual([1, 2, 3, 4]);
+    expect(singlePass(TASKS).distinct(task => task.score).count()).toBe(23);
+  });
+
+  it('keeps the true top k when a limit follows a sort', () => {
+    const expected = TASKS.filter(task => !task.done).sort(byScoreDesc).slice(0, 10);
+    const result = singlePass(TASKS).filter(task => !task.done).sort(byScoreDesc).limit(10).execute();
+    expect(result).toEqual(expected);
+  });
+
+  it('sorts stably - equal items keep their input order', () => {
+    const result = singlePass(TASKS).sort(byScoreDesc).limit(30).execute();
+    for (let i = 1; i < result.length; i++) {
+      if (result[i].score === result[i - 1].score) {
+        expect(result[i].id).toBeGreaterThan(result[i - 1].id);
+      }
+    }
+  });
+
+  it('pages through sorted results with skip and limit', () => {
+    const sorted = [...TASKS].sort(byScoreDesc);
+    expect(singlePass(TASKS).sort(byScoreDesc).skip(20).limit(5).execute()).toEqual(sorted.slice(20, 25));
+    expect(singlePass(TASKS).sort(byScoreDesc).map(task => task.id).skip(195).execute())
+      .toEqual(sorted.slice(195).map(task => task.id));
+    expect(singlePass(TASKS).sort(byScoreDesc).limit(0).execute()).toEqual([]);
+  });
+
+  it('stops reading the source once a limit is reached', () => {
+    const source = counted(range(1000));
+    expect(singlePass(source).filter(n => n % 3 === 0).limit(4).execute()).toEqual([0, 3, 6, 9]);
+    expect(source.read).toBe(10);
+  });
+
+  it('stops reading the source when iteration stops early', () => {
+    const source = counted(range(1000));
+    for (const n of singlePass(source).filter(n => n > 4)) {
+      expect(n).toBe(5);
+      break;
+    }
+    expect(source.read).toBe(6);
+
+    const again = counted(range(1000));
+    expect(singlePass(again).some(n => n === 2)).toBe(true);
+    expect(again.read).toBe(3);
+  });
+
+  it('reads the values of a Map, fresh on every run', () => {
+    const map = new Map([['a', 1], ['b', 2]]);
+    const processor = singlePass(map).map(n => n * 2);
+    expect(processor.execute()).toEqual([2, 4]);
+
+    map.set('c', 3);
+    expect(processor.execute()).toEqual([2, 4, 6]);
+  });
+
+  it('processes async sources with executeAsync', async () => {
+    async function* source() {
+      for (const task of TASKS) yield task;
+    }
+
+    const expected = singlePass(TASKS).filter(task => !task.done).sort(byScoreDesc).limit(5).execute();
+    expect(await singlePass(source()).filter(task => !task.done).sort(byScoreDesc).limit(5).executeAsync())
+      .toEqual(expected);
+    expect(await singlePass(source()).map(task => task.id).limit(3).executeAsync()).toEqual([0, 1, 2]);
+    expect(() => singlePass(source()).execute()).toThrow('Source is async');
+  });
+
+  it('reduces, counts, groups and checks results', () => {
+    const processor = singlePass(range(10)).filter(n => n > 5);
+    expect(processor.reduce((sum, n) => sum + n, 0)).toBe(30);
+    expect(processor.count()).toBe(4);
+    expect(processor.groupBy(n => n % 2)).toEqual(new Map([[0, [6, 8]], [1, [7, 9]]]));
+    expect(processor.some()).toBe(true);
+    expect(processor.every(n => n > 5)).toBe(true);
+    expect(processor.every()).toBe(false);
+    expect(singlePass(range(10)).filter(n => n >= 0).every()).toBe(true);
+  });
+});
+
+describe('CommonFilters', () => {
+  it('builds and combines predicates', () => {
+    const items = [{ a: 1 }, { a: 2, b: true }, null, { b: false }];
+    // Every filter() adds to the processor, so each check starts a new one
+    const present = () => singlePass(items).filter(CommonFilters.notNull);
+
+    expect(singlePass([0, 1, '', 'x', null]).filter(CommonFilters.truthy).execute()).toEqual([1, 'x']);
+    expect(present().filter(CommonFilters.propEquals('a', 2)).count()).toBe(1);
+    expect(present().filter(CommonFilters.hasProp('b')).count()).toBe(2);
+    expect(singlePass(items).filter(CommonFilters.and(CommonFilters.notNull, CommonFilters.hasProp('a'))).count()).toBe(2);
+    expect(present().filter(CommonFilters.or(CommonFilters.propEquals('a', 1), CommonFilters.propEquals('b', false))).count()).toBe(2);
+    expect(present().filter(CommonFilters.not(CommonFilters.hasProp('a'))).execute()).toEqual([{ b: false }]);
+  });
+});
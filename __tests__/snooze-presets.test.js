@@ -0,0 +1,141 @@
+// __tests__/snooze-presets.test.js
+// Snooze presets against working hours, durations, limits and settings validation
+
+import { describe, expect, it } from 'vitest';
+import {
+  resolveSnooze,
+  checkSnoozeLimit,
+  validateWorkingHours,
+  validateSnoozeLimits,
+  DEFAULT_WORKING_HOURS
+} from '../lib/snooze-presets';
+
+const BERLIN = 'Europe/Berlin';
+// Thursday 22 October 2026, 10:00 in Berlin (summer time, UTC+2)
+const THURSDAY = new Date('2026-10-22T08:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const snooze = (input, options = {}) => resolveSnooze(input, { timezone: BERLIN, now: THURSDAY, ...options });
+const at = (input, options) => snooze(input, options).iso;
+
+describe('resolveSnooze', () => {
+  it('resolves presets against the working hours', () => {
+    expect(at('15m')).toBe('2026-10-22T08:15:00.000Z');
+    expect(at('1h')).toBe('2026-10-22T09:00:00.000Z');
+    expect(at('after lunch')).toBe('2026-10-22T11:00:00.000Z');
+    expect(at('this evening')).toBe('2026-10-22T15:00:00.000Z');
+    expect(at('tomorrow morning')).toBe('2026-10-23T07:00:00.000Z');
+    expect(at('next workday')).toBe('2026-10-23T07:00:00.000Z');
+    expect(at('weekend')).toBe('2026-10-24T07:00:00.000Z');
+  });
+
+  it('uses custom working hours', () => {
+    const workingHours = { start: '07:30', lunchEnd: '12:00', end: '15:30', days: [0, 1, 2, 3] };
+    expect(at('this evening', { workingHours })).toBe('2026-10-22T13:30:00.000Z');
+    // Sunday to Wednesday: the weekend starts on Thursday - next week's, since today is one
+    expect(at('weekend', { workingHours })).toBe('2026-10-29T06:30:00.000Z');
+    expect(at('next workday', { workingHours })).toBe('2026-10-25T06:30:00.000Z');
+  });
+
+  it('moves to the next day once the time has passed', () => {
+    const afternoon = { now: new Date('2026-10-22T12:00:00Z') }; // 14:00 in Berlin
+    expect(at('after lunch', afternoon)).toBe('2026-10-23T11:00:00.000Z');
+
+    const evening = { now: new Date('2026-10-22T16:00:00Z') };
+    expect(() => snooze('this evening', evening)).toThrow('The working day is already over');
+  });
+
+  it('skips days off for the next workday, across the DST change', () => {
+    // Friday -> Monday 26 October, 09:00 winter time (UTC+1)
+    expect(at('next workday', { now: new Date('2026-10-23T08:00:00Z') })).toBe('2026-10-26T08:00:00.000Z');
+  });
+
+  it('has no weekend when every day is a working day', () => {
+    const workingHours = { ...DEFAULT_WORKING_HOURS, days: [0, 1, 2, 3, 4, 5, 6] };
+    expect(() => snooze('weekend', { workingHours })).toThrow('no weekend');
+  });
+
+  it('ignores case, hyphens and extra spaces in preset names', () => {
+    expect(snooze('  After-Lunch ').preset).toBe('after lunch');
+    expect(snooze('TOMORROW   morning').preset).toBe('tomorrow morning');
+  });
+
+  it.each([
+    ['45m', '45m', 45 * 60 * 1000],
+    ['2 hours', '2h', 2 * HOUR],
+    ['3 days', '3d', 72 * HOUR],
+    ['1w', '1w', 7 * 24 * HOUR],
+    ['2 weeks', '2w', 14 * 24 * HOUR],
+    ['1 wk', '1w', 7 * 24 * HOUR]
+  ])('reads the duration %j', (input, preset, ms) => {
+    const result = snooze(input);
+    expect(result.preset).toBe(preset);
+    expect(result.date.getTime() - THURSDAY.getTime()).toBe(ms);
+  });
+
+  it('falls back to natural-language times and dates', () => {
+    expect(snooze('monday at 8')).toMatchObject({ preset: null, iso: '2026-10-26T07:00:00.000Z' });
+    expect(snooze(new Date('2026-10-22T09:00:00Z'))).toMatchObject({ preset: null, relative: 'in 1 hour' });
+  });
+
+  it('rejects empty, unknown and past snoozes', () => {
+    expect(() => snooze('  ')).toThrow('Snooze time is required');
+    expect(() => snooze('whenever')).toThrow('Could not understand snooze "whenever" - use a preset');
+    expect(() => snooze('2026-10-21T09:00:00Z')).toThrow('Snooze time must be in the future');
+    expect(() => snooze(new Date('invalid'))).toThrow('Invalid snooze date');
+  });
+});
+
+describe('checkSnoozeLimit', () => {
+  it('allows snoozes within the limit for the importance level', () => {
+    expect(checkSnoozeLimit(new Date(THURSDAY.getTime() + 4 * HOUR), 'critical', undefined, THURSDAY)).toBeNull();
+    expect(checkSnoozeLimit(new Date(THURSDAY.getTime() + 1000 * HOUR), 'low', { low: null }, THURSDAY)).toBeNull();
+  });
+
+  it('describes the limit that was exceeded', () => {
+    expect(checkSnoozeLimit(new Date(THURSDAY.getTime() + 5 * HOUR), 'critical', undefined, THURSDAY)).toEqual({
+      importance: 'critical',
+      maxHours: 4,
+      latest: new Date(THURSDAY.getTime() + 4 * HOUR),
+      limit: '4 hours'
+    });
+    expect(checkSnoozeLimit(new Date(THURSDAY.getTime() + 100 * HOUR), 'unknown', undefined, THURSDAY))
+      .toMatchObject({ importance: 'medium', limit: '3 days' });
+  });
+});
+
+describe('validateWorkingHours', () => {
+  it('accepts a valid partial update', () => {
+    expect(validateWorkingHours({ end: '18:30', days: [1, 2, 3] })).toEqual([]);
+  });
+
+  it('checks the update merged with the current hours', () => {
+    expect(validateWorkingHours({ start: '14:00' })).toEqual(['Invalid workingHours: must run start < lunchEnd < end']);
+    expect(validateWorkingHours({ start: '14:00' }, { ...DEFAULT_WORKING_HOURS, lunchEnd: '15:00' })).toEqual([]);
+  });
+
+  it('reports every invalid field', () => {
+    expect(validateWorkingHours({ start: '9:00', days: [1, 1], lunch: '12:00' })).toEqual([
+      'Unknown workingHours field: lunch',
+      'Invalid workingHours.start: use a 24-hour "HH:MM" time',
+      'Invalid workingHours.days: a non-empty list of distinct weekdays, 0 (Sunday) to 6 (Saturday)'
+    ]);
+    expect(validateWorkingHours([])).toEqual(['workingHours must be an object']);
+  });
+});
+
+describe('validateSnoozeLimits', () => {
+  it('accepts hours and null per known level', () => {
+    expect(validateSnoozeLimits({ critical: 2, low: null })).toEqual([]);
+  });
+
+  it('rejects unknown levels and out-of-range hours', () => {
+    expect(validateSnoozeLimits({ urgent: 1, high: 0, medium: '24', low: 24 * 366 })).toEqual([
+      'Unknown snoozeLimits level: urgent - must be one of critical, high, medium, low',
+      'Invalid snoozeLimits.high: hours between 0 and 8760, or null for no limit',
+      'Invalid snoozeLimits.medium: hours between 0 and 8760, or null for no limit',
+      'Invalid snoozeLimits.low: hours between 0 and 8760, or null for no limit'
+    ]);
+    expect(validateSnoozeLimits(null)).toEqual(['snoozeLimits must be an object']);
+  });
+});
@@ -0,0 +1,110 @@
+// __tests__/time-parser.test.js
+// Natural-language time parsing in the user's timezone
+
+import { describe, expect, it } from 'vitest';
+import { parseTimeExpression, describeRelative } from '../lib/time-parser';
+
+const BERLIN = 'Europe/Berlin';
+// Sunday 18 October 2026, 15:00 in Berlin (summer time, UTC+2)
+const NOW = new Date('2026-10-18T13:00:00Z');
+
+const parse = (input, options = {}) => parseTimeExpression(input, { timezone: BERLIN, now: NOW, ...options });
+const at = (input, options) => parse(input, options).iso;
+
+describe('parseTimeExpression', () => {
+  it('reads ISO timestamps, and offset-less ones as wall-clock time', () => {
+    expect(at('2026-11-01T17:00:00Z')).toBe('2026-11-01T17:00:00.000Z');
+    expect(at('2026-11-01T17:00')).toBe('2026-11-01T16:00:00.000Z');
+    expect(at('2026-11-01')).toBe('2026-11-01T08:00:00.000Z');
+  });
+
+  it('adds minute and hour offsets to now', () => {
+    expect(at('in 20 minutes')).toBe('2026-10-18T13:20:00.000Z');
+    expect(at('in half an hour')).toBe('2026-10-18T13:30:00.000Z');
+    expect(at('in 2 and a half hours')).toBe('2026-10-18T15:30:00.000Z');
+  });
+
+  it('keeps the wall-clock time for day-sized offsets across DST', () => {
+    // Berlin switches to UTC+1 on 25 October
+    expect(parse('in 2 weeks').interpretation).toBe('Sunday, 1 November 2026 at 15:00 (Europe/Berlin)');
+    expect(at('3 days from now')).toBe('2026-10-21T13:00:00.000Z');
+    expect(parse('in a month').interpretation).toBe('Wednesday, 18 November 2026 at 15:00 (Europe/Berlin)');
+    expect(parse('in 2 weeks at 9am').interpretation).toBe('Sunday, 1 November 2026 at 09:00 (Europe/Berlin)');
+  });
+
+  it('resolves days and weekdays', () => {
+    expect(parse('tomorrow at 9').interpretation).toBe('Monday, 19 October 2026 at 09:00 (Europe/Berlin)');
+    expect(parse('friday').interpretation).toBe('Friday, 23 October 2026 at 09:00 (Europe/Berlin)');
+    expect(parse('next friday evening').interpretation).toBe('Friday, 23 October 2026 at 18:00 (Europe/Berlin)');
+    expect(parse('sunday 3pm').interpretation).toBe('Sunday, 25 October 2026 at 15:00 (Europe/Berlin)');
+    expect(parse('this sunday at 4pm').interpretation).toBe('Sunday, 18 October 2026 at 16:00 (Europe/Berlin)');
+    expect(parse('next week').interpretation).toBe('Monday, 19 October 2026 at 09:00 (Europe/Berlin)');
+  });
+
+  it('moves a time that already passed today to tomorrow', () => {
+    expect(parse('at 9').interpretation).toBe('Monday, 19 October 2026 at 09:00 (Europe/Berlin)');
+    expect(parse('at 3').interpretation).toBe('Monday, 19 October 2026 at 15:00 (Europe/Berlin)');
+    expect(parse('tonight').interpretation).toBe('Sunday, 18 October 2026 at 21:00 (Europe/Berlin)');
+  });
+
+  it('resolves calendar dates to their next occurrence', () => {
+    expect(parse('dec 5').interpretation).toBe('Saturday, 5 December 2026 at 09:00 (Europe/Berlin)');
+    expect(parse('5th of october').interpretation).toBe('Tuesday, 5 October 2027 at 09:00 (Europe/Berlin)');
+    expect(parse('december 5th 2028').interpretation).toBe('Tuesday, 5 December 2028 at 09:00 (Europe/Berlin)');
+  });
+
+  describe('end of day, week, month and year', () => {
+    it('is 17:00 on that day while it is still ahead', () => {
+      expect(parse('eod').interpretation).toBe('Sunday, 18 October 2026 at 17:00 (Europe/Berlin)');
+      expect(parse('end of week').interpretation).toBe('Friday, 23 October 2026 at 17:00 (Europe/Berlin)');
+      expect(parse('end of month').interpretation).toBe('Saturday, 31 October 2026 at 17:00 (Europe/Berlin)');
+      expect(parse('end of year').interpretation).toBe('Thursday, 31 December 2026 at 17:00 (Europe/Berlin)');
+    });
+
+    it('rolls forward once 17:00 has passed', () => {
+      const evening = { now: new Date('2026-10-18T18:00:00Z') }; // 20:00 in Berlin
+      expect(parse('end of day', evening).interpretation).toBe('Monday, 19 October 2026 at 17:00 (Europe/Berlin)');
+      expect(parse('end of day', evening).relative).toBe('in 21 hours');
+
+      const fridayEvening = { now: new Date('2026-10-23T18:00:00Z') };
+      expect(parse('end of week', fridayEvening).interpretation).toBe('Friday, 30 October 2026 at 17:00 (Europe/Berlin)');
+
+      const lastDayOfMonth = { now: new Date('2026-10-31T18:00:00Z') };
+      expect(parse('end of month', lastDayOfMonth).interpretation).toBe('Monday, 30 November 2026 at 17:00 (Europe/Berlin)');
+
+      const newYearsEve = { now: new Date('2026-12-31T18:00:00Z') };
+      expect(parse('end of year', newYearsEve).interpretation).toBe('Friday, 31 December 2027 at 17:00 (Europe/Berlin)');
+    });
+  });
+
+  it('ignores case, filler words and trailing punctuation', () => {
+    expect(at('By Tomorrow at 9!')).toBe(at('tomorrow at 9'));
+  });
+
+  it('throws for empty or unknown expressions', () => {
+    expect(() => parse('')).toThrow('Time expression is required');
+    expect(() => parse('whenever')).toThrow('Could not understand time "whenever"');
+    expect(() => parse('feb 30')).toThrow();
+  });
+
+  it('echoes the input, timezone and distance from now', () => {
+    expect(parse('in 20 minutes')).toMatchObject({
+      input: 'in 20 minutes',
+      timezone: BERLIN,
+      interpretation: 'Sunday, 18 October 2026 at 15:20 (Europe/Berlin)',
+      relative: 'in 20 minutes'
+    });
+  });
+});
+
+describe('describeRelative', () => {
+  it.each([
+    [0, 'now'],
+    [20 * 60 * 1000, 'in 20 minutes'],
+    [-60 * 60 * 1000, '1 hour ago'],
+    [30 * 60 * 60 * 1000, 'in 30 hours'],
+    [3 * 24 * 60 * 60 * 1000, 'in 3 days']
+  ])('%i ms reads %j', (delta, expected) => {
+    expect(describeRelative(delta)).toBe(expected);
+  });
+});
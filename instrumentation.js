@@ -0,0 +1,19 @@
+// instrumentation.js
+// Server boot hook for poke-brain (Next.js instrumentation)
+// Starts background subsystems as soon as the server is up, not on the first request
+
+export async function register() {
+  // The scheduler needs Node timers and the file system - skip the edge runtime
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { reminderScheduler } = await import('./lib/reminder-scheduler');
+    reminderScheduler.start();
+
+    // Never Forget stages escalate on time alone - recompute them as thresholds pass
+    const { neverForget } = await import('./lib/never-forget');
+    neverForget.watch();
+
+    // Items past the trash retention period are otherwise purged lazily on the next trash access
+    const { trash } = await import('./lib/trash');
+    trash.purgeExpired();
+  }
+}
@@ -0,0 +1,196 @@
+// lib/collection-index.js
+// Secondary indexes for storage collections
+// PERFORMANCE OPTIMIZED: Lookups, ranges and counts without scanning every record
+// Kept in sync through collection subscriptions, so every write path (API, trash, undo) updates them
+
+/**
+ * Hash index: value -> IDs of the records with that value
+ * The key function may return an array (e.g. tags) to index a record under several values.
+ */
+class ValueIndex {
+  /**
+   * @param {Function} keyFn - record => value or array of values
+   */
+  constructor(keyFn) {
+    this.keyFn = keyFn;
+    this.byValue = new Map();
+    // ID -> values the record is indexed under (records are mutated in place, so the old values must be kept)
+    this.byId = new Map();
+  }
+
+  /**
+   * Index a record (replaces its previous entry)
+   * Performance: O(v) - v = values of the record
+   */
+  add(id, record) {
+    this.remove(id);
+
+    const key = this.keyFn(record);
+    const values = Array.isArray(key) ? [...new Set(key)] : [key];
+
+    for (const value of values) {
+      if (!this.byValue.has(value)) this.byValue.set(value, new Set());
+      this.byValue.get(value).add(id);
+    }
+    this.byId.set(id, values);
+  }
+
+  /**
+   * Remove a record
+   * Performance: O(v)
+   */
+  remove(id) {
+    const values = this.byId.get(id);
+    if (!values) return;
+
+    for (const value of values) {
+      const ids = this.byValue.get(value);
+      ids.delete(id);
+      if (ids.size === 0) this.byValue.delete(value);
+    }
+    this.byId.delete(id);
+  }
+
+  /**
+   * Get the IDs of records with a value
+   * @param {*} value - Indexed value
+   * @returns {Set<string>} IDs (do not modify)
+   * Performance: O(1)
+   */
+  get(value) {
+    return this.byValue.get(value) || new Set();
+  }
+
+  /**
+   * Count records with a value
+   * @param {*} value - Indexed value
+   * @returns {number} Count
+   * Performance: O(1)
+   */
+  count(value) {
+    return this.byValue.has(value) ? this.byValue.get(value).size : 0;
+  }
+
+  clear() {
+    this.byValue.clear();
+    this.byId.clear();
+  }
+}
+
+/**
+ * Sorted index on a numeric key (e.g. a timestamp) for range queries
+ * Records whose key function returns null are left out.
+ */
+class SortedIndex {
+  /**
+   * @param {Function} keyFn - record => number, or null to leave the record out
+   */
+  constructor(keyFn) {
+    this.keyFn = keyFn;
+    // Sorted by key: [{ key, id }]
+    this.entries = [];
+    this.byId = new Map();
+  }
+
+  /**
+   * First position whose key is >= key (or > key with after = true)
+   * @private
+   */
+  _lowerBound(key, after = false) {
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      const entryKey = this.entries[mid].key;
+      if (entryKey < key || (after && entryKey === key)) low = mid + 1; else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * Index a record (replaces its previous entry)
+   * Performance: O(log n) search + O(n) array shift (memmove)
+   */
+  add(id, record) {
+    this.remove(id);
+
+    const key = this.keyFn(record);
+    if (key === null || key === undefined || isNaN(key)) return;
+
+    // After any equal keys - ties keep insertion order
+    this.entries.splice(this._lowerBound(key, true), 0, { key, id });
+    this.byId.set(id, key);
+  }
+
+  /**
+   * Remove a record
+   * Performance: O(log n) search + O(n) array shift
+   */
+  remove(id) {
+    if (!this.byId.has(id)) return;
+
+    const key = this.byId.get(id);
+    let index = this._lowerBound(key);
+    while (this.entries[index].id !== id) index++;
+
+    this.entries.splice(index, 1);
+    this.byId.delete(id);
+  }
+
+  /**
+   * Get IDs with from <= key < to, in key order
+   * @param {number} from - Lower bound (inclusive, default: -Infinity)
+   * @param {number} to - Upper bound (exclusive, default: Infinity)
+   * @returns {Array<string>} IDs
+   * Performance: O(log n + m) - m = matches
+   */
+  range(from = -Infinity, to = Infinity) {
+    const end = this._lowerBound(to);
+    const ids = [];
+    for (let index = this._lowerBound(from); index < end; index++) {
+      ids.push(this.entries[index].id);
+    }
+    return ids;
+  }
+
+  /**
+   * Count records with from <= key < to
+   * @returns {number} Count
+   * Performance: O(log n)
+   */
+  countRange(from = -Infinity, to = Infinity) {
+    return Math.max(0, this._lowerBound(to) - this._lowerBound(from));
+  }
+
+  clear() {
+    this.entries = [];
+    this.byId.clear();
+  }
+}
+
+/**
+ * Build indexes over a collection and keep them in sync with its writes
+ * @param {Map} collection - Storage collection (see lib/storage.js)
+ * @param {Array} indexes - ValueIndex / SortedIndex instances
+ * @returns {Function} Unsubscribe
+ * Performance: O(n) build, then O(log n) or O(v) per write
+ */
+function attachIndexes(collection, indexes) {
+  for (const [id, record] of collection) {
+    for (const index of indexes) index.add(id, record);
+  }
+
+  return collection.subscribe(({ op, key, value }) => {
+    for (const index of indexes) {
+      if (op === 'set') {
+        index.add(key, value);
+      } else if (op === 'delete') {
+        index.remove(key);
+      } else if (op === 'clear') {
+        index.clear();
+      }
+    }
+  });
+}
+
+export { ValueIndex, SortedIndex, attachIndexes };
@@ -1,43 +1,275 @@
 // lib/db.js
 // Simple in-memory database for poke-brain
 // PERFORMANCE OPTIMIZED: Map-based O(1) lookups
-// This can be easily replaced with a real database (PostgreSQL, MongoDB, etc.)
+// DURABLE: Collections come from the configured storage adapter (see lib/storage.js)
+// Swap the adapter (Map + journal, SQLite, ...) without touching this file or the API routes
 
 import { v4 as uuidv4 } from 'uuid';
+import { getStorage, COLLECTIONS } from './storage';
+import { parseRRule, formatRRule, iterateOccurrences, getNextOccurrence } from './rrule';
+import { trash } from './trash';
+import { revisions } from './revisions';
+import { getZonedParts, startOfDayInTimezone } from './timezone';
+import { applyBlockedState, validateBlockers, publishUnblocked } from './dependencies';
+import { sortValue } from './list-query';
+import { filterField } from './filter-query';
+import { ValueIndex, SortedIndex, attachIndexes } from './collection-index';
+
+/**
+ * Task views - open tasks grouped the way they get worked through
+ */
+const TASK_VIEWS = {
+  today: 'today',       // Due today (local calendar day)
+  overdue: 'overdue',   // Due date already passed
+  week: 'week',         // Due between today and the end of this week (Sunday)
+  noDate: 'no-date'     // No due date
+};
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Sort keys for task lists (see lib/list-query.js)
+ * priority sorts most important first; deadline is an alias for dueDate
+ */
+const TASK_SORT_KEYS = {
+  priority: sortValue.rank('priority', PRIORITY_RANK),
+  createdAt: sortValue.date('createdAt'),
+  updatedAt: sortValue.date('updatedAt'),
+  dueDate: sortValue.date('dueDate'),
+  deadline: sortValue.date('dueDate'),
+  startDate: sortValue.date('startDate'),
+  estimatedMinutes: sortValue.number('estimatedMinutes'),
+  title: sortValue.text('title')
+};
+
+/**
+ * Sort keys for reminder lists - priority sorts urgent reminders first
+ */
+const REMINDER_SORT_KEYS = {
+  priority: sortValue.rank('type', { urgent: 0, persistent: 1, gentle: 2 }),
+  remindAt: sortValue.date('remindAt'),
+  createdAt: sortValue.date('createdAt'),
+  title: sortValue.text('title')
+};
+
+/**
+ * Filterable fields for task queries (see lib/filter-query.js)
+ * due/start are aliases for dueDate/startDate
+ */
+const TASK_FILTER_FIELDS = {
+  title: filterField.text('title'),
+  description: filterField.text('description'),
+  priority: filterField.enum('priority', Object.keys(PRIORITY_RANK)),
+  tag: filterField.list('tags'),
+  tags: filterField.list('tags'),
+  completed: filterField.boolean('completed'),
+  blocked: filterField.boolean('blocked'),
+  subtask: filterField.boolean('parentId'),
+  due: filterField.date('dueDate'),
+  dueDate: filterField.date('dueDate'),
+  start: filterField.date('startDate'),
+  startDate: filterField.date('startDate'),
+  created: filterField.date('createdAt'),
+  updated: filterField.date('updatedAt'),
+  estimate: filterField.number('estimatedMinutes'),
+  estimatedMinutes: filterField.number('estimatedMinutes')
+};
+
+/**
+ * Filterable fields for reminder queries (see lib/filter-query.js)
+ */
+const REMINDER_FILTER_FIELDS = {
+  title: filterField.text('title'),
+  message: filterField.text('message'),
+  type: filterField.enum('type', ['gentle', 'persistent', 'urgent']),
+  triggered: filterField.boolean('triggered'),
+  acknowledged: filterField.boolean('acknowledged'),
+  recurring: filterField.boolean('recurrence'),
+  at: filterField.date('remindAt'),
+  remindAt: filterField.date('remindAt'),
+  created: filterField.date('createdAt'),
+  notifications: filterField.number('notificationCount'),
+  attached: filterField.boolean('attachedTo')
+};
+
+/**
+ * What happens to subtasks when their parent is deleted
+ */
+const DELETE_CASCADE = {
+  delete: 'delete',     // Subtasks go to the trash with the parent (restored with it)
+  promote: 'promote'    // Subtasks move up to the deleted task's parent
+};
+
+/**
+ * Delivery state of a reminder, for the status index
+ * @private
+ */
+function reminderStatus(reminder) {
+  if (reminder.resolvedAt) return 'resolved';
+  if (!reminder.triggered) return 'pending';
+  return reminder.acknowledged ? 'acknowledged' : 'unacknowledged';
+}
+
+/**
+ * Time value of an ISO date field (null if unset)
+ * @private
+ */
+function timeOf(value) {
+  return value ? Date.parse(value) : null;
+}
+
+/**
+ * Work order for scheduled tasks: earliest due first, then higher priority,
+ * then tasks that could already be started, then quick wins (shortest estimate)
+ * @private
+ */
+function compareByWorkOrder(a, b) {
+  const time = value => (value ? new Date(value).getTime() : Infinity);
+
+  return (time(a.dueDate) - time(b.dueDate)) ||
+    ((PRIORITY_RANK[a.priority] ?? 1) - (PRIORITY_RANK[b.priority] ?? 1)) ||
+    (time(a.startDate) - time(b.startDate)) ||
+    ((a.estimatedMinutes ?? Infinity) - (b.estimatedMinutes ?? Infinity)) ||
+    (new Date(a.createdAt) - new Date(b.createdAt));
+}
 
 class InMemoryDB {
-  constructor() {
-    // PERFORMANCE: Use Map instead of Array for O(1) lookups
-    this.tasksMap = new Map();
-    this.remindersMap = new Map();
+  /**
+   * @param {Object} storage - Storage adapter (default: configured shared adapter)
+   */
+  constructor(storage = getStorage()) {
+    // PERFORMANCE: Map-compatible collections for O(1) lookups
+    // Collections persist every set/delete, so mutated records must be re-set
+    this.tasksMap = storage.collection(COLLECTIONS.tasks);
+    this.remindersMap = storage.collection(COLLECTIONS.reminders);
+
+    // PERFORMANCE: Secondary indexes - queries and stats read only matching records
+    // Maintained on every write through collection subscriptions (see lib/collection-index.js)
+    this.taskIndexes = {
+      priority: new ValueIndex(task => task.priority),
+      completed: new ValueIndex(task => Boolean(task.completed)),
+      tags: new ValueIndex(task => (task.tags || []).map(tag => tag.toLowerCase())),
+      // Open tasks with a due date, by due date (views, overdue counts)
+      openDue: new SortedIndex(task => (task.completed ? null : timeOf(task.dueDate)))
+    };
+    this.reminderIndexes = {
+      type: new ValueIndex(reminder => reminder.type),
+      status: new ValueIndex(reminderStatus),
+      remindAt: new SortedIndex(reminder => timeOf(reminder.remindAt)),
+      // Task or Never Forget task each reminder is attached to
+      attachedTo: new ValueIndex(reminder => (reminder.attachedTo ? [reminder.attachedTo] : []))
+    };
+
+    attachIndexes(this.tasksMap, Object.values(this.taskIndexes));
+    attachIndexes(this.remindersMap, Object.values(this.reminderIndexes));
   }
 
   // ============ TASKS ============
 
   /**
    * Get all tasks
-   * @returns {Array} Array of task objects
+   * @returns {Array} Array of task objects (with computed blocked state)
    * Performance: O(n) - Must iterate all entries
    */
   getTasks() {
-    return Array.from(this.tasksMap.values());
+    return Array.from(this.tasksMap.values(), task => applyBlockedState(this.tasksMap, task));
   }
 
   /**
    * Get a single task by ID
    * @param {string} id - Task ID
-   * @returns {Object|null} Task object or null if not found
+   * @returns {Object|null} Task object (with computed blocked state) or null if not found
    * Performance: O(1) - Direct Map lookup (Previously O(n) with Array.find)
    */
   getTaskById(id) {
-    return this.tasksMap.get(id) || null;
+    const task = this.tasksMap.get(id);
+    return task ? applyBlockedState(this.tasksMap, task) : null;
+  }
+
+  /**
+   * Find tasks through the secondary indexes
+   * All given criteria must match; without criteria this is getTasks().
+   * @param {Object} criteria - Query criteria
+   * @param {string} criteria.priority - high|medium|low
+   * @param {boolean} criteria.completed - Completion status
+   * @param {string} criteria.tag - Tag (case-insensitive)
+   * @returns {Array} Matching tasks (with computed blocked state), oldest first
+   * Performance: O(m log m) - m = size of the smallest matching index entry
+   */
+  findTasks({ priority, completed, tag } = {}) {
+    const candidates = [];
+    if (priority !== undefined) candidates.push(this.taskIndexes.priority.get(priority));
+    if (completed !== undefined) candidates.push(this.taskIndexes.completed.get(Boolean(completed)));
+    if (tag !== undefined) candidates.push(this.taskIndexes.tags.get(String(tag).toLowerCase()));
+
+    if (candidates.length === 0) {
+      return this.getTasks();
+    }
+
+    // Walk the smallest set, check membership in the others
+    candidates.sort((a, b) => a.size - b.size);
+    const [smallest, ...others] = candidates;
+
+    const results = [];
+    for (const id of smallest) {
+      if (others.every(ids => ids.has(id))) {
+        results.push(applyBlockedState(this.tasksMap, this.tasksMap.get(id)));
+      }
+    }
+
+    return results.sort((a, b) => timeOf(a.createdAt) - timeOf(b.createdAt));
+  }
+
+  /**
+   * Get open tasks for a view, in work order
+   * Day boundaries are calendar days in the given timezone.
+   * @param {string} view - One of TASK_VIEWS
+   * @param {Object} options - View options
+   * @param {string} options.timezone - IANA timezone (default: UTC)
+   * @param {Date|number} options.now - Reference time (default: now)
+   * @returns {Array} Tasks in the view
+   * Performance: O(log n + m log m) - Due-date index range + sort (no-date: O(open tasks))
+   */
+  getTaskView(view, options = {}) {
+    const timezone = options.timezone || 'UTC';
+    const now = options.now ? new Date(options.now).getTime() : Date.now();
+
+    const todayStart = startOfDayInTimezone(now, timezone).getTime();
+    const tomorrowStart = startOfDayInTimezone(now, timezone, 1).getTime();
+    // Weeks run Monday-Sunday
+    const daysToMonday = (8 - getZonedParts(now, timezone).weekday) % 7 || 7;
+    const weekEnd = startOfDayInTimezone(now, timezone, daysToMonday).getTime();
+
+    const openDue = this.taskIndexes.openDue;
+    let ids;
+
+    switch (view) {
+      case TASK_VIEWS.today:
+        ids = openDue.range(todayStart, tomorrowStart);
+        break;
+      case TASK_VIEWS.overdue:
+        ids = openDue.range(-Infinity, now);
+        break;
+      case TASK_VIEWS.week:
+        ids = openDue.range(todayStart, weekEnd);
+        break;
+      case TASK_VIEWS.noDate:
+        ids = [...this.taskIndexes.completed.get(false)].filter(id => !this.tasksMap.get(id).dueDate);
+        break;
+      default:
+        throw new Error(`Unknown view: ${view}`);
+    }
+
+    return ids
+      .map(id => applyBlockedState(this.tasksMap, this.tasksMap.get(id)))
+      .sort(compareByWorkOrder);
   }
 
   /**
    * Create a new task
-   * @param {Object} taskData - Task data (title, description, priority)
+   * @param {Object} taskData - Task data (title, description, priority, tags, dueDate, startDate, estimatedMinutes, parentId, blockedBy)
    * @returns {Object} Created task object
-   * Performance: O(1) - Direct Map insertion
+   * Performance: O(1) - Direct Map insertion (+ O(n) completion roll-up for subtasks)
    */
   createTask(taskData) {
     const task = {
@@ -45,17 +277,38 @@ class InMemoryDB {
       title: taskData.title,
       description: taskData.description || '',
       priority: taskData.priority || 'medium',
+      tags: taskData.tags || [],
       completed: false,
+
+      // Scheduling (ISO strings / minutes, null when unset)
+      dueDate: taskData.dueDate || null,
+      startDate: taskData.startDate || null,
+      estimatedMinutes: taskData.estimatedMinutes ?? null,
+
+      // Hierarchy (null = top-level task)
+      parentId: taskData.parentId || null,
+
+      // Dependencies - IDs of tasks that must be completed first (see lib/dependencies.js)
+      blockedBy: taskData.blockedBy || [],
+
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
     this.tasksMap.set(task.id, task);
-    return task;
+    revisions.record(COLLECTIONS.tasks, null, task, 'create');
+
+    // A new open subtask re-opens a completed parent
+    this.rollUpCompletion(task.parentId);
+    return applyBlockedState(this.tasksMap, task);
   }
 
   /**
    * Update an existing task
+   * The change is recorded as a revision (see lib/revisions.js)
+   * Completion changes and moves roll up to the parent tasks
+   * Callers must check moves with wouldCreateCycle(), blockers with validateBlockers() and
+   * completion changes with validateCompletion() first
    * @param {string} id - Task ID
    * @param {Object} updates - Object containing fields to update
    * @returns {Object|null} Updated task or null if not found
@@ -68,26 +321,309 @@ class InMemoryDB {
       return null;
     }
 
+    const before = revisions.snapshot(task);
+
     // Update allowed fields
     if (updates.title !== undefined) task.title = updates.title;
     if (updates.description !== undefined) task.description = updates.description;
     if (updates.priority !== undefined) task.priority = updates.priority;
+    if (updates.tags !== undefined) task.tags = updates.tags;
     if (updates.completed !== undefined) task.completed = updates.completed;
+    if (updates.dueDate !== undefined) task.dueDate = updates.dueDate;
+    if (updates.startDate !== undefined) task.startDate = updates.startDate;
+    if (updates.estimatedMinutes !== undefined) task.estimatedMinutes = updates.estimatedMinutes;
+    if (updates.parentId !== undefined) task.parentId = updates.parentId;
+    if (updates.blockedBy !== undefined) task.blockedBy = updates.blockedBy;
     
     task.updatedAt = new Date().toISOString();
     
     this.tasksMap.set(id, task);
-    return task;
+    revisions.record(COLLECTIONS.tasks, before, task, 'update');
+
+    if (task.completed && !before.completed) {
+      publishUnblocked(this.tasksMap, COLLECTIONS.tasks, id);
+      this.resolveAttachedReminders(id);
+    }
+
+    if (task.completed !== before.completed || task.parentId !== before.parentId) {
+      this.rollUpCompletion(task.parentId);
+      if (before.parentId !== task.parentId) this.rollUpCompletion(before.parentId);
+    }
+    return applyBlockedState(this.tasksMap, task);
+  }
+
+  /**
+   * Revert the most recent change to a task
+   * @param {string} id - Task ID
+   * @returns {Object|null} { task, revision } or null if the task was not found
+   * @throws {Error} If there is nothing to undo
+   * Performance: O(r) - r = number of revisions
+   */
+  undoTaskChange(id) {
+    if (!this.tasksMap.has(id)) return null;
+
+    // Undo follows the same completion rule as updates
+    const pending = revisions.getHistory(id).find(revision => !revision.undone);
+    const completion = pending?.changes.find(change => change.field === 'completed');
+    if (completion && completion.from !== undefined && completion.from !== this.tasksMap.get(id).completed) {
+      const completionError = this.validateCompletion(id, completion.from);
+      if (completionError) {
+        throw new Error(`Cannot undo: ${completionError}`);
+      }
+    }
+
+    const { item: task, revision } = revisions.undo(COLLECTIONS.tasks, id);
+
+    for (const { field, from } of revision.changes) {
+      if (field === 'parentId') this.rollUpCompletion(from);
+      if (field === 'completed' && task.completed) {
+        publishUnblocked(this.tasksMap, COLLECTIONS.tasks, id);
+        this.resolveAttachedReminders(id);
+      }
+    }
+    this.rollUpCompletion(task.parentId);
+    return { task: applyBlockedState(this.tasksMap, task), revision };
+  }
+
+  /**
+   * Check a manual completion change against the task's subtasks
+   * A parent is completed exactly when all of its subtasks are (see rollUpCompletion),
+   * so it can only be completed or re-opened through them.
+   * @param {string} id - Task ID
+   * @param {boolean} completed - Proposed completion state
+   * @returns {string|null} Error message, or null if valid
+   * Performance: O(n) - Collects the subtasks
+   */
+  validateCompletion(id, completed) {
+    const children = this.getChildren(id);
+    if (children.length === 0) return null;
+
+    const open = children.filter(child => !child.completed).length;
+    if (completed && open > 0) {
+      return `Task has ${open} open subtask${open === 1 ? '' : 's'} - complete ${open === 1 ? 'it' : 'them'} first`;
+    }
+    if (!completed && open === 0) {
+      return 'All subtasks are completed - re-open one of them instead';
+    }
+    return null;
+  }
+
+  /**
+   * Check a proposed blockedBy list for a task (see lib/dependencies.js)
+   * @param {string|null} id - Task ID (null for a task about to be created)
+   * @param {*} blockedBy - Proposed blocker IDs
+   * @returns {string|null} Error message, or null if valid
+   * Performance: O(n) worst case - Cycle detection walk
+   */
+  validateBlockers(id, blockedBy) {
+    return validateBlockers(this.tasksMap, id, blockedBy);
+  }
+
+  /**
+   * Get the revision history of a task
+   * @param {string} id - Task ID
+   * @returns {Array} Revisions, newest first
+   * Performance: O(r) - r = number of revisions
+   */
+  getTaskHistory(id) {
+    return revisions.getHistory(id);
   }
 
   /**
-   * Delete a task
+   * Delete a task - soft delete, the task moves to the trash (see lib/trash.js)
    * @param {string} id - Task ID
-   * @returns {boolean} True if deleted, false if not found
-   * Performance: O(1) - Direct Map deletion (Previously O(n) with filter)
+   * @param {Object} options - Delete options
+   * @param {string} options.cascade - Subtask handling, one of DELETE_CASCADE (default: delete)
+   * @returns {Object|null} Trash entry (+ cascaded: affected subtask IDs) or null if not found
+   * Performance: O(1) for leaf tasks, O(n) with subtasks
+   */
+  deleteTask(id, options = {}) {
+    const task = this.tasksMap.get(id);
+    if (!task) return null;
+
+    const cascade = options.cascade || DELETE_CASCADE.delete;
+    let cascaded;
+
+    if (cascade === DELETE_CASCADE.promote) {
+      cascaded = this.getChildren(id).map(child => {
+        this.updateTask(child.id, { parentId: task.parentId });
+        return child.id;
+      });
+    } else if (cascade === DELETE_CASCADE.delete) {
+      cascaded = this.getDescendantIds(id);
+      for (const descendantId of cascaded) {
+        trash.moveToTrash(COLLECTIONS.tasks, descendantId, { deletedWith: id });
+      }
+    } else {
+      throw new Error(`Unknown cascade: ${cascade}`);
+    }
+
+    const entry = trash.moveToTrash(COLLECTIONS.tasks, id);
+    this.rollUpCompletion(task.parentId);
+    return { ...entry, cascaded };
+  }
+
+  // ============ TASK HIERARCHY ============
+
+  /**
+   * Get the direct subtasks of a task
+   * @param {string} id - Parent task ID
+   * @returns {Array} Subtasks in creation order
+   * Performance: O(n) - Must iterate all entries
    */
-  deleteTask(id) {
-    return this.tasksMap.delete(id);
+  getChildren(id) {
+    return this.getTasks().filter(task => task.parentId === id);
+  }
+
+  /**
+   * Get the IDs of all subtasks below a task, at any depth
+   * @param {string} id - Task ID
+   * @returns {Array<string>} Descendant IDs (breadth-first)
+   * Performance: O(n) - One pass to index children + O(d) walk
+   */
+  getDescendantIds(id) {
+    const childrenByParent = this._indexChildren(this.getTasks());
+    const seen = new Set([id]);
+    const ids = [];
+    const queue = [id];
+
+    while (queue.length > 0) {
+      for (const child of childrenByParent.get(queue.shift()) || []) {
+        if (seen.has(child.id)) continue; // Guards against corrupt cycles
+        seen.add(child.id);
+        ids.push(child.id);
+        queue.push(child.id);
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Check whether moving a task under a new parent would create a cycle
+   * @param {string} id - Task being moved
+   * @param {string|null} parentId - Proposed parent
+   * @returns {boolean} True if parentId is the task itself or one of its subtasks
+   * Performance: O(depth) - Walks up from the proposed parent
+   */
+  wouldCreateCycle(id, parentId) {
+    const seen = new Set();
+    let current = parentId;
+
+    while (current && !seen.has(current)) {
+      if (current === id) return true;
+      seen.add(current);
+      current = this.tasksMap.get(current)?.parentId;
+    }
+
+    return false;
+  }
+
+  /**
+   * Arrange tasks as a tree
+   * Tasks whose parent is not in the list (filtered out or deleted) become roots.
+   * @param {Array} tasks - Tasks to arrange (default: all tasks)
+   * @returns {Array} Root nodes: task fields + depth, progress and children
+   * Performance: O(n) - Index children once, then visit each task once
+   */
+  getTaskTree(tasks = this.getTasks()) {
+    const ids = new Set(tasks.map(task => task.id));
+    const childrenByParent = this._indexChildren(tasks);
+    const visited = new Set();
+
+    const build = (task, depth) => {
+      visited.add(task.id);
+      const children = (childrenByParent.get(task.id) || [])
+        .filter(child => !visited.has(child.id))
+        .map(child => build(child, depth + 1));
+
+      return {
+        ...task,
+        depth,
+        progress: {
+          completed: children.filter(child => child.completed).length,
+          total: children.length
+        },
+        children
+      };
+    };
+
+    return tasks
+      .filter(task => !task.parentId || !ids.has(task.parentId))
+      .map(task => build(task, 0));
+  }
+
+  /**
+   * Flatten tasks depth-first (parents before their subtasks)
+   * @param {Array} tasks - Tasks to flatten (default: all tasks)
+   * @returns {Array} Tasks with depth, path (ancestor IDs) and childCount
+   * Performance: O(n)
+   */
+  getFlattenedTasks(tasks = this.getTasks()) {
+    const results = [];
+
+    const visit = (node, path) => {
+      const { children, ...task } = node;
+      results.push({ ...task, path, childCount: children.length });
+      for (const child of children) {
+        visit(child, [...path, task.id]);
+      }
+    };
+
+    for (const root of this.getTaskTree(tasks)) {
+      visit(root, []);
+    }
+    return results;
+  }
+
+  /**
+   * Group tasks by parent ID
+   * @private
+   */
+  _indexChildren(tasks) {
+    const childrenByParent = new Map();
+    for (const task of tasks) {
+      if (!task.parentId) continue;
+      if (!childrenByParent.has(task.parentId)) childrenByParent.set(task.parentId, []);
+      childrenByParent.get(task.parentId).push(task);
+    }
+    return childrenByParent;
+  }
+
+  /**
+   * Roll completion up the hierarchy: a parent is completed exactly when all
+   * of its subtasks are. Walks up until a parent's state no longer changes.
+   * @param {string|null} parentId - Parent whose subtasks changed
+   * Performance: O(n) per level walked
+   */
+  rollUpCompletion(parentId) {
+    const seen = new Set();
+    let current = parentId;
+
+    while (current && !seen.has(current)) {
+      seen.add(current);
+      const parent = this.tasksMap.get(current);
+      if (!parent) return;
+
+      const children = this.getChildren(current);
+      if (children.length === 0) return;
+
+      const allCompleted = children.every(child => child.completed);
+      if (parent.completed === allCompleted) return;
+
+      const before = revisions.snapshot(parent);
+      parent.completed = allCompleted;
+      parent.updatedAt = new Date().toISOString();
+      this.tasksMap.set(current, parent);
+      revisions.record(COLLECTIONS.tasks, before, parent, 'rollup');
+
+      if (allCompleted) {
+        publishUnblocked(this.tasksMap, COLLECTIONS.tasks, current);
+        this.resolveAttachedReminders(current);
+      }
+
+      current = parent.parentId;
+    }
   }
 
   // ============ REMINDERS ============
@@ -111,13 +647,57 @@ class InMemoryDB {
     return this.remindersMap.get(id) || null;
   }
 
+  /**
+   * Find reminders through the secondary indexes
+   * @param {Object} criteria - Query criteria
+   * @param {string} criteria.type - gentle|persistent|urgent
+   * @param {Date|number} criteria.from - remindAt at or after (inclusive)
+   * @param {Date|number} criteria.to - remindAt at or before (inclusive)
+   * @returns {Array} Matching reminders, earliest remindAt first
+   * Performance: O(log n + m) with a time range, O(m log m) for a type alone
+   */
+  findReminders({ type, from, to } = {}) {
+    const typeIds = type !== undefined ? this.reminderIndexes.type.get(type) : null;
+
+    if (from === undefined && to === undefined) {
+      const reminders = typeIds
+        ? Array.from(typeIds, id => this.remindersMap.get(id))
+        : this.getReminders();
+      return reminders.sort((a, b) => timeOf(a.remindAt) - timeOf(b.remindAt));
+    }
+
+    const start = from !== undefined ? new Date(from).getTime() : -Infinity;
+    const end = to !== undefined ? new Date(to).getTime() + 1 : Infinity;
+
+    return this.reminderIndexes.remindAt.range(start, end)
+      .filter(id => !typeIds || typeIds.has(id))
+      .map(id => this.remindersMap.get(id));
+  }
+
   /**
    * Create a new reminder
-   * @param {Object} reminderData - Reminder data (title, message, remindAt, type)
+   * @param {Object} reminderData - Reminder data (title, message, remindAt, type, rrule, timezone, attachedTo)
+   *   timezone is the IANA timezone a recurring reminder repeats in (default: UTC)
    * @returns {Object} Created reminder object
    * Performance: O(1) - Direct Map insertion
    */
   createReminder(reminderData) {
+    let recurrence = null;
+    if (reminderData.rrule) {
+      const rrule = formatRRule(parseRRule(reminderData.rrule));
+      const tzid = reminderData.timezone || 'UTC';
+      const nextOccurrence = getNextOccurrence(rrule, reminderData.remindAt, reminderData.remindAt, tzid);
+
+      recurrence = {
+        rrule,
+        dtstart: reminderData.remindAt,
+        tzid,
+        completedOccurrences: 0,
+        nextOccurrenceAt: nextOccurrence ? nextOccurrence.toISOString() : null,
+        ended: false
+      };
+    }
+
     const reminder = {
       id: uuidv4(),
       title: reminderData.title,
@@ -125,7 +705,26 @@ class InMemoryDB {
       remindAt: reminderData.remindAt,
       type: reminderData.type || 'gentle',
       triggered: false,
-      createdAt: new Date().toISOString()
+      createdAt: new Date().toISOString(),
+
+      // Delivery tracking (see lib/reminder-policies.js)
+      acknowledged: false,
+      acknowledgedAt: null,
+      notificationCount: 0,
+      lastNotifiedAt: null,
+      nextNotificationAt: null,
+      escalationLevel: 0,
+
+      // Snooze tracking (see lib/snooze-presets.js)
+      snoozedUntil: null,
+      snoozeCount: 0,
+
+      // Task or Never Forget task this reminder is about (see lib/item-links.js)
+      attachedTo: reminderData.attachedTo || null,
+      resolvedAt: null, // Set when completing that item stopped the reminder
+
+      // Recurrence (null for one-off reminders)
+      recurrence
     };
 
     this.remindersMap.set(reminder.id, reminder);
@@ -133,13 +732,74 @@ class InMemoryDB {
   }
 
   /**
-   * Delete a reminder
+   * Attach a reminder to a task or Never Forget task, or detach it
+   * Callers must check the item with validateAttachment() (lib/item-links.js) first
    * @param {string} id - Reminder ID
-   * @returns {boolean} True if deleted, false if not found
+   * @param {string|null} itemId - Item ID (null = detach)
+   * @returns {Object|null} Updated reminder or null if not found
+   * Performance: O(1) - Direct Map lookup and update
+   */
+  attachReminder(id, itemId) {
+    const reminder = this.remindersMap.get(id);
+    if (!reminder) return null;
+
+    reminder.attachedTo = itemId || null;
+    this.remindersMap.set(id, reminder);
+    return reminder;
+  }
+
+  /**
+   * Get the reminders attached to a task or Never Forget task
+   * @param {string} itemId - Item ID
+   * @returns {Array} Reminders, earliest remindAt first
+   * Performance: O(m log m) - m = attached reminders
+   */
+  getAttachedReminders(itemId) {
+    return Array.from(this.reminderIndexes.attachedTo.get(itemId), id => this.remindersMap.get(id))
+      .sort((a, b) => timeOf(a.remindAt) - timeOf(b.remindAt));
+  }
+
+  /**
+   * Resolve the reminders attached to an item that was just completed
+   * Each one still pending or unacknowledged is acknowledged and stops for good -
+   * recurring ones end their series. The scheduler drops them when they come due.
+   * @param {string} itemId - Completed task or Never Forget task
+   * @returns {Array} Reminders that were resolved
+   * Performance: O(m) - m = attached reminders
+   */
+  resolveAttachedReminders(itemId) {
+    const now = new Date().toISOString();
+    const resolved = [];
+
+    for (const reminder of this.getAttachedReminders(itemId)) {
+      // Acknowledged recurring reminders roll over, so acknowledged means done with
+      if (reminder.acknowledged) continue;
+
+      reminder.acknowledged = true;
+      reminder.acknowledgedAt = now;
+      reminder.nextNotificationAt = null;
+      reminder.snoozedUntil = null;
+      reminder.resolvedAt = now;
+      if (reminder.recurrence) {
+        reminder.recurrence.ended = true;
+        reminder.recurrence.nextOccurrenceAt = null;
+      }
+
+      this.remindersMap.set(reminder.id, reminder);
+      resolved.push(reminder);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Delete a reminder - soft delete, the reminder moves to the trash (see lib/trash.js)
+   * @param {string} id - Reminder ID
+   * @returns {Object|null} Trash entry or null if not found
    * Performance: O(1) - Direct Map deletion (Previously O(n))
    */
   deleteReminder(id) {
-    return this.remindersMap.delete(id);
+    return trash.moveToTrash(COLLECTIONS.reminders, id);
   }
 
   /**
@@ -154,6 +814,128 @@ class InMemoryDB {
     
     reminder.triggered = true;
     reminder.triggeredAt = new Date().toISOString();
+    reminder.snoozedUntil = null;
+    this.remindersMap.set(id, reminder);
+    return reminder;
+  }
+
+  /**
+   * Record that a reminder notification was delivered
+   * @param {string} id - Reminder ID
+   * @param {Object} delivery - Delivery state
+   * @param {string|null} delivery.nextNotificationAt - When to notify again (null = never)
+   * @param {number} delivery.escalationLevel - Escalation level of this notification
+   * @returns {Object|null} Updated reminder or null if not found
+   * Performance: O(1) - Direct Map lookup and update
+   */
+  recordReminderNotification(id, { nextNotificationAt = null, escalationLevel = 0 } = {}) {
+    const reminder = this.remindersMap.get(id);
+    if (!reminder) return null;
+
+    reminder.notificationCount = (reminder.notificationCount || 0) + 1;
+    reminder.lastNotifiedAt = new Date().toISOString();
+    reminder.nextNotificationAt = nextNotificationAt;
+    reminder.escalationLevel = escalationLevel;
+    reminder.snoozedUntil = null;
+    this.remindersMap.set(id, reminder);
+    return reminder;
+  }
+
+  /**
+   * Snooze a reminder - it notifies again at `until` instead of its next scheduled time
+   * Before it fires this postpones the first notification (remindAt itself is kept, so a
+   * recurring series stays on its schedule); after it fires it replaces the next repeat.
+   * @param {string} id - Reminder ID
+   * @param {Date|string} until - When to notify again
+   * @returns {Object|null} Updated reminder or null if not found
+   * Performance: O(1) - Direct Map lookup and update
+   */
+  snoozeReminder(id, until) {
+    const reminder = this.remindersMap.get(id);
+    if (!reminder) return null;
+
+    const snoozedUntil = new Date(until).toISOString();
+    reminder.snoozedUntil = snoozedUntil;
+    reminder.snoozeCount = (reminder.snoozeCount || 0) + 1;
+    if (reminder.triggered) {
+      reminder.nextNotificationAt = snoozedUntil;
+    }
+    this.remindersMap.set(id, reminder);
+    return reminder;
+  }
+
+  /**
+   * Acknowledge a reminder - stops any further re-notifications
+   * Recurring reminders then roll over to their next occurrence
+   * @param {string} id - Reminder ID
+   * @returns {Object|null} Updated reminder or null if not found
+   * Performance: O(1) - Direct Map lookup and update
+   */
+  acknowledgeReminder(id) {
+    const reminder = this.remindersMap.get(id);
+    if (!reminder) return null;
+
+    reminder.acknowledged = true;
+    reminder.acknowledgedAt = new Date().toISOString();
+    reminder.nextNotificationAt = null;
+    reminder.snoozedUntil = null;
+    this.remindersMap.set(id, reminder);
+
+    return reminder.recurrence ? this.advanceRecurringReminder(id) : reminder;
+  }
+
+  /**
+   * Move a recurring reminder on to its next occurrence
+   * Resets delivery state so the scheduler fires it again at the new remindAt.
+   * If several occurrences were missed (e.g. while the server was down) only the
+   * most recent one is kept - it fires once as a catch-up instead of replaying all.
+   * @param {string} id - Reminder ID
+   * @returns {Object|null} Updated reminder or null if not found
+   * Performance: O(1) lookup + O(k) occurrence expansion
+   */
+  advanceRecurringReminder(id) {
+    const reminder = this.remindersMap.get(id);
+    if (!reminder) return null;
+    if (!reminder.recurrence || reminder.recurrence.ended) return reminder;
+
+    // Reminders stored before recurrences carried a timezone repeat in UTC
+    const { rrule, dtstart, tzid = 'UTC' } = reminder.recurrence;
+    const current = new Date(reminder.remindAt);
+    const now = new Date();
+
+    let next = null;
+    for (const occurrence of iterateOccurrences(rrule, dtstart, current, tzid)) {
+      if (occurrence <= current) continue;
+      if (occurrence > now) {
+        next = next || occurrence;
+        break;
+      }
+      next = occurrence; // Already due - the latest missed occurrence wins
+    }
+
+    if (!next) {
+      // Series exhausted (COUNT / UNTIL) - keep the last occurrence as-is
+      reminder.recurrence.ended = true;
+      reminder.recurrence.nextOccurrenceAt = null;
+      this.remindersMap.set(id, reminder);
+      return reminder;
+    }
+
+    const following = getNextOccurrence(rrule, dtstart, next, tzid);
+
+    reminder.remindAt = next.toISOString();
+    reminder.triggered = false;
+    reminder.triggeredAt = null;
+    reminder.acknowledged = false;
+    reminder.acknowledgedAt = null;
+    reminder.notificationCount = 0;
+    reminder.lastNotifiedAt = null;
+    reminder.nextNotificationAt = null;
+    reminder.escalationLevel = 0;
+    reminder.snoozedUntil = null;
+    reminder.recurrence.completedOccurrences += 1;
+    reminder.recurrence.nextOccurrenceAt = following ? following.toISOString() : null;
+
     this.remindersMap.set(id, reminder);
     return reminder;
   }
@@ -172,24 +954,51 @@ class InMemoryDB {
   /**
    * Get database statistics
    * @returns {Object} Statistics object
-   * Performance: O(n) - Must iterate to count filtered items
+   * Performance: O(log n) - Counts come from the secondary indexes
    */
   getStats() {
-    const tasks = Array.from(this.tasksMap.values());
-    const reminders = Array.from(this.remindersMap.values());
-    
+    const completedTasks = this.taskIndexes.completed.count(true);
+    const activeReminders = this.reminderIndexes.status.count('pending');
+    const resolvedReminders = this.reminderIndexes.status.count('resolved');
+
     return {
       totalTasks: this.tasksMap.size,
-      completedTasks: tasks.filter(t => t.completed).length,
-      pendingTasks: tasks.filter(t => !t.completed).length,
+      completedTasks,
+      pendingTasks: this.tasksMap.size - completedTasks,
+      overdueTasks: this.taskIndexes.openDue.countRange(-Infinity, Date.now()),
       totalReminders: this.remindersMap.size,
-      activeReminders: reminders.filter(r => !r.triggered).length,
-      triggeredReminders: reminders.filter(r => r.triggered).length
+      activeReminders,
+      triggeredReminders: this.remindersMap.size - activeReminders - resolvedReminders,
+      unacknowledgedReminders: this.reminderIndexes.status.count('unacknowledged'),
+      resolvedReminders
     };
   }
 }
 
-// Create a singleton instance
-const db = new InMemoryDB();
+/**
+ * Get the process-wide database
+ * Stored on globalThis so hot reloads and separately bundled API routes share one
+ * set of collection index subscriptions
+ * @returns {InMemoryDB} Shared database
+ */
+function getDb() {
+  const key = Symbol.for('poke-brain.db');
+
+  if (!globalThis[key]) {
+    globalThis[key] = new InMemoryDB();
+  }
+
+  return globalThis[key];
+}
+
+const db = getDb();
 
-export { db };
+export {
+  db,
+  TASK_VIEWS,
+  DELETE_CASCADE,
+  TASK_SORT_KEYS,
+  REMINDER_SORT_KEYS,
+  TASK_FILTER_FIELDS,
+  REMINDER_FILTER_FIELDS
+};
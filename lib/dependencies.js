@@ -0,0 +1,113 @@
+// lib/dependencies.js
+// Blocked-by relationships between tasks of the same collection
+// A task is blocked while any task in its blockedBy list exists and is not completed.
+// Blockers that were deleted stop blocking; restoring them blocks again.
+
+import { eventBus, EVENTS } from './event-bus';
+
+/**
+ * Get the blockers of a task that are still open
+ * @param {Map} tasksMap - Collection holding the task and its blockers
+ * @param {Object} task - Task with an optional blockedBy array
+ * @returns {Array<string>} IDs of open blockers
+ * Performance: O(k) - k = number of blockers
+ */
+function getOpenBlockers(tasksMap, task) {
+  return (task.blockedBy || []).filter(id => {
+    const blocker = tasksMap.get(id);
+    return blocker && !blocker.completed;
+  });
+}
+
+/**
+ * Set the computed dependency state on a task
+ * Derived like priority metrics: recomputed on read, never a source of truth
+ * @param {Map} tasksMap - Collection holding the task and its blockers
+ * @param {Object} task - Task to update in place
+ * @returns {Object} The task (blocked, waitingOn)
+ */
+function applyBlockedState(tasksMap, task) {
+  task.waitingOn = getOpenBlockers(tasksMap, task);
+  task.blocked = task.waitingOn.length > 0;
+  return task;
+}
+
+/**
+ * Check a proposed blockedBy list
+ * Rejects non-arrays, self-references, unknown tasks and dependency cycles
+ * (A blocked by B while B is - directly or transitively - blocked by A).
+ * Blockers the task already had are kept even if they have left the collection
+ * (trashed or promoted), so re-sending an unchanged list is always accepted.
+ * @param {Map} tasksMap - Collection holding the tasks
+ * @param {string|null} taskId - Task being changed (null for a new task)
+ * @param {*} blockedBy - Proposed blocker IDs
+ * @returns {string|null} Error message, or null if valid
+ * Performance: O(n) worst case - Depth-first walk over blockedBy edges
+ */
+function validateBlockers(tasksMap, taskId, blockedBy) {
+  if (!Array.isArray(blockedBy) || blockedBy.some(id => typeof id !== 'string')) {
+    return 'blockedBy must be an array of task IDs';
+  }
+
+  const existing = new Set(taskId ? tasksMap.get(taskId)?.blockedBy : []);
+
+  for (const id of blockedBy) {
+    if (id === taskId) {
+      return 'A task cannot block itself';
+    }
+    if (!tasksMap.has(id) && !existing.has(id)) {
+      return `Blocking task not found: ${id}`;
+    }
+  }
+
+  // A new task has no dependents yet, so it cannot close a cycle
+  if (!taskId) return null;
+
+  const seen = new Set();
+  const stack = [...blockedBy];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === taskId) {
+      return 'Dependency cycle - one of these tasks is already waiting on this task';
+    }
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    const blocker = tasksMap.get(id);
+    if (blocker && blocker.blockedBy) stack.push(...blocker.blockedBy);
+  }
+
+  return null;
+}
+
+/**
+ * Announce tasks that a completion just unblocked
+ * Called after a task is completed; every dependent whose last open blocker it
+ * was is published as EVENTS.taskUnblocked.
+ * @param {Map} tasksMap - Collection holding the tasks
+ * @param {string} collection - Collection name (see COLLECTIONS)
+ * @param {string} completedId - Task that was just completed
+ * @returns {Array} Unblocked tasks
+ * Performance: O(n * k) - Scans every task's blockers
+ */
+function publishUnblocked(tasksMap, collection, completedId) {
+  const unblocked = [];
+
+  for (const task of tasksMap.values()) {
+    if (task.completed || !(task.blockedBy || []).includes(completedId)) continue;
+
+    if (getOpenBlockers(tasksMap, task).length === 0) {
+      unblocked.push(task);
+      eventBus.emit(EVENTS.taskUnblocked, {
+        collection,
+        task: { ...task, blocked: false, waitingOn: [] },
+        unblockedBy: completedId
+      });
+    }
+  }
+
+  return unblocked;
+}
+
+export { getOpenBlockers, applyBlockedState, validateBlockers, publishUnblocked };
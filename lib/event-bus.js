@@ -0,0 +1,42 @@
+// lib/event-bus.js
+// Internal event bus for poke-brain
+// Subsystems publish domain events here; delivery channels and other subsystems subscribe
+
+import { EventEmitter } from 'events';
+
+/**
+ * Event names published on the bus
+ */
+const EVENTS = {
+  // Payload: { reminder, attempt, escalationLevel, escalation, missed, lateByMs }
+  reminderDue: 'reminder.due',          // First notification when remindAt is reached
+  reminderRenotify: 'reminder.renotify', // Repeat for unacknowledged persistent/urgent reminders
+
+  // Payload: { collection, task, unblockedBy }
+  taskUnblocked: 'task.unblocked',        // A task's last open blocker was completed
+
+  // Payload: { task, transition: { from, to, direction, priorityScore, at } }
+  taskEscalated: 'task.escalated'         // A Never Forget task changed escalation stage
+};
+
+/**
+ * Get the process-wide event bus
+ * Stored on globalThis so hot reloads and separately bundled API routes
+ * publish to and subscribe on the same emitter
+ * @returns {EventEmitter} Shared event bus
+ */
+function getEventBus() {
+  const key = Symbol.for('poke-brain.eventBus');
+
+  if (!globalThis[key]) {
+    const bus = new EventEmitter();
+    bus.setMaxListeners(50); // Several delivery channels may subscribe to the same event
+    globalThis[key] = bus;
+  }
+
+  return globalThis[key];
+}
+
+const eventBus = getEventBus();
+
+export { eventBus, EVENTS };
@@ -0,0 +1,384 @@
+// lib/filter-query.js
+// Filter expression language for list endpoints (the `q` parameter)
+// e.g. `priority:high AND (tag:work OR due<7d) AND NOT completed`
+// PERFORMANCE OPTIMIZED: Parsed and validated once, then compiled onto a SinglePassProcessor pipeline
+
+import { singlePass, CommonFilters } from './single-pass-filter';
+import { parseTimeExpression } from './time-parser';
+import { startOfDayInTimezone } from './timezone';
+
+const MAX_QUERY_LENGTH = 500;
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT']);
+const OPERATORS = ['<=', '>=', '!=', '<', '>', ':', '='];
+
+// Compact relative times: 7d, 2h, 30m, 1w (negative = in the past)
+const DURATION_PATTERN = /^([+-]?)(\d+)(m|h|d|w)$/;
+const DURATION_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const TRUE_VALUES = new Set(['true', 'yes', '1']);
+const FALSE_VALUES = new Set(['false', 'no', '0']);
+
+/**
+ * Filterable field descriptors shared by the domain field sets
+ * A bare field (`completed`, `due`) means true for booleans and "has a value" otherwise.
+ */
+const filterField = {
+  text: field => ({ type: 'text', field, operators: [':', '=', '!='] }),
+  enum: (field, values) => ({ type: 'enum', field, values, operators: [':', '=', '!='] }),
+  boolean: (field, get) => ({ type: 'boolean', field, get, operators: [':', '='] }),
+  date: field => ({ type: 'date', field, operators: [':', '=', '<', '<=', '>', '>='] }),
+  number: field => ({ type: 'number', field, operators: [':', '=', '!=', '<', '<=', '>', '>='] }),
+  list: field => ({ type: 'list', field, operators: [':', '=', '!='] })
+};
+
+/**
+ * Split a query into tokens
+ * @private
+ * @returns {Array} Tokens: { type: 'paren'|'keyword'|'term', ... }
+ */
+function lex(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: 'paren', value: char, position });
+      position++;
+      continue;
+    }
+
+    const start = position;
+    const name = source.slice(position).match(/^[A-Za-z][\w.]*/);
+    if (!name) {
+      throw new Error(`Unexpected "${char}" at position ${start + 1}`);
+    }
+    position += name[0].length;
+
+    const operator = OPERATORS.find(op => source.startsWith(op, position));
+    if (!operator) {
+      const word = name[0];
+      tokens.push(KEYWORDS.has(word.toUpperCase())
+        ? { type: 'keyword', value: word.toUpperCase(), position: start }
+        : { type: 'term', field: word, operator: null, value: null, position: start });
+      continue;
+    }
+    position += operator.length;
+
+    let value;
+    let nextWord = null;
+    if (source[position] === '"') {
+      const end = source.indexOf('"', position + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated quote at position ${position + 1}`);
+      }
+      value = source.slice(position + 1, end);
+      position = end + 1;
+    } else {
+      const raw = source.slice(position).match(/^[^\s()]*/)[0];
+      value = raw;
+      position += raw.length;
+
+      // A bare word right after an unquoted value may be the rest of a multi-word date
+      const following = source.slice(position).match(/^\s+([^\s()"]+)/);
+      if (following && !KEYWORDS.has(following[1].toUpperCase()) && !OPERATORS.some(op => following[1].includes(op))) {
+        nextWord = following[1];
+      }
+    }
+
+    if (value === '') {
+      throw new Error(`Missing value after ${name[0]}${operator}`);
+    }
+
+    tokens.push({ type: 'term', field: name[0], operator, value, nextWord, position: start });
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser
+ * Precedence: NOT, then AND (also implied between adjacent filters), then OR
+ * @private
+ * @returns {Object} AST: { and|or: [nodes] } | { not: node } | term
+ */
+function parse(tokens) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const at = value => Boolean(tokens[index]) && tokens[index].type !== 'term' && tokens[index].value === value;
+
+  const describe = token => (token.type === 'term' ? `"${token.field}"` : `"${token.value}"`);
+
+  function parseOr() {
+    const nodes = [parseAnd()];
+    while (at('OR')) {
+      index++;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { or: nodes };
+  }
+
+  function parseAnd() {
+    const nodes = [parseNot()];
+    while (peek() && !at('OR') && !at(')')) {
+      if (at('AND')) index++;
+      nodes.push(parseNot());
+    }
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+  }
+
+  function parseNot() {
+    if (at('NOT')) {
+      index++;
+      return { not: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw new Error('Query ends too early - expected a filter');
+    }
+
+    if (at('(')) {
+      index++;
+      const node = parseOr();
+      if (!at(')')) {
+        throw new Error(`Missing ) for ( at position ${token.position + 1}`);
+      }
+      index++;
+      return node;
+    }
+
+    if (token.type !== 'term') {
+      throw new Error(`Unexpected ${describe(token)} at position ${token.position + 1}`);
+    }
+
+    index++;
+    return token;
+  }
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(tokens[index])} at position ${tokens[index].position + 1}`);
+  }
+  return ast;
+}
+
+/**
+ * Resolve a date value: 7d / -2h, or anything the time parser understands
+ * Day-only values ('today', '2026-11-01') mean local midnight.
+ * @private
+ * @returns {Date} Instant
+ */
+function resolveDate(term, context) {
+  const { value } = term;
+  const duration = value.match(DURATION_PATTERN);
+  if (duration) {
+    const [, sign, amount, unit] = duration;
+    const offset = Number(amount) * DURATION_MS[unit];
+    return new Date(context.now.getTime() + (sign === '-' ? -offset : offset));
+  }
+
+  try {
+    return parseTimeExpression(value, {
+      timezone: context.timezone,
+      now: context.now,
+      defaultTime: { hour: 0, minute: 0 }
+    }).date;
+  } catch (error) {
+    if (term.nextWord) {
+      throw new Error(`Invalid date "${value}" - quote dates with spaces: ${term.field}${term.operator}"${value} ${term.nextWord}"`);
+    }
+    throw new Error(`Invalid date "${value}" - use e.g. 7d, -2h, today, tomorrow or 2026-11-01`);
+  }
+}
+
+/**
+ * Compile one `field<op>value` term into a predicate
+ * @private
+ */
+function compileTerm(term, fields, context) {
+  const descriptor = fields[term.field];
+  if (!descriptor) {
+    throw new Error(`Unknown field: ${term.field} - filter on: ${Object.keys(fields).join(', ')}`);
+  }
+
+  const get = descriptor.get || (item => item[descriptor.field]);
+  context.fieldsUsed.add(descriptor.field);
+
+  // Bare field - true for booleans, "has a value" otherwise
+  if (term.operator === null) {
+    if (descriptor.type === 'boolean') return item => Boolean(get(item));
+    if (descriptor.type === 'list') return item => (get(item) || []).length > 0;
+    return item => get(item) !== null && get(item) !== undefined && get(item) !== '';
+  }
+
+  if (!descriptor.operators.includes(term.operator)) {
+    throw new Error(`Operator ${term.operator} is not supported for ${term.field} (${descriptor.type}) - use ${descriptor.operators.join(' ')}`);
+  }
+
+  const value = term.value.toLowerCase();
+  const negate = predicate => (term.operator === '!=' ? CommonFilters.not(predicate) : predicate);
+
+  switch (descriptor.type) {
+    case 'text':
+      return negate(term.operator === ':'
+        ? item => String(get(item) || '').toLowerCase().includes(value)
+        : item => String(get(item) || '').toLowerCase() === value);
+
+    case 'enum': {
+      // priority:high,medium - any of the listed values
+      const values = value.split(',');
+      const invalid = values.find(v => !descriptor.values.includes(v));
+      if (invalid !== undefined) {
+        throw new Error(`Invalid ${term.field}: ${invalid} - must be one of: ${descriptor.values.join(', ')}`);
+      }
+      return negate(CommonFilters.or(...values.map(v => CommonFilters.propEquals(descriptor.field, v))));
+    }
+
+    case 'boolean': {
+      if (!TRUE_VALUES.has(value) && !FALSE_VALUES.has(value)) {
+        throw new Error(`Invalid ${term.field}: ${term.value} - use true or false`);
+      }
+      const expected = TRUE_VALUES.has(value);
+      return item => Boolean(get(item)) === expected;
+    }
+
+    case 'list':
+      return negate(item => (get(item) || []).some(entry => String(entry).toLowerCase() === value));
+
+    case 'number': {
+      const number = Number(term.value);
+      if (term.value.trim() === '' || isNaN(number)) {
+        throw new Error(`Invalid ${term.field}: ${term.value} - must be a number`);
+      }
+      return compareWith(get, term.operator, number, v => v);
+    }
+
+    case 'date': {
+      const instant = resolveDate(term, context);
+
+      // due:today - anywhere on that calendar day
+      if (term.operator === ':' || term.operator === '=') {
+        const dayStart = startOfDayInTimezone(instant, context.timezone).getTime();
+        const dayEnd = startOfDayInTimezone(instant, context.timezone, 1).getTime();
+        return item => {
+          const time = get(item) ? Date.parse(get(item)) : NaN;
+          return time >= dayStart && time < dayEnd;
+        };
+      }
+      return compareWith(get, term.operator, instant.getTime(), v => Date.parse(v));
+    }
+
+    default:
+      throw new Error(`Cannot filter on ${term.field}`);
+  }
+}
+
+/**
+ * Predicate for an ordering comparison - items without a value never match
+ * @private
+ */
+function compareWith(get, operator, target, toComparable) {
+  const compare = {
+    '<': v => v < target,
+    '<=': v => v <= target,
+    '>': v => v > target,
+    '>=': v => v >= target,
+    '!=': v => v !== target,
+    ':': v => v === target,
+    '=': v => v === target
+  }[operator];
+
+  return item => {
+    const raw = get(item);
+    if (raw === null || raw === undefined) return false;
+    const comparable = toComparable(raw);
+    return !isNaN(comparable) && compare(comparable);
+  };
+}
+
+/**
+ * Compile an AST node into a predicate (built from CommonFilters combinators)
+ * @private
+ */
+function compileNode(node, fields, context) {
+  if (node.and) return CommonFilters.and(...node.and.map(child => compileNode(child, fields, context)));
+  if (node.or) return CommonFilters.or(...node.or.map(child => compileNode(child, fields, context)));
+  if (node.not) return CommonFilters.not(compileNode(node.not, fields, context));
+  return compileTerm(node, fields, context);
+}
+
+/**
+ * Parse, validate and compile a filter query
+ *
+ * - Filters: `field:value` (contains / equals), `field=value`, `field!=value`,
+ *   `field<value`, `<=`, `>`, `>=` (dates and numbers), or a bare `field`
+ * - Combine with AND (or just a space), OR, NOT and parentheses
+ * - Quote values with spaces: `title:"call mom"`; list enum values: `priority:high,medium`
+ * - Dates: 7d, -2h, 30m, 1w (relative to now) or any natural-language time ('today', 'friday', '2026-11-01');
+ *   multi-word times need quotes like any other value: `due<"next friday"`
+ *
+ * Top-level AND parts become separate pipeline stages, so an item is dropped at
+ * the first part it fails.
+ *
+ * @param {string} source - Query text
+ * @param {Object} fields - Filterable fields: { name: filterField descriptor }
+ * @param {Object} options - Compile options
+ * @param {string} options.timezone - Timezone for calendar dates (default: UTC)
+ * @param {Date} options.now - Reference time for relative dates (default: now)
+ * @returns {Object} { filters, fieldsUsed } or { error }
+ * Performance: O(q) - q = query length
+ */
+function compileFilterQuery(source, fields, options = {}) {
+  const text = typeof source === 'string' ? source.trim() : '';
+
+  if (text === '') {
+    return { error: 'Filter query (q) is empty' };
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { error: `Filter query must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const context = {
+    timezone: options.timezone || 'UTC',
+    now: options.now || new Date(),
+    fieldsUsed: new Set()
+  };
+
+  try {
+    const ast = parse(lex(text));
+    const stages = ast.and || [ast];
+
+    return {
+      filters: stages.map(node => compileNode(node, fields, context)),
+      fieldsUsed: context.fieldsUsed
+    };
+  } catch (error) {
+    return { error: `Invalid filter query: ${error.message}` };
+  }
+}
+
+/**
+ * Run a compiled filter query over items
+ * @param {Array|Map|Set} items - Items to filter
+ * @param {Object} compiled - Result of compileFilterQuery
+ * @returns {Array} Matching items, in their original order
+ * Performance: O(n) - Single pass, one stage per top-level AND part
+ */
+function applyFilterQuery(items, compiled) {
+  return compiled.filters
+    .reduce((processor, predicate) => processor.filter(predicate), singlePass(items))
+    .execute();
+}
+
+export { compileFilterQuery, applyFilterQuery, filterField, MAX_QUERY_LENGTH };
@@ -0,0 +1,102 @@
+// lib/heap.js
+// Binary heap for poke-brain schedulers and top-k queries
+// PERFORMANCE: O(log n) push/pop, O(1) peek
+
+/**
+ * Binary heap ordered by a compare function
+ * The item for which compareFn(a, b) < 0 against all others sits on top,
+ * so the default comparator gives a min-heap.
+ */
+class Heap {
+  /**
+   * @param {Function} compareFn - Compare function (default: ascending numbers)
+   */
+  constructor(compareFn = (a, b) => a - b) {
+    this.compareFn = compareFn;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Get the top item without removing it
+   * @returns {*} Top item or undefined if empty
+   * Performance: O(1)
+   */
+  peek() {
+    return this.items[0];
+  }
+
+  /**
+   * Add an item
+   * @param {*} item - Item to add
+   * Performance: O(log n)
+   */
+  push(item) {
+    this.items.push(item);
+    this._siftUp(this.items.length - 1);
+  }
+
+  /**
+   * Remove and return the top item
+   * @returns {*} Top item or undefined if empty
+   * Performance: O(log n)
+   */
+  pop() {
+    const items = this.items;
+    if (items.length === 0) return undefined;
+
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      this._siftDown(0);
+    }
+    return top;
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.items = [];
+  }
+
+  /**
+   * @private
+   */
+  _siftUp(index) {
+    const items = this.items;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compareFn(items[index], items[parent]) >= 0) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _siftDown(index) {
+    const items = this.items;
+    const length = items.length;
+
+    while (true) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+
+      if (left < length && this.compareFn(items[left], items[smallest]) < 0) smallest = left;
+      if (right < length && this.compareFn(items[right], items[smallest]) < 0) smallest = right;
+      if (smallest === index) break;
+
+      [items[index], items[smallest]] = [items[smallest], items[index]];
+      index = smallest;
+    }
+  }
+}
+
+export { Heap };
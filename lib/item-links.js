@@ -0,0 +1,92 @@
+// lib/item-links.js
+// Cross-references between tasks, Never Forget tasks and reminders
+// Reminders point at the item they are about by ID (reminder.attachedTo, see lib/db.js).
+// An item keeps its ID for life: promoted into Never Forget or demoted back, it changes
+// collection but not ID, so its revision history and attached reminders follow it.
+
+import { getStorage, COLLECTIONS } from './storage';
+import { revisions } from './revisions';
+
+/**
+ * Collections holding items a reminder can be attached to
+ */
+const LINKABLE_COLLECTIONS = [COLLECTIONS.tasks, COLLECTIONS.criticalTasks];
+
+/**
+ * Find a task or Never Forget task by ID, whichever collection holds it
+ * @param {string} id - Item ID
+ * @returns {Object|null} { collection, item } or null if not found
+ * Performance: O(1) per collection
+ */
+function findItem(id) {
+  const storage = getStorage();
+  for (const collection of LINKABLE_COLLECTIONS) {
+    const item = storage.collection(collection).get(id);
+    if (item) return { collection, item };
+  }
+  return null;
+}
+
+/**
+ * Short description of a linked item, for API responses
+ * @param {string} id - Item ID
+ * @returns {Object|null} { id, collection, title, completed } or null if not found
+ */
+function describeItem(id) {
+  const found = findItem(id);
+  if (!found) return null;
+
+  const { collection, item } = found;
+  return { id, collection, title: item.title, completed: Boolean(item.completed) };
+}
+
+/**
+ * Check a proposed reminder attachment
+ * @param {*} itemId - Task or Never Forget task ID
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAttachment(itemId) {
+  if (typeof itemId !== 'string' || itemId.trim() === '') {
+    return 'attachedTo must be a task or Never Forget task ID';
+  }
+  if (!findItem(itemId)) {
+    return `Item to attach to not found: ${itemId}`;
+  }
+  return null;
+}
+
+/**
+ * Move an item to another collection, keeping its ID
+ * The target record is written before the source is deleted, so a crash in between
+ * leaves a duplicate rather than losing the item. The move is recorded as a revision
+ * in the item's existing history.
+ * @param {string} id - Item ID
+ * @param {string} from - Source collection (see COLLECTIONS)
+ * @param {string} to - Target collection
+ * @param {Function} convert - (item) => record for the target collection (same ID)
+ * @param {string} action - Revision action ('promote', 'demote')
+ * @returns {Object|null} Moved record, or null if the item was not found
+ * Performance: O(f) - f = number of fields
+ */
+function moveItem(id, from, to, convert, action) {
+  const storage = getStorage();
+  const source = storage.collection(from);
+  const item = source.get(id);
+  if (!item) return null;
+
+  const before = revisions.snapshot(item);
+  const moved = { ...convert(item), id };
+
+  storage.collection(to).set(id, moved);
+  source.delete(id);
+  revisions.record(to, before, moved, action);
+  return moved;
+}
+
+export {
+  findItem,
+  describeItem,
+  validateAttachment,
+  moveItem,
+  LINKABLE_COLLECTIONS
+};
@@ -0,0 +1,333 @@
+// lib/journal.js
+// Durable file-backed persistence for poke-brain
+// CRASH SAFE: Append-only journal with fsync per write + atomic snapshot compaction
+// Every collection is a Map subclass, so existing Map-based code persists unchanged
+
+import fs from 'fs';
+import path from 'path';
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.log';
+const DEFAULT_COMPACT_EVERY = 500;
+
+/**
+ * Map that records every mutation in a journal
+ * Reads are plain Map reads - only set/delete/clear touch the disk
+ * Note: objects stored by reference must be re-`set` after in-place mutation
+ * Performance: O(1) in memory + one appended line per write
+ */
+class JournaledMap extends Map {
+  constructor(name, journal) {
+    super();
+    this.name = name;
+    this.journal = journal;
+    this.listeners = new Set();
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.journal.append({ op: 'set', collection: this.name, key, value });
+    this._notify({ op: 'set', key, value });
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) {
+      this.journal.append({ op: 'delete', collection: this.name, key });
+      this._notify({ op: 'delete', key });
+    }
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.journal.append({ op: 'clear', collection: this.name });
+    this._notify({ op: 'clear' });
+  }
+
+  /**
+   * Listen for writes (see the collection contract in lib/storage.js)
+   * @param {Function} listener - Called with { op, key, value } after each durable write
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  _notify(change) {
+    for (const listener of this.listeners) {
+      listener(change);
+    }
+  }
+
+  /**
+   * Apply a journal entry without writing it back to the journal
+   * @private
+   */
+  _replay(entry) {
+    switch (entry.op) {
+      case 'set':
+        super.set(entry.key, entry.value);
+        break;
+      case 'delete':
+        super.delete(entry.key);
+        break;
+      case 'clear':
+        super.clear();
+        break;
+    }
+  }
+}
+
+/**
+ * Append-only journal with periodic compaction
+ *
+ * Layout inside the data directory:
+ * - snapshot.json: full state of every collection at sequence number `seq`
+ * - journal.log:   one JSON entry per line, each with a monotonically increasing `seq`
+ *
+ * Recovery: load snapshot, replay journal entries with seq > snapshot.seq,
+ * and drop a torn trailing line left behind by a crash mid-write.
+ */
+class FileJournal {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.cwd(), '.data');
+    this.enabled = options.enabled !== false;
+    this.fsync = options.fsync !== false;
+    this.compactEvery = options.compactEvery || DEFAULT_COMPACT_EVERY;
+
+    this.collections = new Map(); // name -> JournaledMap
+    this.seq = 0;
+    this.entriesSinceCompaction = 0;
+    this.fd = null;
+  }
+
+  get snapshotPath() {
+    return path.join(this.dataDir, SNAPSHOT_FILE);
+  }
+
+  get journalPath() {
+    return path.join(this.dataDir, JOURNAL_FILE);
+  }
+
+  /**
+   * Load persisted state and open the journal for appending
+   * Falls back to memory-only mode if the data directory is not writable
+   * @returns {FileJournal} This journal
+   */
+  open() {
+    if (!this.enabled || this.fd !== null) {
+      return this;
+    }
+
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+      this._loadSnapshot();
+      const replayed = this._replayJournal();
+      this.fd = fs.openSync(this.journalPath, 'a');
+
+      // Fold the replayed tail into a fresh snapshot so boot time stays flat
+      if (replayed > 0) {
+        this.compact();
+      }
+    } catch (error) {
+      console.warn(`Persistence disabled - could not open ${this.dataDir}: ${error.message}`);
+      this.enabled = false;
+      this.fd = null;
+    }
+
+    return this;
+  }
+
+  /**
+   * Get (or create) a named collection
+   * @param {string} name - Collection name (e.g. 'tasks')
+   * @returns {JournaledMap} Persistent Map
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new JournaledMap(name, this));
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Durably append an entry
+   * The write is fsynced before returning, so an acknowledged write survives a crash
+   * @param {Object} entry - Journal entry ({ op, collection, key, value })
+   */
+  append(entry) {
+    if (!this.enabled || this.fd === null) {
+      return;
+    }
+
+    this.seq++;
+    const line = JSON.stringify({ seq: this.seq, ...entry }) + '\n';
+    fs.writeSync(this.fd, line);
+    if (this.fsync) {
+      fs.fsyncSync(this.fd);
+    }
+
+    this.entriesSinceCompaction++;
+    if (this.entriesSinceCompaction >= this.compactEvery) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Write a full snapshot and truncate the journal
+   * Snapshot is written to a temp file and renamed, so a crash leaves either
+   * the old or the new snapshot - never a partial one. Entries already folded
+   * into the snapshot are skipped on replay by their sequence number.
+   */
+  compact() {
+    if (!this.enabled || this.fd === null) {
+      return;
+    }
+
+    const collections = {};
+    for (const [name, map] of this.collections) {
+      collections[name] = Array.from(map.entries());
+    }
+
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    const tmpFd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(tmpFd, JSON.stringify({ seq: this.seq, collections }));
+      fs.fsyncSync(tmpFd);
+    } finally {
+      fs.closeSync(tmpFd);
+    }
+    fs.renameSync(tmpPath, this.snapshotPath);
+    this._fsyncDir();
+
+    fs.ftruncateSync(this.fd, 0);
+    if (this.fsync) {
+      fs.fsyncSync(this.fd);
+    }
+    this.entriesSinceCompaction = 0;
+  }
+
+  /**
+   * Close the journal file handle
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /**
+   * Restore collections from the last snapshot
+   * @private
+   */
+  _loadSnapshot() {
+    if (!fs.existsSync(this.snapshotPath)) {
+      return;
+    }
+
+    const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+    this.seq = snapshot.seq || 0;
+
+    for (const [name, entries] of Object.entries(snapshot.collections || {})) {
+      const map = this.collection(name);
+      for (const [key, value] of entries) {
+        map._replay({ op: 'set', key, value });
+      }
+    }
+  }
+
+  /**
+   * Replay journal entries written after the snapshot
+   * @private
+   * @returns {number} Number of entries replayed
+   */
+  _replayJournal() {
+    if (!fs.existsSync(this.journalPath)) {
+      return 0;
+    }
+
+    const content = fs.readFileSync(this.journalPath, 'utf8');
+    let replayed = 0;
+    let offset = 0;
+
+    while (offset < content.length) {
+      const newline = content.indexOf('\n', offset);
+
+      // No trailing newline: the process died mid-write, discard the torn entry
+      if (newline === -1) {
+        fs.truncateSync(this.journalPath, Buffer.byteLength(content.slice(0, offset)));
+        break;
+      }
+
+      const line = content.slice(offset, newline);
+      offset = newline + 1;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        console.warn(`Skipping unreadable journal entry: ${error.message}`);
+        continue;
+      }
+
+      if (entry.seq <= this.seq) {
+        continue; // Already folded into the snapshot
+      }
+
+      this.collection(entry.collection)._replay(entry);
+      this.seq = entry.seq;
+      replayed++;
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Persist the rename of the snapshot file (best effort - not all platforms allow it)
+   * @private
+   */
+  _fsyncDir() {
+    let dirFd = null;
+    try {
+      dirFd = fs.openSync(this.dataDir, 'r');
+      fs.fsyncSync(dirFd);
+    } catch (error) {
+      // Directory fsync is unsupported on some platforms (e.g. Windows)
+    } finally {
+      if (dirFd !== null) fs.closeSync(dirFd);
+    }
+  }
+}
+
+/**
+ * Get the process-wide journal
+ * Stored on globalThis so Next.js hot reloads and separately bundled API routes
+ * share one file handle instead of racing each other on the same files.
+ *
+ * Configuration (environment):
+ * - POKE_BRAIN_DATA_DIR: data directory (default: ./.data)
+ * - POKE_BRAIN_PERSIST: set to 'false' to keep everything in memory only
+ *
+ * @returns {FileJournal} Shared journal instance
+ */
+function getJournal() {
+  const key = Symbol.for('poke-brain.journal');
+
+  if (!globalThis[key]) {
+    globalThis[key] = new FileJournal({
+      dataDir: process.env.POKE_BRAIN_DATA_DIR,
+      enabled: process.env.POKE_BRAIN_PERSIST !== 'false'
+    }).open();
+  }
+
+  return globalThis[key];
+}
+
+export { FileJournal, JournaledMap, getJournal };
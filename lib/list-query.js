@@ -0,0 +1,203 @@
+// lib/list-query.js
+// Cursor pagination, multi-key sorting and sparse field selection for list endpoints
+// Shared by /api/tasks, /api/reminders and /api/never-forget
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Sort value extractors shared by the domain sort keys
+ */
+const sortValue = {
+  date: field => item => (item[field] ? Date.parse(item[field]) : null),
+  number: field => item => item[field] ?? null,
+  text: field => item => (item[field] ? String(item[field]).toLowerCase() : null),
+  rank: (field, order) => item => order[item[field]] ?? null
+};
+
+/**
+ * Compare two sort values - missing values always sort last
+ * @private
+ */
+function compareValues(a, b, direction) {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+
+  const result = typeof a === 'string' ? a.localeCompare(b) : a - b;
+  return direction === 'desc' ? -result : result;
+}
+
+/**
+ * Canonical form of a sort (e.g. 'priority,-createdAt') - cursors are tied to it
+ * @private
+ */
+function sortSignature(sort) {
+  return sort.map(({ key, direction }) => (direction === 'desc' ? `-${key}` : key)).join(',');
+}
+
+/**
+ * Encode a pagination cursor (opaque to clients)
+ * @private
+ */
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @private
+ * @returns {Object|null} Cursor or null if malformed
+ */
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return cursor && typeof cursor.after === 'string' && Number.isInteger(cursor.offset) ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a positive whole-number query parameter
+ * Strict, unlike parseInt/Number: '5abc', '1e3', '3.5' and '' are rejected
+ * @param {*} value - Query parameter value
+ * @returns {number|null} Integer >= 1, or null if invalid
+ */
+function parsePositiveInt(value) {
+  if (!/^\d+$/.test(String(value))) return null;
+
+  const number = parseInt(value, 10);
+  return number >= 1 ? number : null;
+}
+
+/**
+ * Parse list query parameters
+ *
+ * - limit: page size (max 200) - without limit or cursor the whole list is one page
+ * - cursor: nextCursor from the previous page (page size defaults to 50)
+ * - sort: comma-separated keys, '-' prefix for descending (e.g. 'priority,-createdAt')
+ * - fields: comma-separated fields to return (id is always included)
+ *
+ * @param {Object} query - Request query
+ * @param {Object} sortKeys - Allowed sort keys: { name: item => comparable value }
+ * @returns {Object} { limit, cursor, sort, fields } or { error } - limit is null when not paginating
+ */
+function parseListQuery(query, sortKeys) {
+  const { limit, cursor, sort, fields } = query;
+  // Clients that don't page get everything rather than a silently truncated list
+  const listQuery = { limit: cursor ? DEFAULT_LIMIT : null, cursor: null, sort: [], fields: null };
+
+  if (limit !== undefined) {
+    const pageSize = parsePositiveInt(limit);
+    if (pageSize === null || pageSize > MAX_LIMIT) {
+      return { error: `Invalid limit - must be between 1 and ${MAX_LIMIT}` };
+    }
+    listQuery.limit = pageSize;
+  }
+
+  if (sort) {
+    for (const part of String(sort).split(',').map(key => key.trim()).filter(Boolean)) {
+      const direction = part.startsWith('-') ? 'desc' : 'asc';
+      const key = part.replace(/^[-+]/, '');
+
+      if (!sortKeys[key]) {
+        return { error: `Invalid sort key: ${key} - must be one of: ${Object.keys(sortKeys).join(', ')}` };
+      }
+      listQuery.sort.push({ key, direction });
+    }
+  }
+
+  if (fields) {
+    listQuery.fields = ['id', ...String(fields).split(',').map(field => field.trim()).filter(Boolean)];
+  }
+
+  if (cursor) {
+    listQuery.cursor = decodeCursor(String(cursor));
+    if (!listQuery.cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    if (listQuery.cursor.sort !== sortSignature(listQuery.sort)) {
+      return { error: 'Cursor was issued for a different sort - start again without a cursor' };
+    }
+  }
+
+  return listQuery;
+}
+
+/**
+ * Keep only the selected fields of an item
+ * Tree nodes keep their (projected) children.
+ * @param {Object} item - Item to project
+ * @param {Array<string>|null} fields - Fields to keep (null = all)
+ * @returns {Object} Projected item
+ */
+function selectFields(item, fields) {
+  if (!fields) return item;
+
+  const projected = {};
+  for (const field of fields) {
+    if (field in item) projected[field] = item[field];
+  }
+  if (Array.isArray(item.children)) {
+    projected.children = item.children.map(child => selectFields(child, fields));
+  }
+  return projected;
+}
+
+/**
+ * Sort items by the parsed sort keys (stable - ties keep their current order)
+ * @param {Array} items - Items to sort (not modified)
+ * @param {Object} listQuery - Result of parseListQuery
+ * @param {Object} sortKeys - Sort key extractors
+ * @returns {Array} Sorted copy
+ * Performance: O(n log n)
+ */
+function sortItems(items, listQuery, sortKeys) {
+  if (listQuery.sort.length === 0) return items;
+
+  return [...items].sort((a, b) => {
+    for (const { key, direction } of listQuery.sort) {
+      const result = compareValues(sortKeys[key](a), sortKeys[key](b), direction);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Cut one page out of an ordered list
+ * The cursor remembers the last item returned, so items added or removed on
+ * earlier pages don't cause skips or repeats; if that item is gone the page
+ * continues from its old position.
+ * @param {Array} items - Ordered items
+ * @param {Object} listQuery - Result of parseListQuery
+ * @returns {Object} { data, total, nextCursor }
+ * Performance: O(n) - Locates the cursor item
+ */
+function paginate(items, listQuery) {
+  let start = 0;
+
+  if (listQuery.cursor) {
+    const index = items.findIndex(item => item.id === listQuery.cursor.after);
+    start = index >= 0 ? index + 1 : Math.min(listQuery.cursor.offset, items.length);
+  }
+
+  const end = listQuery.limit === null ? items.length : start + listQuery.limit;
+  const page = items.slice(start, end);
+  const last = page[page.length - 1];
+
+  return {
+    data: page.map(item => selectFields(item, listQuery.fields)),
+    total: items.length,
+    nextCursor: end < items.length && last
+      ? encodeCursor({
+        after: last.id,
+        offset: end,
+        sort: sortSignature(listQuery.sort)
+      })
+      : null
+  };
+}
+
+export { parseListQuery, parsePositiveInt, sortItems, paginate, selectFields, sortValue, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,304 @@
+// lib/micro-steps.js
+// Rule-based micro-step decomposition for poke-brain
+// ADHD-friendly: concrete, ordered first steps instead of "just do it"
+// Runs locally - archetypes are detected from keywords in the title and description
+
+import { v4 as uuidv4 } from 'uuid';
+
+// Lists pasted into a description longer than this are cut off
+const MAX_LIST_STEPS = 20;
+const MAX_STEP_LENGTH = 200;
+
+// Steps per task - a plan longer than this is a project, not a task
+const MAX_STEPS = 50;
+
+// Longest duration a single step may be planned for
+const MAX_STEP_MINUTES = 24 * 60;
+
+// Minutes for a step that names no duration (and, for pasted list items, matches no archetype)
+const DEFAULT_STEP_MINUTES = 10;
+
+/**
+ * Task archetypes, checked in order (earlier wins a tie)
+ * keywords: matched as whole words, case-insensitive
+ * itemMinutes: typical length of one pasted list item of this kind
+ */
+const MICRO_STEP_ARCHETYPES = [
+  {
+    name: 'call',
+    keywords: /\b(call|phone|ring|dial|voicemail)\b/i,
+    itemMinutes: 15,
+    steps: [
+      ['📇 Find the number and any account or reference numbers', 3],
+      ['🗒️ Jot down what you need to ask or say', 3],
+      ['📞 Make the call', 15],
+      ['✅ Write down the outcome and any follow-up', 2]
+    ]
+  },
+  {
+    name: 'email',
+    keywords: /\b(e-?mails?|reply|respond|message|text|dm|inbox|follow[- ]up)\b/i,
+    itemMinutes: 10,
+    steps: [
+      ['📬 Open the thread or find the address', 2],
+      ['🎯 Write the main point in one sentence', 3],
+      ['✍️ Draft the message around it', 10],
+      ['📤 Read it once and send', 2]
+    ]
+  },
+  {
+    name: 'paperwork',
+    keywords: /\b(forms?|paperwork|fill (in|out)|tax(es)?|application|apply|renew(al)?|sign|insurance|claim|visa|passport|permit|invoice|bills?)\b/i,
+    itemMinutes: 20,
+    steps: [
+      ['📂 Gather the documents, IDs and numbers you need', 10],
+      ['🔎 Skim the whole form and mark what you don\'t know yet', 5],
+      ['🖊️ Fill in everything you already know', 20],
+      ['❓ Look up the missing details', 10],
+      ['📮 Sign, submit and keep a copy', 5]
+    ]
+  },
+  {
+    name: 'errand',
+    keywords: /\b(pick up|drop off|collect|return|post office|bank|pharmacy|dry clean(ing|er)?|deliver|errands?)\b/i,
+    itemMinutes: 30,
+    steps: [
+      ['🕐 Check the opening hours', 2],
+      ['🎒 Put everything you need by the door (keys, ID, items)', 5],
+      ['🚶 Head out', 30],
+      ['🧾 Put receipts and paperwork away when you\'re back', 3]
+    ]
+  },
+  {
+    name: 'writing',
+    keywords: /\b(write|draft|essay|report|article|blog|proposal|letter|thesis|chapter|slides|presentation|documentation|docs)\b/i,
+    itemMinutes: 25,
+    steps: [
+      ['🎯 Write one sentence on what this is for', 3],
+      ['🗂️ List the main points as bullets', 10],
+      ['✍️ Write a rough first draft - no editing yet', 25],
+      ['🔧 Revise and tidy up', 15],
+      ['📤 Send or save the final version', 2]
+    ]
+  },
+  {
+    name: 'cleaning',
+    keywords: /\b(clean|tidy|sort out|wash|vacuum|hoover|mop|laundry|dishes|declutter|organi[sz]e|dust)\b/i,
+    itemMinutes: 15,
+    steps: [
+      ['⏲️ Set a 15-minute timer', 1],
+      ['🗑️ Grab a bag and clear out the trash', 5],
+      ['📦 Put things back where they belong', 10],
+      ['🧽 Wipe down the surfaces', 15]
+    ]
+  },
+  {
+    name: 'purchase',
+    keywords: /\b(buy|(?<!in )order|purchase|shop(ping)?|groceries|get new|replace)\b/i,
+    itemMinutes: 10,
+    steps: [
+      ['📝 Write down exactly what you need (size, model, amount)', 3],
+      ['🔍 Compare two or three options', 10],
+      ['🛒 Order or buy it', 5],
+      ['🧾 Save the receipt or order confirmation', 2]
+    ]
+  }
+];
+
+// Used when no archetype matches
+const GENERIC_STEPS = [
+  ['📋 Review what needs to be done', 2],
+  ['🧩 Break down into smaller parts', 5],
+  ['🎯 Start with the easiest part', 10]
+];
+
+// "- item", "* item", "• item", "1. item", "2) item", optionally with a "[ ]" / "[x]" checkbox
+const LIST_ITEM = /^\s*(?:[-*•+]|\d{1,3}[.)])\s+(?:\[([ xX])\]\s+)?(.+?)\s*$/;
+
+// "(15 min)", "~20m", "- 1h", "1.5 hours" at the end of a list item
+const ITEM_DURATION = /\s*[-–~(]*\s*(\d+(?:\.\d+)?)\s*(m|mins?|minutes?|h|hrs?|hours?)\)?\s*$/i;
+
+/**
+ * Format a duration the way micro-steps show it
+ * @param {number} minutes - Whole minutes
+ * @returns {string} e.g. "15 min", "2 h", "1 h 30 min"
+ */
+function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest > 0 ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+/**
+ * Read a duration like "15 min", "2 h" or "1 h 30 min" back into minutes
+ * @param {string} duration - Duration text
+ * @returns {number|null} Minutes, or null if not a duration
+ */
+function parseDuration(duration) {
+  const match = /^\s*(?:(\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?))?\s*(?:(\d+(?:\.\d+)?)\s*(?:m|mins?|minutes?))?\s*$/i
+    .exec(String(duration ?? ''));
+
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+  return Math.round(parseFloat(match[1] || 0) * 60 + parseFloat(match[2] || 0));
+}
+
+/**
+ * Read a planned duration given as minutes (15) or text ("1.5 hours")
+ * @param {number|string} value - Duration
+ * @returns {number|null} Whole minutes, or null if invalid (under 1 minute or over a day)
+ */
+function toMinutes(value) {
+  const minutes = typeof value === 'number' ? Math.round(value) : parseDuration(value);
+  if (!Number.isFinite(minutes) || minutes < 1 || minutes > MAX_STEP_MINUTES) return null;
+  return minutes;
+}
+
+/**
+ * Create a micro-step
+ * @param {string} description - What to do
+ * @param {number} minutes - Planned duration
+ * @param {boolean} completed - Already done (default: false)
+ * @returns {Object} Step: { id, description, completed, duration, startedAt, actualMinutes, completedAt }
+ */
+function createStep(description, minutes, completed = false) {
+  return {
+    id: uuidv4(),
+    description,
+    completed,
+    duration: formatDuration(minutes),
+    startedAt: null,       // Set while the step is in progress
+    actualMinutes: 0,      // Time spent, summed over every start/stop
+    completedAt: completed ? new Date().toISOString() : null
+  };
+}
+
+/**
+ * Stop a step's timer and add the elapsed time to actualMinutes
+ * @param {Object} step - Step in progress (no-op if not started)
+ * @param {number} now - Current time (ms)
+ */
+function stopStepTimer(step, now = Date.now()) {
+  if (!step.startedAt) return;
+
+  const elapsed = Math.max(0, now - Date.parse(step.startedAt)) / 60000;
+  step.actualMinutes = Math.round(((step.actualMinutes || 0) + elapsed) * 10) / 10;
+  step.startedAt = null;
+}
+
+/**
+ * Share of a task's planned time that is done
+ * Steps are weighted by planned duration, so finishing the 30-minute step counts
+ * more than ticking off the 2-minute one.
+ * @param {Array} steps - Micro-steps
+ * @returns {number|null} Percentage 0-100 (whole number), or null without steps
+ * Performance: O(s)
+ */
+function stepProgress(steps) {
+  if (!steps || steps.length === 0) return null;
+
+  let total = 0;
+  let done = 0;
+  for (const step of steps) {
+    const minutes = parseDuration(step.duration) || DEFAULT_STEP_MINUTES;
+    total += minutes;
+    if (step.completed) done += minutes;
+  }
+
+  return Math.round((done / total) * 100);
+}
+
+/**
+ * Detect the archetype of a task
+ * Title keywords count double, so "Call about the insurance form" is a call.
+ * @param {string} title - Task title
+ * @param {string} description - Task description (optional)
+ * @returns {Object|null} Matching archetype, or null
+ * Performance: O(a) - a = archetypes
+ */
+function detectArchetype(title, description = '') {
+  let best = null;
+  let bestScore = 0;
+
+  for (const archetype of MICRO_STEP_ARCHETYPES) {
+    const score = (archetype.keywords.test(title || '') ? 2 : 0) +
+      (archetype.keywords.test(description || '') ? 1 : 0);
+
+    if (score > bestScore) {
+      best = archetype;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Turn a bullet or numbered list in a description into steps
+ * Checked items ("[x]") start out completed; a trailing duration ("(15 min)") is used
+ * and removed, otherwise the item's archetype decides.
+ * @param {string} description - Task description
+ * @returns {Array} Steps (empty unless the description holds a list of 2+ items)
+ * Performance: O(l) - l = lines
+ */
+function stepsFromList(description) {
+  const items = (description || '')
+    .split(/\r?\n/)
+    .map(line => LIST_ITEM.exec(line))
+    .filter(Boolean);
+
+  if (items.length < 2) return [];
+
+  return items.slice(0, MAX_LIST_STEPS).map(([, checkbox, text]) => {
+    let minutes = null;
+    const duration = ITEM_DURATION.exec(text);
+
+    if (duration && duration.index > 0) {
+      const value = parseFloat(duration[1]);
+      minutes = Math.max(1, Math.round(/^h/i.test(duration[2]) ? value * 60 : value));
+      text = text.slice(0, duration.index);
+    }
+
+    if (minutes === null) {
+      const archetype = detectArchetype(text);
+      minutes = archetype ? archetype.itemMinutes : DEFAULT_STEP_MINUTES;
+    }
+
+    return createStep(text.trim().slice(0, MAX_STEP_LENGTH), minutes, checkbox === 'x' || checkbox === 'X');
+  });
+}
+
+/**
+ * Break a task into micro-steps
+ * 1. A list in the description becomes the steps, in order
+ * 2. Otherwise the archetype's concrete steps (call, email, paperwork, errand, ...)
+ * 3. Otherwise generic "get started" steps
+ * @param {string} title - Task title
+ * @param {string} description - Task description (optional)
+ * @returns {Array} Micro-steps: { id, description, completed, duration }
+ */
+function generateMicroSteps(title, description = '') {
+  const listed = stepsFromList(description);
+  if (listed.length > 0) return listed;
+
+  const archetype = detectArchetype(title, description);
+  const steps = archetype ? archetype.steps : GENERIC_STEPS;
+
+  return steps.map(([text, minutes]) => createStep(text, minutes));
+}
+
+export {
+  generateMicroSteps,
+  detectArchetype,
+  stepsFromList,
+  createStep,
+  formatDuration,
+  parseDuration,
+  toMinutes,
+  stopStepTimer,
+  stepProgress,
+  MICRO_STEP_ARCHETYPES,
+  MAX_STEPS,
+  MAX_STEP_LENGTH,
+  DEFAULT_STEP_MINUTES
+};
@@ -4,136 +4,216 @@
 // Persistent tracking system designed for executive function support
 
 import { v4 as uuidv4 } from 'uuid';
+import { getStorage, COLLECTIONS } from './storage';
+import { db } from './db';
+import { trash } from './trash';
+import { revisions } from './revisions';
+import { applyBlockedState, validateBlockers, publishUnblocked } from './dependencies';
+import { sortValue } from './list-query';
+import { filterField } from './filter-query';
+import { singlePass } from './single-pass-filter';
+import { Heap } from './heap';
+import {
+  generateMicroSteps,
+  createStep,
+  formatDuration,
+  toMinutes,
+  stopStepTimer,
+  stepProgress,
+  MAX_STEPS,
+  MAX_STEP_LENGTH,
+  DEFAULT_STEP_MINUTES
+} from './micro-steps';
+import { eventBus, EVENTS } from './event-bus';
+import { analyzeSnoozes } from './snooze-analytics';
+import { checkSnoozeLimit } from './snooze-presets';
+import { moveItem } from './item-links';
+import { ValueIndex, SortedIndex } from './collection-index';
+import { settings } from './settings';
+import {
+  DEFAULT_SCORING_POLICY,
+  ESCALATION_STAGES,
+  resolvePolicy,
+  scoreTask,
+  explainScore,
+  escalateTask,
+  policyThresholds
+} from './scoring-policy';
 
 /**
- * Priority scoring constants
- * Used to calculate task urgency and importance
+ * Default importance weights
+ * The weights in use come from the scoringPolicy setting (see lib/scoring-policy.js)
  */
-const PRIORITY_WEIGHTS = {
-  critical: 100,
-  high: 50,
-  medium: 25,
-  low: 10
+const PRIORITY_WEIGHTS = DEFAULT_SCORING_POLICY.importanceWeights;
+
+const IMPORTANCE_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+
+// Task priority for a demoted task that was never a regular task
+const PRIORITY_FOR_IMPORTANCE = { critical: 'high', high: 'high', medium: 'medium', low: 'low' };
+
+// Fields only one of the two lists has - set aside in shelvedFields while the item
+// lives in the other list, and restored when it moves back (see promoteTask)
+const TASK_ONLY_FIELDS = ['priority', 'startDate', 'estimatedMinutes', 'parentId', 'blockedBy'];
+const CRITICAL_ONLY_FIELDS = [
+  'importance', 'snoozedUntil', 'snoozeCount', 'snoozeHistory',
+  'microSteps', 'escalationHistory', 'notes', 'blockedBy'
+];
+
+/**
+ * Sort keys for critical task lists (see lib/list-query.js)
+ * priority / importance sort most important first
+ */
+const SORT_KEYS = {
+  priorityScore: sortValue.number('priorityScore'),
+  priority: sortValue.rank('importance', IMPORTANCE_RANK),
+  importance: sortValue.rank('importance', IMPORTANCE_RANK),
+  deadline: sortValue.date('deadline'),
+  createdAt: sortValue.date('createdAt'),
+  updatedAt: sortValue.date('updatedAt'),
+  title: sortValue.text('title')
 };
 
-const ESCALATION_STAGES = {
-  normal: 'normal',          // Task is on track
-  attention: 'attention',    // Task needs attention soon
-  urgent: 'urgent',          // Task is becoming urgent
-  critical: 'critical',      // Task is overdue or extremely urgent
-  emergency: 'emergency'     // Task is dangerously overdue
+/**
+ * Filterable fields for critical task queries (see lib/filter-query.js)
+ * priority is an alias for importance, due for deadline
+ */
+const FILTER_FIELDS = {
+  title: filterField.text('title'),
+  description: filterField.text('description'),
+  importance: filterField.enum('importance', Object.keys(IMPORTANCE_RANK)),
+  priority: filterField.enum('importance', Object.keys(IMPORTANCE_RANK)),
+  tag: filterField.list('tags'),
+  tags: filterField.list('tags'),
+  completed: filterField.boolean('completed'),
+  blocked: filterField.boolean('blocked'),
+  snoozed: filterField.boolean('snoozedUntil', task =>
+    Boolean(task.snoozedUntil) && new Date(task.snoozedUntil).getTime() > Date.now()),
+  stage: filterField.enum('escalationStage', Object.values(ESCALATION_STAGES)),
+  escalationStage: filterField.enum('escalationStage', Object.values(ESCALATION_STAGES)),
+  deadline: filterField.date('deadline'),
+  due: filterField.date('deadline'),
+  created: filterField.date('createdAt'),
+  updated: filterField.date('updatedAt'),
+  score: filterField.number('priorityScore'),
+  priorityScore: filterField.number('priorityScore'),
+  snoozes: filterField.number('snoozeCount')
 };
 
-class NeverForgetManager {
-  constructor() {
-    // PERFORMANCE: Use Map for O(1) lookups instead of Array with O(n) find
-    this.criticalTasksMap = new Map();
+const HOUR = 60 * 60 * 1000;
+
+// setTimeout overflows above ~24.8 days - longer waits are re-armed in hops
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Oldest escalation transitions are dropped beyond this many per task
+const MAX_ESCALATION_HISTORY = 50;
+
+// Stages from least to most urgent - decides whether a transition is up or down
+const STAGE_ORDER = Object.values(ESCALATION_STAGES);
+
+/**
+ * Copy the listed fields that are set on a record
+ * @private
+ */
+function pickFields(record, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (record[field] !== undefined) picked[field] = structuredClone(record[field]);
   }
+  return picked;
+}
+
+/**
+ * Order by priority score, highest first
+ * @private
+ */
+function byPriorityScore(a, b) {
+  return b.priorityScore - a.priorityScore;
+}
 
+class NeverForgetManager {
   /**
-   * Calculate priority score for a task
-   * Considers deadline, importance level, and recency
-   * @param {Object} task - Task object
-   * @returns {number} Priority score (higher = more important)
+   * @param {Object} storage - Storage adapter (default: configured shared adapter)
    */
-  calculatePriorityScore(task) {
-    let score = 0;
-
-    // Base importance score
-    const importanceScore = PRIORITY_WEIGHTS[task.importance] || PRIORITY_WEIGHTS.medium;
-    score += importanceScore;
-
-    // Deadline urgency (exponential increase as deadline approaches)
-    if (task.deadline) {
-      const now = Date.now();
-      const deadline = new Date(task.deadline).getTime();
-      const hoursUntilDeadline = (deadline - now) / (1000 * 60 * 60);
-
-      if (hoursUntilDeadline < 0) {
-        // Overdue - exponentially increase score
-        const hoursOverdue = Math.abs(hoursUntilDeadline);
-        score += 200 + (hoursOverdue * 10);
-      } else if (hoursUntilDeadline < 24) {
-        // Less than 24 hours - critical
-        score += 150;
-      } else if (hoursUntilDeadline < 72) {
-        // Less than 3 days - urgent
-        score += 100;
-      } else if (hoursUntilDeadline < 168) {
-        // Less than 1 week - attention needed
-        score += 50;
-      }
-    }
+  constructor(storage = getStorage()) {
+    // PERFORMANCE: Use Map for O(1) lookups instead of Array with O(n) find
+    // DURABLE: Adapter-backed collection - tasks are re-set after every mutation to persist them
+    this.criticalTasksMap = storage.collection(COLLECTIONS.criticalTasks);
+
+    // PERFORMANCE: Incremental metrics - a task's score and stage only change when it is
+    // written or when it crosses a time threshold, so each task is recomputed at its next
+    // crossing (min-heap by time) instead of on every read
+    this.metricSchedule = new Heap((a, b) => a.at - b.at);
+    // Task ID -> time of its next scheduled recomputation (older heap entries are stale)
+    this.nextMetricUpdate = new Map();
+
+    // Open tasks ranked by priority score (highest first) - top-N reads the head
+    this.ranking = new SortedIndex(task => (task.completed ? null : -task.priorityScore));
+    // Escalation stage of open tasks ('completed' for the rest) - alerts and stats counts
+    this.stages = new ValueIndex(task => (task.completed ? 'completed' : task.escalationStage));
+    // Open tasks by deadline and by snooze end - overdue / snoozed counts
+    this.deadlines = new SortedIndex(task => (task.completed || !task.deadline ? null : Date.parse(task.deadline)));
+    this.snoozes = new SortedIndex(task => (task.completed || !task.snoozedUntil ? null : Date.parse(task.snoozedUntil)));
+
+    // Optional timer that recomputes tasks as they cross thresholds (see watch())
+    this.watching = false;
+    this.watchTimer = null;
+    this.watchAt = null;
+
+    // Scoring policy in use and the deadline/recency hours where it steps
+    this.policy = settings.get().scoringPolicy;
+    this.thresholds = policyThresholds(this.policy);
 
-    // Recency boost - newly added tasks get temporary visibility
-    const createdAt = new Date(task.createdAt).getTime();
-    const hoursSinceCreation = (Date.now() - createdAt) / (1000 * 60 * 60);
-    if (hoursSinceCreation < 1) {
-      score += 30; // Boost for tasks less than 1 hour old
-    } else if (hoursSinceCreation < 24) {
-      score += 10; // Small boost for tasks less than 1 day old
+    for (const task of this.criticalTasksMap.values()) {
+      this._track(task);
     }
 
-    // Snooze penalty - snoozed tasks get lower priority
-    if (task.snoozedUntil) {
-      const snoozeUntil = new Date(task.snoozedUntil).getTime();
-      if (snoozeUntil > Date.now()) {
-        score = Math.max(0, score - 100); // Still in snooze period
+    // A policy change re-scores and re-schedules every task
+    settings.subscribe(current => this._applyPolicy(current.scoringPolicy));
+
+    // Every write (API, trash restore, undo) refreshes the task's metrics and schedule
+    this.criticalTasksMap.subscribe(({ op, key, value }) => {
+      if (op === 'set') {
+        this._track(value);
+      } else if (op === 'delete') {
+        this._untrack(key);
+      } else if (op === 'clear') {
+        for (const id of [...this.nextMetricUpdate.keys()]) this._untrack(id);
+        this.metricSchedule.clear();
       }
-    }
+    });
+  }
 
-    // Consecutive snooze penalty
-    if (task.snoozeCount > 0) {
-      // Tasks snoozed multiple times get escalated
-      score += (task.snoozeCount * 20);
-    }
+  /**
+   * Calculate priority score for a task
+   * Considers deadline, importance level, recency and snoozes, weighted by the scoring policy
+   * @param {Object} task - Task object
+   * @param {Object} policy - Scoring policy (default: the current one)
+   * @param {number} now - Current time (ms)
+   * @returns {number} Priority score (higher = more important)
+   */
+  calculatePriorityScore(task, policy = this.policy, now = Date.now()) {
+    return scoreTask(task, policy, now);
+  }
 
-    return Math.max(0, score);
+  /**
+   * Explain a task's priority score
+   * @param {Object} task - Task object
+   * @param {number} now - Current time (ms)
+   * @returns {Object} { total, components: [{ component, points, explanation }] }
+   */
+  explainPriorityScore(task, now = Date.now()) {
+    return explainScore(task, this.policy, now);
   }
 
   /**
    * Determine escalation stage based on task status
    * @param {Object} task - Task object
+   * @param {Object} policy - Scoring policy (default: the current one)
+   * @param {number} now - Current time (ms)
    * @returns {string} Escalation stage
    */
-  determineEscalationStage(task) {
-    if (!task.deadline) {
-      return task.snoozeCount >= 5 ? ESCALATION_STAGES.urgent : ESCALATION_STAGES.normal;
-    }
-
-    const now = Date.now();
-    const deadline = new Date(task.deadline).getTime();
-    const hoursUntilDeadline = (deadline - now) / (1000 * 60 * 60);
-
-    // Overdue tasks
-    if (hoursUntilDeadline < 0) {
-      const hoursOverdue = Math.abs(hoursUntilDeadline);
-      if (hoursOverdue > 72) {
-        return ESCALATION_STAGES.emergency; // More than 3 days overdue
-      } else if (hoursOverdue > 24) {
-        return ESCALATION_STAGES.critical; // More than 1 day overdue
-      } else {
-        return ESCALATION_STAGES.urgent; // Overdue
-      }
-    }
-
-    // Approaching deadline
-    if (hoursUntilDeadline < 6) {
-      return ESCALATION_STAGES.critical; // Less than 6 hours
-    } else if (hoursUntilDeadline < 24) {
-      return ESCALATION_STAGES.urgent; // Less than 24 hours
-    } else if (hoursUntilDeadline < 72) {
-      return ESCALATION_STAGES.attention; // Less than 3 days
-    }
-
-    // Multiple snoozes indicate avoidance - escalate
-    if (task.snoozeCount >= 5) {
-      return ESCALATION_STAGES.urgent;
-    } else if (task.snoozeCount >= 3) {
-      return ESCALATION_STAGES.attention;
-    }
-
-    return ESCALATION_STAGES.normal;
+  determineEscalationStage(task, policy = this.policy, now = Date.now()) {
+    return escalateTask(task, policy, now);
   }
 
   /**
@@ -194,48 +274,226 @@ class NeverForgetManager {
 
   /**
    * Break down task into micro-steps
-   * ADHD-friendly: smaller, manageable chunks
-   * @param {string} taskDescription - Task description
+   * ADHD-friendly: smaller, manageable chunks (see lib/micro-steps.js)
+   * @param {string} title - Task title
+   * @param {string} description - Task description - a bullet or numbered list becomes the steps
    * @returns {Array} Array of micro-steps
    */
-  generateMicroSteps(taskDescription) {
-    // This is a simple implementation - can be enhanced with AI/NLP later
-    const microSteps = [];
-    
-    // Default micro-steps for task initiation
-    microSteps.push({
-      id: uuidv4(),
-      description: '📋 Review what needs to be done',
-      completed: false,
-      duration: '2 min'
-    });
+  generateMicroSteps(title, description = '') {
+    return generateMicroSteps(title, description);
+  }
 
-    microSteps.push({
-      id: uuidv4(),
-      description: '🧩 Break down into smaller parts',
-      completed: false,
-      duration: '5 min'
-    });
+  /**
+   * Update cached metrics for a task
+   * @private
+   * @param {Object} task - Task object
+   * @param {number} now - Current time (ms)
+   */
+  _updateTaskMetrics(task, now = Date.now()) {
+    task.progress = stepProgress(task.microSteps);
+    task.priorityScore = this.calculatePriorityScore(task, this.policy, now);
+    task.escalationStage = this.determineEscalationStage(task, this.policy, now);
+    task.visualIndicators = this.generateVisualIndicators(task);
+    applyBlockedState(this.criticalTasksMap, task);
+  }
 
-    microSteps.push({
-      id: uuidv4(),
-      description: '🎯 Start with the easiest part',
-      completed: false,
-      duration: '10 min'
-    });
+  /**
+   * When a task's metrics will next change on their own
+   * Policy deadline and recency thresholds, the hourly overdue tick and the end of a snooze.
+   * @private
+   * @param {Object} task - Task object
+   * @param {number} now - Current time (ms)
+   * @returns {number} Time (ms) just past the next threshold, or Infinity
+   */
+  _nextMetricChange(task, now) {
+    if (task.completed) return Infinity;
+
+    const thresholds = [];
+
+    if (task.deadline) {
+      const deadline = Date.parse(task.deadline);
+      for (const hours of this.thresholds.deadlineHours) thresholds.push(deadline - hours * HOUR);
 
-    return microSteps;
+      if (now >= deadline) {
+        thresholds.push(deadline + (Math.floor((now - deadline) / HOUR) + 1) * HOUR);
+      }
+    }
+
+    const createdAt = Date.parse(task.createdAt);
+    for (const hours of this.thresholds.recencyHours) thresholds.push(createdAt + hours * HOUR);
+
+    if (task.snoozedUntil) thresholds.push(Date.parse(task.snoozedUntil));
+
+    const next = Math.min(...thresholds.filter(time => time > now));
+    // Comparisons are strict ('< 24 hours'), so recompute just past the boundary
+    return next === Infinity ? Infinity : next + 1;
   }
 
   /**
-   * Update cached metrics for a task
+   * Recompute a task's metrics, re-rank it and schedule its next recomputation
    * @private
    * @param {Object} task - Task object
+   * Performance: O(log n)
    */
-  _updateTaskMetrics(task) {
-    task.priorityScore = this.calculatePriorityScore(task);
-    task.escalationStage = this.determineEscalationStage(task);
-    task.visualIndicators = this.generateVisualIndicators(task);
+  _track(task, now = Date.now()) {
+    const previousStage = task.escalationStage;
+    this._updateTaskMetrics(task, now);
+
+    this.ranking.add(task.id, task);
+    this.stages.add(task.id, task);
+    this.deadlines.add(task.id, task);
+    this.snoozes.add(task.id, task);
+
+    const at = this._nextMetricChange(task, now);
+    if (at === Infinity) {
+      this.nextMetricUpdate.delete(task.id);
+    } else if (this.nextMetricUpdate.get(task.id) !== at) {
+      this.nextMetricUpdate.set(task.id, at);
+      this.metricSchedule.push({ at, id: task.id });
+      this._armWatch();
+    }
+
+    // Completed tasks are no longer escalating - their stage is left as it was.
+    // A new task has no previous stage, so taking its first one is not recorded
+    if (!task.completed && previousStage && previousStage !== task.escalationStage) {
+      this._recordEscalation(task, previousStage, now);
+    }
+  }
+
+  /**
+   * Add a stage transition to the task's escalation timeline and publish it
+   * @private
+   * @param {Object} task - Task whose stage just changed
+   * @param {string} from - Previous stage
+   * @param {number} now - Time of the change (ms)
+   */
+  _recordEscalation(task, from, now) {
+    const transition = {
+      from,
+      to: task.escalationStage,
+      direction: STAGE_ORDER.indexOf(task.escalationStage) > STAGE_ORDER.indexOf(from) ? 'up' : 'down',
+      priorityScore: task.priorityScore,
+      at: new Date(now).toISOString()
+    };
+
+    task.escalationHistory = [...(task.escalationHistory || []), transition].slice(-MAX_ESCALATION_HISTORY);
+
+    // Persist the timeline - re-tracking the task on this write finds no further change
+    this.criticalTasksMap.set(task.id, task);
+
+    eventBus.emit(EVENTS.taskEscalated, { task, transition });
+  }
+
+  /**
+   * Forget a deleted task
+   * @private
+   */
+  _untrack(id) {
+    this.ranking.remove(id);
+    this.stages.remove(id);
+    this.deadlines.remove(id);
+    this.snoozes.remove(id);
+    this.nextMetricUpdate.delete(id);
+  }
+
+  /**
+   * Recompute the tasks whose next threshold has passed
+   * @private
+   * Performance: O(d log n) - d = tasks due for recomputation
+   */
+  _refreshMetrics(now = Date.now()) {
+    while (this.metricSchedule.size > 0 && this.metricSchedule.peek().at <= now) {
+      const { at, id } = this.metricSchedule.pop();
+
+      // Skip entries superseded by a later write
+      if (this.nextMetricUpdate.get(id) !== at) continue;
+
+      this.nextMetricUpdate.delete(id);
+      this._track(this.criticalTasksMap.get(id), now);
+    }
+
+    this._armWatch();
+  }
+
+  /**
+   * Recompute tasks as they cross thresholds, even when nothing reads them
+   * Without this, stages (and escalation events) only update on the next read.
+   * Safe to call repeatedly - only the first call has an effect
+   * @returns {NeverForgetManager} This manager
+   */
+  watch() {
+    if (!this.watching) {
+      this.watching = true;
+      this._refreshMetrics();
+    }
+    return this;
+  }
+
+  /**
+   * Stop the threshold timer
+   */
+  unwatch() {
+    clearTimeout(this.watchTimer);
+    this.watchTimer = null;
+    this.watchAt = null;
+    this.watching = false;
+  }
+
+  /**
+   * Point the timer at the earliest scheduled recomputation
+   * @private
+   */
+  _armWatch() {
+    if (!this.watching) return;
+
+    const next = this.metricSchedule.size > 0 ? this.metricSchedule.peek().at : null;
+    if (next === this.watchAt) return;
+
+    clearTimeout(this.watchTimer);
+    this.watchTimer = null;
+    this.watchAt = next;
+    if (next === null) return;
+
+    const delay = Math.min(Math.max(0, next - Date.now()), MAX_TIMER_DELAY);
+    this.watchTimer = setTimeout(() => {
+      this.watchAt = null;
+      this._refreshMetrics();
+    }, delay);
+
+    // Never keep the process alive just to wait for a threshold
+    if (typeof this.watchTimer.unref === 'function') {
+      this.watchTimer.unref();
+    }
+  }
+
+  /**
+   * Switch to a new scoring policy
+   * @private
+   * @param {Object} policy - Complete scoring policy
+   * Performance: O(n log n) - every task is re-scored, but only when the policy actually changed
+   */
+  _applyPolicy(policy) {
+    if (JSON.stringify(policy) === JSON.stringify(this.policy)) return;
+
+    this.policy = policy;
+    this.thresholds = policyThresholds(policy);
+
+    const now = Date.now();
+    this.metricSchedule.clear();
+    this.nextMetricUpdate.clear();
+    for (const task of this.criticalTasksMap.values()) {
+      this._track(task, now);
+    }
+  }
+
+  /**
+   * Open tasks, highest priority score first
+   * @private
+   */
+  * _rankedOpenTasks() {
+    for (const { id } of this.ranking.entries) {
+      yield this.criticalTasksMap.get(id);
+    }
   }
 
   /**
@@ -250,104 +508,142 @@ class NeverForgetManager {
         throw new Error('Task title is required');
       }
 
-      // Create task with full tracking metadata
-      const task = {
-        id: uuidv4(),
-        title: taskData.title.trim(),
-        description: taskData.description?.trim() || '',
-        importance: taskData.importance || 'high',
-        deadline: taskData.deadline || null,
-        
-        // Tracking metadata
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        completed: false,
-        completedAt: null,
-        
-        // Snooze tracking
-        snoozedUntil: null,
-        snoozeCount: 0,
-        snoozeHistory: [],
-        
-        // ADHD support features
-        microSteps: taskData.microSteps || this.generateMicroSteps(taskData.title),
-        visualIndicators: null, // Calculated dynamically
-        
-        // Escalation tracking
-        escalationStage: ESCALATION_STAGES.normal,
-        priorityScore: 0, // Calculated dynamically
-        
-        // User notes
-        notes: [],
-        tags: taskData.tags || []
-      };
+      const blockedBy = taskData.blockedBy || [];
+      const blockerError = validateBlockers(this.criticalTasksMap, null, blockedBy);
+      if (blockerError) {
+        throw new Error(blockerError);
+      }
 
-      // Calculate initial metrics
-      this._updateTaskMetrics(task);
+      const task = this._buildTask({ ...taskData, blockedBy });
 
-      // PERFORMANCE: Use Map.set for O(1) insertion
+      // PERFORMANCE: Use Map.set for O(1) insertion (metrics are calculated on write)
       this.criticalTasksMap.set(task.id, task);
+      revisions.record(COLLECTIONS.criticalTasks, null, task, 'create');
       return task;
     } catch (error) {
       throw new Error(`Failed to add critical task: ${error.message}`);
     }
   }
 
+  /**
+   * Build a new critical task record with full tracking metadata
+   * @private
+   * @param {Object} taskData - Validated task data
+   * @returns {Object} Task (metrics are calculated when it is written)
+   */
+  _buildTask(taskData) {
+    return {
+      id: uuidv4(),
+      title: taskData.title.trim(),
+      description: taskData.description?.trim() || '',
+      importance: taskData.importance || 'high',
+      deadline: taskData.deadline || null,
+      
+      // Tracking metadata
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      completed: false,
+      completedAt: null,
+      
+      // Snooze tracking
+      snoozedUntil: null,
+      snoozeCount: 0,
+      snoozeHistory: [],
+      
+      // ADHD support features
+      microSteps: taskData.microSteps || this.generateMicroSteps(taskData.title, taskData.description),
+      currentStepId: null, // Micro-step in progress (see startMicroStep)
+      visualIndicators: null, // Calculated dynamically
+      
+      // Escalation tracking
+      escalationStage: null, // Set when the task is first written - entering it is not a transition
+      escalationHistory: [], // Stage transitions: { from, to, direction, priorityScore, at }
+      priorityScore: 0, // Calculated dynamically
+      
+      // User notes
+      notes: [],
+      tags: taskData.tags || [],
+
+      // Dependencies - IDs of critical tasks that must be completed first
+      blockedBy: taskData.blockedBy || []
+    };
+  }
+
   /**
    * Get all critical tasks, sorted by priority
-   * PERFORMANCE OPTIMIZED: Single-pass filtering with early evaluation
+   * PERFORMANCE OPTIMIZED: Open tasks are kept ranked, so only the requested ones are read
    * @param {Object} options - Filter options
+   * @param {boolean} options.includeCompleted - Include completed tasks
+   * @param {string} options.escalationStage - Only tasks at this stage
+   * @param {boolean} options.ready - Hide tasks still waiting on a blocker
+   * @param {number} options.limit - Only the N highest-scoring tasks
+   * @param {boolean} options.explain - Add a scoreBreakdown to each open task (see explainPriorityScore)
    * @returns {Array} Sorted array of critical tasks
+   * Performance: O(d log n + k) - d = tasks past a threshold, k = tasks read;
+   *              O(n log n) with includeCompleted
    */
   getCriticalTasks(options = {}) {
-    const now = Date.now();
-    const results = [];
+    this._refreshMetrics();
 
-    // PERFORMANCE: Single-pass filtering and metric update
-    for (const task of this.criticalTasksMap.values()) {
-      // Filter completed tasks
-      if (!options.includeCompleted && task.completed) {
-        continue;
-      }
+    // Completed tasks are not ranked (they keep the metrics they had when completed)
+    const pipeline = options.includeCompleted
+      ? singlePass(this.criticalTasksMap)
+      : singlePass(() => this._rankedOpenTasks());
 
-      // Update metrics (they change over time)
-      this._updateTaskMetrics(task);
+    // Blockers may have been completed since the last write
+    pipeline.map(task => applyBlockedState(this.criticalTasksMap, task));
 
-      // Filter by escalation stage
-      if (options.escalationStage && task.escalationStage !== options.escalationStage) {
-        continue;
-      }
+    if (options.escalationStage) {
+      pipeline.filter(task => task.escalationStage === options.escalationStage);
+    }
 
-      results.push(task);
+    // "Ready to do" - hide tasks still waiting on a blocker
+    if (options.ready) {
+      pipeline.filter(task => !task.blocked);
     }
 
-    // Sort by priority score (highest first)
-    results.sort((a, b) => b.priorityScore - a.priorityScore);
+    if (options.includeCompleted) {
+      pipeline.sort(byPriorityScore);
+    }
 
-    // Limit results if specified
     if (options.limit && options.limit > 0) {
-      return results.slice(0, options.limit);
+      pipeline.limit(options.limit);
+    }
+
+    // Breakdown goes on copies so it is never persisted; completed tasks keep
+    // the score they had when completed, so there is nothing current to explain
+    if (options.explain) {
+      const now = Date.now();
+      pipeline.map(task => ({
+        ...task,
+        scoreBreakdown: task.completed ? null : this.explainPriorityScore(task, now)
+      }));
     }
 
-    return results;
+    return pipeline.execute();
   }
 
   /**
    * Get top priority tasks
    * @param {number} count - Number of tasks to return (default: 3)
+   * @param {Object} options - Filter options (see getCriticalTasks)
    * @returns {Array} Top priority tasks
+   * Performance: O(count) reads from the ranking (plus skipped tasks when filtering)
    */
-  getTopPriorityTasks(count = 3) {
-    return this.getCriticalTasks({ limit: count });
+  getTopPriorityTasks(count = 3, options = {}) {
+    return this.getCriticalTasks({ ...options, limit: count });
   }
 
   /**
    * Snooze a task until a specified time
+   * Capped by the snoozeLimits setting for the task's importance - presets such as
+   * "after lunch" are resolved before this (see lib/snooze-presets.js)
    * PERFORMANCE: O(1) lookup with Map
    * @param {string} taskId - Task ID
    * @param {Date|string} until - When to un-snooze
    * @param {string} reason - Optional reason for snoozing
    * @returns {Object} Updated task
+   * @throws {Error} If the time is invalid, not in the future or past the limit
    */
   snoozeTask(taskId, until, reason = '') {
     const task = this.criticalTasksMap.get(taskId);
@@ -360,6 +656,7 @@ class NeverForgetManager {
       throw new Error('Cannot snooze a completed task');
     }
 
+    const before = revisions.snapshot(task);
     const snoozeUntil = new Date(until);
     
     if (isNaN(snoozeUntil.getTime())) {
@@ -370,6 +667,12 @@ class NeverForgetManager {
       throw new Error('Snooze time must be in the future');
     }
 
+    const exceeded = checkSnoozeLimit(snoozeUntil, task.importance, settings.get().snoozeLimits);
+    if (exceeded) {
+      throw new Error(`Snooze too long - ${exceeded.importance} tasks can be snoozed for at most ${exceeded.limit}. ` +
+        'Pick a shorter snooze or break the task down');
+    }
+
     // Update snooze tracking
     task.snoozedUntil = snoozeUntil.toISOString();
     task.snoozeCount += 1;
@@ -380,9 +683,9 @@ class NeverForgetManager {
     });
     task.updatedAt = new Date().toISOString();
 
-    // Recalculate metrics
-    this._updateTaskMetrics(task);
-
+    // Metrics are recalculated on write
+    this.criticalTasksMap.set(taskId, task);
+    revisions.record(COLLECTIONS.criticalTasks, before, task, 'snooze');
     return task;
   }
 
@@ -403,15 +706,23 @@ class NeverForgetManager {
       throw new Error('Task is already completed');
     }
 
+    const before = revisions.snapshot(task);
+    this._stopCurrentStep(task);
     task.completed = true;
     task.completedAt = new Date().toISOString();
     task.updatedAt = new Date().toISOString();
 
+    this.criticalTasksMap.set(taskId, task);
+    revisions.record(COLLECTIONS.criticalTasks, before, task, 'complete');
+
+    publishUnblocked(this.criticalTasksMap, COLLECTIONS.criticalTasks, taskId);
+    db.resolveAttachedReminders(taskId);
     return task;
   }
 
   /**
    * Update task micro-step completion
+   * Completing the step in progress stops its timer.
    * PERFORMANCE: O(1) task lookup, O(k) step lookup where k is number of steps
    * @param {string} taskId - Task ID
    * @param {string} stepId - Step ID
@@ -419,22 +730,237 @@ class NeverForgetManager {
    * @returns {Object} Updated task
    */
   updateMicroStep(taskId, stepId, completed) {
+    return this._changeSteps(taskId, 'step', task => {
+      const step = this._findStep(task, stepId);
+
+      if (completed && task.currentStepId === stepId) {
+        this._stopCurrentStep(task);
+      }
+
+      step.completed = Boolean(completed);
+      step.completedAt = step.completed ? new Date().toISOString() : null;
+    });
+  }
+
+  /**
+   * Add a micro-step
+   * @param {string} taskId - Task ID
+   * @param {Object} stepData - Step data
+   * @param {string} stepData.description - What to do (required)
+   * @param {number|string} stepData.duration - Planned duration: minutes or text like "1 h 30 min" (default: 10 min)
+   * @param {number} stepData.position - Index to insert at (default: end)
+   * @returns {Object} Updated task
+   */
+  addMicroStep(taskId, stepData = {}) {
+    return this._changeSteps(taskId, 'addStep', task => {
+      if (task.microSteps.length >= MAX_STEPS) {
+        throw new Error(`A task can have at most ${MAX_STEPS} micro-steps`);
+      }
+
+      const description = this._validStepDescription(stepData.description);
+      const minutes = stepData.duration === undefined ? DEFAULT_STEP_MINUTES : this._validStepMinutes(stepData.duration);
+
+      const position = stepData.position === undefined ? task.microSteps.length : stepData.position;
+      if (!Number.isInteger(position) || position < 0 || position > task.microSteps.length) {
+        throw new Error(`Invalid position - must be between 0 and ${task.microSteps.length}`);
+      }
+
+      task.microSteps.splice(position, 0, createStep(description, minutes));
+    });
+  }
+
+  /**
+   * Edit a micro-step's description, planned duration or recorded time
+   * @param {string} taskId - Task ID
+   * @param {string} stepId - Step ID
+   * @param {Object} changes - { description, duration, actualMinutes } (all optional)
+   * @returns {Object} Updated task
+   */
+  editMicroStep(taskId, stepId, changes = {}) {
+    return this._changeSteps(taskId, 'editStep', task => {
+      const step = this._findStep(task, stepId);
+
+      if (changes.description !== undefined) {
+        step.description = this._validStepDescription(changes.description);
+      }
+
+      if (changes.duration !== undefined) {
+        step.duration = formatDuration(this._validStepMinutes(changes.duration));
+      }
+
+      if (changes.actualMinutes !== undefined) {
+        if (typeof changes.actualMinutes !== 'number' || !Number.isFinite(changes.actualMinutes) || changes.actualMinutes < 0) {
+          throw new Error('actualMinutes must be a number of at least 0');
+        }
+        step.actualMinutes = Math.round(changes.actualMinutes * 10) / 10;
+        // Correcting the time of a running step restarts its timer from now
+        if (step.startedAt) step.startedAt = new Date().toISOString();
+      }
+    });
+  }
+
+  /**
+   * Delete a micro-step
+   * @param {string} taskId - Task ID
+   * @param {string} stepId - Step ID
+   * @returns {Object} Updated task
+   */
+  deleteMicroStep(taskId, stepId) {
+    return this._changeSteps(taskId, 'deleteStep', task => {
+      const step = this._findStep(task, stepId);
+
+      if (task.currentStepId === stepId) {
+        task.currentStepId = null;
+      }
+      task.microSteps = task.microSteps.filter(s => s !== step);
+    });
+  }
+
+  /**
+   * Put micro-steps in a new order
+   * @param {string} taskId - Task ID
+   * @param {Array<string>} stepIds - Every step ID of the task, in the new order
+   * @returns {Object} Updated task
+   */
+  reorderMicroSteps(taskId, stepIds) {
+    return this._changeSteps(taskId, 'reorderSteps', task => {
+      const byId = new Map(task.microSteps.map(step => [step.id, step]));
+
+      if (!Array.isArray(stepIds) || stepIds.length !== byId.size ||
+          new Set(stepIds).size !== byId.size || !stepIds.every(id => byId.has(id))) {
+        throw new Error('stepIds must list every micro-step of the task exactly once');
+      }
+
+      task.microSteps = stepIds.map(id => byId.get(id));
+    });
+  }
+
+  /**
+   * Start working on a micro-step
+   * Only one step is in progress at a time - starting another pauses the current one.
+   * @param {string} taskId - Task ID
+   * @param {string} stepId - Step ID
+   * @returns {Object} Updated task
+   */
+  startMicroStep(taskId, stepId) {
+    return this._changeSteps(taskId, 'startStep', task => {
+      const step = this._findStep(task, stepId);
+
+      if (task.completed) {
+        throw new Error('Task is already completed');
+      }
+      if (step.completed) {
+        throw new Error('Micro-step is already completed');
+      }
+      if (task.currentStepId === stepId) return;
+
+      this._stopCurrentStep(task);
+      step.startedAt = new Date().toISOString();
+      task.currentStepId = stepId;
+    });
+  }
+
+  /**
+   * Pause the micro-step in progress, keeping the time spent so far
+   * @param {string} taskId - Task ID
+   * @returns {Object} Updated task
+   */
+  stopMicroStep(taskId) {
+    return this._changeSteps(taskId, 'stopStep', task => {
+      if (!task.currentStepId) {
+        throw new Error('No micro-step in progress');
+      }
+      this._stopCurrentStep(task);
+    });
+  }
+
+  /**
+   * Whether every micro-step of an open task is done
+   * Used to offer completing the task itself
+   * @param {Object} task - Task object
+   * @returns {boolean} True if the task is open, has steps and all of them are completed
+   */
+  allStepsDone(task) {
+    return !task.completed && task.microSteps.length > 0 && task.microSteps.every(step => step.completed);
+  }
+
+  /**
+   * Apply a micro-step change to a task, persist it and record a revision
+   * @private
+   * @param {string} taskId - Task ID
+   * @param {string} action - Revision action
+   * @param {Function} change - task => void, throws to reject the change
+   * @returns {Object} Updated task
+   */
+  _changeSteps(taskId, action, change) {
     const task = this.criticalTasksMap.get(taskId);
-    
+
     if (!task) {
       throw new Error('Task not found');
     }
 
+    const before = revisions.snapshot(task);
+    try {
+      change(task);
+    } catch (error) {
+      // Leave the stored task exactly as it was
+      Object.assign(task, before);
+      throw error;
+    }
+    task.updatedAt = new Date().toISOString();
+
+    this.criticalTasksMap.set(taskId, task);
+    revisions.record(COLLECTIONS.criticalTasks, before, task, action);
+    return task;
+  }
+
+  /**
+   * @private
+   */
+  _findStep(task, stepId) {
     const step = task.microSteps.find(s => s.id === stepId);
-    
+
     if (!step) {
       throw new Error('Micro-step not found');
     }
 
-    step.completed = Boolean(completed);
-    task.updatedAt = new Date().toISOString();
+    return step;
+  }
 
-    return task;
+  /**
+   * Stop the timer of the step in progress, if any
+   * @private
+   */
+  _stopCurrentStep(task) {
+    if (!task.currentStepId) return;
+
+    const step = task.microSteps.find(s => s.id === task.currentStepId);
+    if (step) stopStepTimer(step);
+    task.currentStepId = null;
+  }
+
+  /**
+   * @private
+   */
+  _validStepDescription(description) {
+    if (typeof description !== 'string' || description.trim() === '') {
+      throw new Error('Micro-step description is required');
+    }
+    if (description.trim().length > MAX_STEP_LENGTH) {
+      throw new Error(`Micro-step description must be at most ${MAX_STEP_LENGTH} characters`);
+    }
+    return description.trim();
+  }
+
+  /**
+   * @private
+   */
+  _validStepMinutes(value) {
+    const minutes = toMinutes(value);
+    if (minutes === null) {
+      throw new Error('Invalid duration - use minutes (15) or text like "1 h 30 min", up to 24 hours');
+    }
+    return minutes;
   }
 
   /**
@@ -451,6 +977,7 @@ class NeverForgetManager {
       throw new Error('Task not found');
     }
 
+    const before = revisions.snapshot(task);
     task.notes.push({
       id: uuidv4(),
       text: noteText.trim(),
@@ -458,112 +985,394 @@ class NeverForgetManager {
     });
     task.updatedAt = new Date().toISOString();
 
+    this.criticalTasksMap.set(taskId, task);
+    revisions.record(COLLECTIONS.criticalTasks, before, task, 'note');
     return task;
   }
 
+  /**
+   * Check a proposed blockedBy list (see lib/dependencies.js)
+   * @param {string|null} taskId - Task ID (null for a task about to be created)
+   * @param {*} blockedBy - Proposed blocker IDs
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateBlockers(taskId, blockedBy) {
+    return validateBlockers(this.criticalTasksMap, taskId, blockedBy);
+  }
+
+  /**
+   * Replace the list of tasks this task is blocked by
+   * PERFORMANCE: O(1) lookup, O(n) worst-case cycle check
+   * @param {string} taskId - Task ID
+   * @param {Array<string>} blockedBy - IDs of critical tasks that must be completed first
+   * @returns {Object} Updated task
+   */
+  setBlockers(taskId, blockedBy) {
+    const task = this.criticalTasksMap.get(taskId);
+
+    if (!task) {
+      throw new Error('Task not found');
+    }
+
+    const blockerError = validateBlockers(this.criticalTasksMap, taskId, blockedBy);
+    if (blockerError) {
+      throw new Error(blockerError);
+    }
+
+    const before = revisions.snapshot(task);
+    task.blockedBy = [...new Set(blockedBy)];
+    task.updatedAt = new Date().toISOString();
+
+    this.criticalTasksMap.set(taskId, task);
+    revisions.record(COLLECTIONS.criticalTasks, before, task, 'dependencies');
+    return task;
+  }
+
+  /**
+   * Undo the most recent change to a task
+   * Reverts complete, snooze, note and step actions - including re-opening a completed task
+   * PERFORMANCE: O(1) lookup, O(r) revision scan
+   * @param {string} taskId - Task ID
+   * @returns {Object} { task, revision } - reverted task and the revision that was undone
+   */
+  undoLastChange(taskId) {
+    if (!this.criticalTasksMap.has(taskId)) {
+      throw new Error('Task not found');
+    }
+
+    // Derived metrics are recalculated when the reverted task is written back
+    const { item: task, revision } = revisions.undo(COLLECTIONS.criticalTasks, taskId);
+
+    if (task.completed && revision.changes.some(change => change.field === 'completed')) {
+      publishUnblocked(this.criticalTasksMap, COLLECTIONS.criticalTasks, taskId);
+      db.resolveAttachedReminders(taskId);
+    }
+
+    return { task, revision };
+  }
+
+  /**
+   * Get the revision history of a task
+   * Tasks in the trash or the archive still have their history.
+   * @param {string} taskId - Task ID
+   * @returns {Array|null} Revisions, newest first - or null if there is no such task
+   */
+  getTaskHistory(taskId) {
+    if (!this.criticalTasksMap.has(taskId) && trash.getEntry(taskId)?.collection !== COLLECTIONS.criticalTasks) {
+      return null;
+    }
+    return revisions.getHistory(taskId);
+  }
+
   /**
    * Get tasks requiring immediate attention
-   * PERFORMANCE: Single pass with early filtering
+   * PERFORMANCE: Read straight from the escalation stage index
    * @returns {Array} Critical and emergency tasks
+   * Performance: O(d log n + m log m) - m = alerts
    */
   getUrgentAlerts() {
-    const results = [];
-    
-    for (const task of this.criticalTasksMap.values()) {
-      if (task.completed) continue;
-      
-      // Update metrics to ensure accuracy
-      this._updateTaskMetrics(task);
-      
-      if (task.escalationStage === ESCALATION_STAGES.emergency ||
-          task.escalationStage === ESCALATION_STAGES.critical) {
-        results.push(task);
+    this._refreshMetrics();
+
+    const ids = [
+      ...this.stages.get(ESCALATION_STAGES.emergency),
+      ...this.stages.get(ESCALATION_STAGES.critical)
+    ];
+
+    return ids
+      .map(id => applyBlockedState(this.criticalTasksMap, this.criticalTasksMap.get(id)))
+      .sort(byPriorityScore);
+  }
+
+  /**
+   * Show how the open-task ranking would change under a proposed scoring policy
+   * Nothing is saved - both rankings are computed at the same instant.
+   * @param {Object} changes - Partial scoring policy, merged onto the current one
+   * @param {Object} options - Preview options
+   * @param {number} options.limit - Maximum tasks listed (default: 20)
+   * @returns {Object} { policy, tasks, summary } - tasks in proposed rank order with
+   *   current / proposed { rank, score, stage } and rankChange (positive = moves up)
+   * @throws {Error} If the proposed policy is invalid
+   * Performance: O(n log n)
+   */
+  previewScoringPolicy(changes, options = {}) {
+    const { policy, errors } = resolvePolicy(changes, this.policy);
+    if (errors) {
+      throw new Error(errors.join('; '));
+    }
+
+    const limit = options.limit || 20;
+    const now = Date.now();
+    const openTasks = singlePass(this.criticalTasksMap).filter(task => !task.completed).execute();
+
+    // Rank 1 = top; ties go to the older task under both policies
+    const rank = scoringPolicy => new Map(
+      openTasks
+        .map(task => ({
+          task,
+          score: scoreTask(task, scoringPolicy, now),
+          stage: escalateTask(task, scoringPolicy, now)
+        }))
+        .sort((a, b) => (b.score - a.score) || (Date.parse(a.task.createdAt) - Date.parse(b.task.createdAt)))
+        .map(({ task, score, stage }, index) => [task.id, { rank: index + 1, score, stage }])
+    );
+
+    const current = rank(this.policy);
+    const proposed = rank(policy);
+
+    const tasks = [...proposed].map(([id, after]) => {
+      const before = current.get(id);
+      return {
+        id,
+        title: this.criticalTasksMap.get(id).title,
+        current: before,
+        proposed: after,
+        rankChange: before.rank - after.rank
+      };
+    });
+
+    return {
+      policy,
+      tasks: tasks.slice(0, limit),
+      summary: {
+        total: tasks.length,
+        movedUp: tasks.filter(task => task.rankChange > 0).length,
+        movedDown: tasks.filter(task => task.rankChange < 0).length,
+        stageChanges: tasks.filter(task => task.current.stage !== task.proposed.stage).length
       }
+    };
+  }
+
+  /**
+   * Get recent escalation transitions across all tasks
+   * @param {Object} options - Query options
+   * @param {string} options.taskId - Only this task's transitions
+   * @param {string} options.escalationStage - Only transitions into this stage
+   * @param {string} options.direction - 'up' or 'down'
+   * @param {string} options.since - Only transitions at or after this ISO time
+   * @param {number} options.limit - Maximum transitions (default: 50)
+   * @returns {Array} Transitions, newest first: { taskId, title, from, to, direction, priorityScore, at }
+   * Performance: O(h log k) - h = recorded transitions, k = limit
+   */
+  getRecentEscalations(options = {}) {
+    this._refreshMetrics();
+
+    const pipeline = singlePass(this.criticalTasksMap);
+
+    if (options.taskId) {
+      pipeline.filter(task => task.id === options.taskId);
     }
-    
-    return results.sort((a, b) => b.priorityScore - a.priorityScore);
+
+    pipeline.flatMap(task => (task.escalationHistory || []).map(transition => ({
+      taskId: task.id,
+      title: task.title,
+      ...transition
+    })));
+
+    if (options.escalationStage) {
+      pipeline.filter(transition => transition.to === options.escalationStage);
+    }
+
+    if (options.direction) {
+      pipeline.filter(transition => transition.direction === options.direction);
+    }
+
+    if (options.since) {
+      const since = Date.parse(options.since);
+      pipeline.filter(transition => Date.parse(transition.at) >= since);
+    }
+
+    return pipeline
+      .sort((a, b) => Date.parse(b.at) - Date.parse(a.at))
+      .limit(options.limit || 50)
+      .execute();
+  }
+
+  /**
+   * Analyze snoozing across all tasks - what gets snoozed, why, when, and which
+   * open tasks are stuck in an avoidance loop (with suggested interventions)
+   * @param {Object} options - { timezone, since } (see lib/snooze-analytics.js)
+   * @returns {Object} Snooze analytics
+   * Performance: O(n + s) - s = snooze entries
+   */
+  getSnoozeAnalytics(options = {}) {
+    this._refreshMetrics();
+
+    const tasks = singlePass(this.criticalTasksMap)
+      .map(task => applyBlockedState(this.criticalTasksMap, task))
+      .execute();
+
+    return analyzeSnoozes(tasks, options);
   }
 
   /**
    * Get statistics about critical tasks
-   * PERFORMANCE: Single-pass calculation
+   * PERFORMANCE: Counts come from the maintained indexes
    * @returns {Object} Statistics
+   * Performance: O(d log n + log n)
    */
   getStats() {
-    const stats = {
-      total: 0,
-      active: 0,
-      completed: 0,
-      overdue: 0,
-      snoozed: 0,
-      emergency: 0,
-      critical: 0,
-      urgent: 0
-    };
+    this._refreshMetrics();
 
     const now = Date.now();
+    const total = this.criticalTasksMap.size;
+    const completed = this.stages.count('completed');
+
+    return {
+      total,
+      active: total - completed,
+      completed,
+      overdue: this.deadlines.countRange(-Infinity, now),
+      snoozed: this.snoozes.countRange(now + 1, Infinity),
+      emergency: this.stages.count(ESCALATION_STAGES.emergency),
+      critical: this.stages.count(ESCALATION_STAGES.critical),
+      urgent: this.stages.count(ESCALATION_STAGES.urgent)
+    };
+  }
 
-    // PERFORMANCE: Single pass through all tasks
-    for (const task of this.criticalTasksMap.values()) {
-      stats.total++;
-      
-      if (task.completed) {
-        stats.completed++;
-        continue;
-      }
-      
-      stats.active++;
-      
-      // Update metrics for accurate stats
-      this._updateTaskMetrics(task);
-      
-      // Check overdue
-      if (task.deadline && new Date(task.deadline).getTime() < now) {
-        stats.overdue++;
-      }
-      
-      // Check snoozed
-      if (task.snoozedUntil && new Date(task.snoozedUntil).getTime() > now) {
-        stats.snoozed++;
-      }
-      
-      // Count by escalation stage
-      switch (task.escalationStage) {
-        case ESCALATION_STAGES.emergency:
-          stats.emergency++;
-          break;
-        case ESCALATION_STAGES.critical:
-          stats.critical++;
-          break;
-        case ESCALATION_STAGES.urgent:
-          stats.urgent++;
-          break;
-      }
+  /**
+   * Promote a regular task into Never Forget
+   * The task keeps its ID, so its revision history and attached reminders come along.
+   * Fields Never Forget has no use for (priority, schedule, parent, blockers) are set
+   * aside and come back on demoteTask; a task demoted earlier gets its snoozes, notes
+   * and micro-steps back. Tasks it blocked stop waiting on it while it is promoted.
+   * @param {string} taskId - Task ID (see lib/db.js)
+   * @param {Object} options - Promote options
+   * @param {string} options.importance - critical|high|medium|low (default: as before, or high)
+   * @returns {Object} Critical task
+   * @throws {Error} If the task is not found, completed, or the importance is invalid
+   */
+  promoteTask(taskId, options = {}) {
+    const task = db.getTaskById(taskId);
+
+    if (!task) {
+      throw new Error('Task not found');
     }
-    
-    return stats;
+
+    if (task.completed) {
+      throw new Error('Cannot promote a completed task');
+    }
+
+    if (options.importance !== undefined && !(options.importance in IMPORTANCE_RANK)) {
+      throw new Error('Importance must be: critical, high, medium, or low');
+    }
+
+    const promoted = moveItem(taskId, COLLECTIONS.tasks, COLLECTIONS.criticalTasks, item => {
+      const shelved = item.shelvedFields || {};
+      const restored = pickFields(shelved, CRITICAL_ONLY_FIELDS);
+
+      return {
+        ...this._buildTask({
+          title: item.title,
+          description: item.description,
+          deadline: item.dueDate,
+          tags: item.tags,
+          microSteps: restored.microSteps
+        }),
+        ...restored,
+        importance: options.importance || restored.importance || 'high',
+        createdAt: item.createdAt,
+        shelvedFields: pickFields(item, TASK_ONLY_FIELDS)
+      };
+    }, 'promote');
+
+    // Its old parent may now have only completed subtasks left
+    db.rollUpCompletion(task.parentId);
+    return promoted;
   }
 
   /**
-   * Clear all completed tasks (archive functionality)
+   * Demote a Never Forget task back to a regular task
+   * The reverse of promoteTask - same ID, history and attached reminders; snoozes,
+   * notes and micro-steps are set aside for a later promotion.
+   * @param {string} taskId - Task ID
+   * @returns {Object} Regular task (see lib/db.js)
+   * @throws {Error} If the task is not found
+   */
+  demoteTask(taskId) {
+    if (!this.criticalTasksMap.has(taskId)) {
+      throw new Error('Task not found');
+    }
+
+    const demoted = moveItem(taskId, COLLECTIONS.criticalTasks, COLLECTIONS.tasks, item => {
+      const shelved = item.shelvedFields || {};
+      this._stopCurrentStep(item);
+
+      return {
+        title: item.title,
+        description: item.description,
+        priority: shelved.priority || PRIORITY_FOR_IMPORTANCE[item.importance] || 'medium',
+        tags: item.tags,
+        completed: item.completed,
+        dueDate: item.deadline,
+        startDate: shelved.startDate ?? null,
+        estimatedMinutes: shelved.estimatedMinutes ?? null,
+        parentId: shelved.parentId ?? null,
+        blockedBy: shelved.blockedBy || [],
+        createdAt: item.createdAt,
+        updatedAt: new Date().toISOString(),
+        shelvedFields: pickFields(item, CRITICAL_ONLY_FIELDS)
+      };
+    }, 'demote');
+
+    // Back under its parent - and its own subtasks decide whether it is completed
+    db.rollUpCompletion(demoted.parentId);
+    db.rollUpCompletion(demoted.id);
+    return db.getTaskById(demoted.id);
+  }
+
+  /**
+   * Delete a task - soft delete, the task moves to the trash (see lib/trash.js)
+   * Completing a task is usually the better choice - it keeps the history
+   * PERFORMANCE: O(1) lookup with Map
+   * @param {string} taskId - Task ID
+   * @returns {Object} Trash entry
+   */
+  deleteTask(taskId) {
+    const entry = trash.moveToTrash(COLLECTIONS.criticalTasks, taskId);
+
+    if (!entry) {
+      throw new Error('Task not found');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Archive all completed tasks
+   * Archived tasks leave the active list but can be restored from /api/trash
    * PERFORMANCE: O(n) but only called occasionally
-   * @returns {number} Number of tasks cleared
+   * @returns {number} Number of tasks archived
    */
   clearCompleted() {
-    let clearedCount = 0;
+    let archivedCount = 0;
     
-    for (const [id, task] of this.criticalTasksMap.entries()) {
+    for (const task of Array.from(this.criticalTasksMap.values())) {
       if (task.completed) {
-        this.criticalTasksMap.delete(id);
-        clearedCount++;
+        trash.moveToArchive(COLLECTIONS.criticalTasks, task.id);
+        archivedCount++;
       }
     }
     
-    return clearedCount;
+    return archivedCount;
   }
 }
 
-// Create singleton instance
-const neverForget = new NeverForgetManager();
+/**
+ * Get the process-wide Never Forget manager
+ * Stored on globalThis so hot reloads and separately bundled API routes share one
+ * set of subscriptions and one threshold timer
+ * @returns {NeverForgetManager} Shared manager
+ */
+function getNeverForget() {
+  const key = Symbol.for('poke-brain.neverForget');
+
+  if (!globalThis[key]) {
+    globalThis[key] = new NeverForgetManager();
+  }
+
+  return globalThis[key];
+}
+
+const neverForget = getNeverForget();
 
-export { neverForget, ESCALATION_STAGES, PRIORITY_WEIGHTS };
+export { neverForget, ESCALATION_STAGES, PRIORITY_WEIGHTS, SORT_KEYS, FILTER_FIELDS };
@@ -0,0 +1,97 @@
+// lib/reminder-policies.js
+// Re-notification policies for poke-brain reminder types
+// gentle fires once, persistent backs off until acknowledged, urgent repeats fast and escalates
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Re-notification policy per reminder type
+ * - repeat: keep notifying until acknowledged
+ * - initialIntervalMs: wait before the first repeat
+ * - backoffFactor: interval multiplier after every repeat (1 = fixed interval)
+ * - maxIntervalMs: upper bound for the interval
+ * - escalateEvery: raise the escalation level every N notifications (0 = never)
+ * - maxEscalationLevel: highest escalation level
+ */
+const REMINDER_POLICIES = {
+  gentle: {
+    repeat: false,
+    initialIntervalMs: 0,
+    backoffFactor: 1,
+    maxIntervalMs: 0,
+    escalateEvery: 0,
+    maxEscalationLevel: 0
+  },
+  persistent: {
+    repeat: true,
+    initialIntervalMs: 5 * MINUTE,
+    backoffFactor: 2,
+    maxIntervalMs: 2 * 60 * MINUTE,
+    escalateEvery: 0,
+    maxEscalationLevel: 0
+  },
+  urgent: {
+    repeat: true,
+    initialIntervalMs: 1 * MINUTE,
+    backoffFactor: 1,
+    maxIntervalMs: 1 * MINUTE,
+    escalateEvery: 3,
+    maxEscalationLevel: 2
+  }
+};
+
+/**
+ * Escalation levels for repeating reminders
+ * Delivery channels use the level to decide how loud to be
+ */
+const ESCALATION_LEVELS = ['standard', 'loud', 'all-channels'];
+
+/**
+ * Get the policy for a reminder type
+ * @param {string} type - Reminder type (gentle|persistent|urgent)
+ * @returns {Object} Policy (gentle for unknown types)
+ */
+function getReminderPolicy(type) {
+  return REMINDER_POLICIES[type] || REMINDER_POLICIES.gentle;
+}
+
+/**
+ * Compute the delay before the next re-notification
+ * @param {string} type - Reminder type
+ * @param {number} notificationCount - Notifications already sent (>= 1 once fired)
+ * @returns {number|null} Delay in ms, or null if the reminder should not repeat
+ */
+function getRenotifyDelay(type, notificationCount) {
+  const policy = getReminderPolicy(type);
+  if (!policy.repeat) {
+    return null;
+  }
+
+  const repeats = Math.max(0, notificationCount - 1);
+  const interval = policy.initialIntervalMs * Math.pow(policy.backoffFactor, repeats);
+  return Math.min(interval, policy.maxIntervalMs);
+}
+
+/**
+ * Compute the escalation level after a number of notifications
+ * @param {string} type - Reminder type
+ * @param {number} notificationCount - Notifications sent so far
+ * @returns {number} Escalation level (index into ESCALATION_LEVELS)
+ */
+function getEscalationLevel(type, notificationCount) {
+  const policy = getReminderPolicy(type);
+  if (!policy.escalateEvery) {
+    return 0;
+  }
+
+  const level = Math.floor(Math.max(0, notificationCount - 1) / policy.escalateEvery);
+  return Math.min(level, policy.maxEscalationLevel);
+}
+
+export {
+  REMINDER_POLICIES,
+  ESCALATION_LEVELS,
+  getReminderPolicy,
+  getRenotifyDelay,
+  getEscalationLevel
+};
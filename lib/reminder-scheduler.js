@@ -0,0 +1,287 @@
+// lib/reminder-scheduler.js
+// Reminder scheduler for poke-brain
+// PERFORMANCE OPTIMIZED: Min-heap of remindAt times + a single timer for the next due reminder
+// Fires each reminder exactly once and catches up on reminders missed while the server was down
+// Repeating types (persistent, urgent) are re-notified per lib/reminder-policies.js until acknowledged
+
+import { db } from './db';
+import { Heap } from './heap';
+import { eventBus, EVENTS } from './event-bus';
+import { ESCALATION_LEVELS, getRenotifyDelay, getEscalationLevel } from './reminder-policies';
+
+// setTimeout overflows above ~24.8 days - longer waits are re-armed in hops
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+class ReminderScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {InMemoryDB} options.db - Database holding the reminders (default: shared db)
+   * @param {EventEmitter} options.bus - Event bus to publish on (default: shared bus)
+   */
+  constructor(options = {}) {
+    this.db = options.db || db;
+    this.bus = options.bus || eventBus;
+
+    // Heap entries are never removed in place: rescheduled or cancelled
+    // reminders leave stale entries behind that are skipped when popped
+    this.heap = new Heap((a, b) => a.time - b.time);
+    this.scheduled = new Map(); // reminderId -> currently scheduled time
+
+    this.timer = null;
+    this.started = false;
+    this.startedAt = null;
+  }
+
+  /**
+   * Load all pending reminders and re-notifications and start firing them
+   * Anything whose time already passed (e.g. while the server was down) fires immediately
+   * Safe to call repeatedly - only the first call has an effect
+   * @returns {ReminderScheduler} This scheduler
+   */
+  start() {
+    if (this.started) {
+      return this;
+    }
+
+    this.started = true;
+    this.startedAt = Date.now();
+
+    for (const reminder of this.db.getReminders()) {
+      this._enqueue(reminder);
+    }
+
+    this._arm();
+    return this;
+  }
+
+  /**
+   * Stop the timer and forget all scheduled reminders
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.heap.clear();
+    this.scheduled.clear();
+    this.started = false;
+  }
+
+  /**
+   * Schedule (or reschedule) a reminder at its next notification time
+   * @param {Object} reminder - Reminder object
+   * Performance: O(log n)
+   */
+  schedule(reminder) {
+    if (!reminder) {
+      return;
+    }
+
+    this._enqueue(reminder);
+
+    if (this.started) {
+      this._arm();
+    }
+  }
+
+  /**
+   * Cancel a scheduled reminder
+   * @param {string} id - Reminder ID
+   * Performance: O(1) - the heap entry is dropped lazily
+   */
+  unschedule(id) {
+    this.scheduled.delete(id);
+  }
+
+  /**
+   * Fire every reminder that is due
+   * Called by the timer; exposed so callers can force a check
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {number} Number of reminders fired
+   */
+  tick(now = Date.now()) {
+    let fired = 0;
+
+    while (this.heap.size > 0 && this.heap.peek().time <= now) {
+      const { id, time } = this.heap.pop();
+
+      if (this.scheduled.get(id) !== time) {
+        continue; // Stale entry - cancelled or rescheduled
+      }
+
+      this.scheduled.delete(id);
+      if (this._fire(id, time, now)) {
+        fired++;
+      }
+    }
+
+    if (this.started) {
+      this._arm();
+    }
+
+    return fired;
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {Object} Status object
+   */
+  getStatus() {
+    const next = this._peekLive();
+
+    return {
+      running: this.started,
+      scheduled: this.scheduled.size,
+      nextDueAt: next ? new Date(next.time).toISOString() : null
+    };
+  }
+
+  /**
+   * Get the next time a reminder needs a notification
+   * For a fired, unacknowledged recurring reminder that is the earlier of the
+   * next repeat and the next occurrence (which rolls the reminder over)
+   * @private
+   * @returns {number|null} Time in ms, or null if nothing is pending
+   */
+  _nextNotificationTime(reminder) {
+    if (reminder.acknowledged) {
+      return null;
+    }
+
+    // A snooze before the first notification postpones it past remindAt
+    const candidates = reminder.triggered
+      ? [reminder.nextNotificationAt, reminder.recurrence?.nextOccurrenceAt]
+      : [reminder.snoozedUntil || reminder.remindAt];
+
+    const times = candidates
+      .filter(Boolean)
+      .map(value => new Date(value).getTime())
+      .filter(time => !isNaN(time));
+
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  /**
+   * @private
+   */
+  _enqueue(reminder) {
+    const time = this._nextNotificationTime(reminder);
+    if (time === null) {
+      this.scheduled.delete(reminder.id);
+      return;
+    }
+
+    this.scheduled.set(reminder.id, time);
+    this.heap.push({ id: reminder.id, time });
+  }
+
+  /**
+   * Deliver a notification: the first one triggers the reminder, later ones are repeats
+   * State is persisted before publishing, so a reminder is never triggered twice,
+   * even if the process restarts right after firing
+   * @private
+   * @returns {boolean} True if a notification was published
+   */
+  _fire(id, time, now) {
+    const reminder = this.db.getReminderById(id);
+    if (!reminder || reminder.acknowledged) {
+      return false;
+    }
+
+    // Still unacknowledged when the next occurrence arrives - roll over to it
+    const nextOccurrenceAt = reminder.recurrence?.nextOccurrenceAt;
+    if (reminder.triggered && nextOccurrenceAt && time >= new Date(nextOccurrenceAt).getTime()) {
+      this.db.advanceRecurringReminder(id);
+    }
+
+    const isFirst = !reminder.triggered;
+    if (isFirst) {
+      this.db.triggerReminder(id);
+    }
+
+    const attempt = (reminder.notificationCount || 0) + 1;
+    const escalationLevel = getEscalationLevel(reminder.type, attempt);
+    const delay = getRenotifyDelay(reminder.type, attempt);
+
+    this.db.recordReminderNotification(id, {
+      nextNotificationAt: delay === null ? null : new Date(now + delay).toISOString(),
+      escalationLevel
+    });
+
+    try {
+      this.bus.emit(isFirst ? EVENTS.reminderDue : EVENTS.reminderRenotify, {
+        reminder: { ...reminder }, // Snapshot - recurring reminders roll over right after firing
+        attempt,
+        escalationLevel,
+        escalation: ESCALATION_LEVELS[escalationLevel],
+        missed: time < this.startedAt,
+        lateByMs: Math.max(0, now - time)
+      });
+    } catch (error) {
+      // A failing delivery channel must not stop other reminders from firing
+      console.error('Reminder delivery failed:', error);
+    }
+
+    // Non-repeating recurring reminders are done as soon as they fire
+    if (delay === null && reminder.recurrence) {
+      this.db.advanceRecurringReminder(id);
+    }
+
+    this._enqueue(reminder);
+    return true;
+  }
+
+  /**
+   * Discard stale entries at the top of the heap and return the next live one
+   * @private
+   */
+  _peekLive() {
+    while (this.heap.size > 0) {
+      const top = this.heap.peek();
+      if (this.scheduled.get(top.id) === top.time) {
+        return top;
+      }
+      this.heap.pop();
+    }
+    return null;
+  }
+
+  /**
+   * Point the single timer at the next due reminder
+   * @private
+   */
+  _arm() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const next = this._peekLive();
+    if (!next) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(0, next.time - Date.now()), MAX_TIMER_DELAY);
+    this.timer = setTimeout(() => this.tick(), delay);
+
+    // Never keep the process alive just to wait for a reminder
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+  }
+}
+
+/**
+ * Get the process-wide scheduler
+ * Stored on globalThis so hot reloads never end up with two timers firing the same reminder
+ * @returns {ReminderScheduler} Shared scheduler
+ */
+function getReminderScheduler() {
+  const key = Symbol.for('poke-brain.reminderScheduler');
+
+  if (!globalThis[key]) {
+    globalThis[key] = new ReminderScheduler();
+  }
+
+  return globalThis[key];
+}
+
+const reminderScheduler = getReminderScheduler();
+
+export { reminderScheduler, ReminderScheduler };
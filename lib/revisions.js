@@ -0,0 +1,167 @@
+// lib/revisions.js
+// Revision history and undo for poke-brain
+// Every mutation of a task or critical task is stored as a field diff, so any
+// change can be inspected later and the most recent one can be reverted.
+
+import { v4 as uuidv4 } from 'uuid';
+import { getStorage, COLLECTIONS } from './storage';
+
+// Oldest revisions are dropped beyond this many per item
+const MAX_REVISIONS = 100;
+
+// Moves between collections (see lib/item-links.js) - reverted by moving back, not by undo
+const MOVE_ACTIONS = new Set(['promote', 'demote']);
+
+// Derived or bookkeeping fields - recomputed on every change, not worth a revision
+const IGNORED_FIELDS = new Set([
+  'updatedAt', 'priorityScore', 'escalationStage', 'escalationHistory', 'progress', 'visualIndicators', 'blocked', 'waitingOn'
+]);
+
+/**
+ * Compute field-level changes between two versions of a record
+ * Nested values (arrays, objects) are compared structurally and stored whole.
+ * @param {Object} before - Previous version ({} for a new record)
+ * @param {Object} after - New version
+ * @returns {Array} Changes: [{ field, from, to }] (from/to undefined = field absent)
+ */
+function diffRecords(before, after) {
+  const changes = [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({
+        field,
+        from: structuredClone(before[field]),
+        to: structuredClone(after[field])
+      });
+    }
+  }
+
+  return changes;
+}
+
+class RevisionLog {
+  /**
+   * @param {Object} storage - Storage adapter (default: configured shared adapter)
+   */
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+
+    // One record per item: { id, collection, revisions: [...] } (oldest first)
+    this.revisionsMap = storage.collection(COLLECTIONS.revisions);
+  }
+
+  /**
+   * Take a copy of a record before mutating it
+   * @param {Object} record - Record about to change
+   * @returns {Object} Deep copy to pass to record()
+   */
+  snapshot(record) {
+    return structuredClone(record);
+  }
+
+  /**
+   * Record a mutation as a revision
+   * @param {string} collection - Collection of the item (see COLLECTIONS)
+   * @param {Object|null} before - Snapshot before the change (null for creation)
+   * @param {Object} after - Record after the change
+   * @param {string} action - What caused the change ('create', 'update', 'complete', ...)
+   * @returns {Object|null} Revision, or null if nothing changed
+   * Performance: O(f) - f = number of fields
+   */
+  record(collection, before, after, action) {
+    const changes = diffRecords(before || {}, after);
+    if (changes.length === 0) return null;
+
+    const revision = {
+      id: uuidv4(),
+      action,
+      timestamp: new Date().toISOString(),
+      changes,
+      undone: false,
+      undoneAt: null
+    };
+
+    const history = this.revisionsMap.get(after.id) || { id: after.id, collection, revisions: [] };
+    history.collection = collection; // Follows the item when it moves
+    history.revisions.push(revision);
+    if (history.revisions.length > MAX_REVISIONS) {
+      history.revisions.splice(0, history.revisions.length - MAX_REVISIONS);
+    }
+
+    this.revisionsMap.set(after.id, history);
+    return revision;
+  }
+
+  /**
+   * Get the revision history of an item
+   * @param {string} id - Item ID
+   * @returns {Array} Revisions, newest first
+   * Performance: O(1) lookup + O(r) copy
+   */
+  getHistory(id) {
+    const history = this.revisionsMap.get(id);
+    return history ? [...history.revisions].reverse() : [];
+  }
+
+  /**
+   * Revert the most recent change to an item that has not been undone yet
+   * Undo can be repeated to walk further back; creation and moves cannot be undone.
+   * The reverted revision stays in the history, marked undone.
+   * @param {string} collection - Collection of the item (see COLLECTIONS)
+   * @param {string} id - Item ID
+   * @returns {Object} { item, revision } - restored item and the revision that was undone
+   * @throws {Error} If the item does not exist or there is nothing to undo
+   * Performance: O(r + f) - r = revisions, f = changed fields
+   */
+  undo(collection, id) {
+    const items = this.storage.collection(collection);
+    const item = items.get(id);
+    if (!item) {
+      throw new Error('Item not found');
+    }
+
+    const history = this.revisionsMap.get(id);
+    const revision = history && history.revisions.findLast(r => !r.undone);
+    if (!revision || revision.action === 'create') {
+      throw new Error('Nothing to undo');
+    }
+    if (MOVE_ACTIONS.has(revision.action)) {
+      throw new Error(`Nothing to undo since the last ${revision.action} - move it back instead`);
+    }
+
+    for (const { field, from } of revision.changes) {
+      if (from === undefined) {
+        delete item[field];
+      } else {
+        item[field] = structuredClone(from);
+      }
+    }
+    item.updatedAt = new Date().toISOString();
+
+    revision.undone = true;
+    revision.undoneAt = item.updatedAt;
+
+    items.set(id, item);
+    this.revisionsMap.set(id, history);
+    return { item, revision };
+  }
+
+  /**
+   * Drop the history of an item (used when the item is purged for good)
+   * @param {string} id - Item ID
+   * @returns {boolean} True if a history was removed
+   * Performance: O(1) - Direct Map deletion
+   */
+  forget(id) {
+    return this.revisionsMap.delete(id);
+  }
+}
+
+// Create singleton instance
+const revisions = new RevisionLog();
+
+export { revisions, diffRecords, MAX_REVISIONS };
@@ -0,0 +1,387 @@
+// lib/rrule.js
+// Minimal iCalendar (RFC 5545) RRULE support for recurring reminders
+// Supports FREQ (HOURLY|DAILY|WEEKLY|MONTHLY|YEARLY), INTERVAL, BYDAY, COUNT and UNTIL
+// Occurrences are expanded in wall-clock time in the rule's timezone (TZID) and then converted
+// back to UTC, so a daily 08:00 reminder stays at 08:00 local time across DST changes
+
+import { getZonedParts, zonedTimeToUtc } from './timezone';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const FREQUENCIES = ['HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Index matches Date#getUTCDay() and getZonedParts().weekday
+
+// Guards against rules that can never match (e.g. BYDAY filtering out every period)
+const MAX_PERIODS = 10000;
+
+/**
+ * Parse an RRULE string
+ * @param {string} input - e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10'
+ * @returns {Object} Rule { freq, interval, byDay: [{ weekday, ordinal }], count, until }
+ * @throws {Error} If the rule is malformed or unsupported
+ */
+function parseRRule(input) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new Error('RRULE must be a non-empty string');
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], count: null, until: null };
+  const body = input.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+
+    if (value === undefined || value.trim() === '') {
+      throw new Error(`RRULE part ${key} has no value`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value.trim().toUpperCase();
+        if (!FREQUENCIES.includes(rule.freq)) {
+          throw new Error(`Unsupported FREQ ${value} - must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = parsePositiveInt(value, 'INTERVAL');
+        break;
+      case 'COUNT':
+        rule.count = parsePositiveInt(value, 'COUNT');
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value.trim());
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(parseByDay);
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('RRULE requires FREQ');
+  }
+
+  if (rule.count && rule.until) {
+    throw new Error('RRULE cannot have both COUNT and UNTIL');
+  }
+
+  if (rule.byDay.some(day => day.ordinal !== null) && rule.freq !== 'MONTHLY') {
+    throw new Error('Numbered BYDAY (e.g. 1MO, -1FR) is only supported with FREQ=MONTHLY');
+  }
+
+  if (rule.byDay.length > 0 && rule.freq === 'YEARLY') {
+    throw new Error('BYDAY is not supported with FREQ=YEARLY');
+  }
+
+  return rule;
+}
+
+/**
+ * Format a parsed rule back into a normalized RRULE string
+ * @param {Object} rule - Parsed rule
+ * @returns {string} RRULE string (without the RRULE: prefix)
+ */
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal ?? ''}${d.weekday}`).join(',')}`);
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+
+  return parts.join(';');
+}
+
+/**
+ * Iterate occurrences of a rule in chronological order
+ * DTSTART is always the first occurrence (RFC 5545) and counts towards COUNT
+ * @param {Object|string} rrule - Parsed rule or RRULE string
+ * @param {Date|string} dtstart - First occurrence
+ * @param {Date|string} after - Optional: skip ahead to occurrences after this time
+ * @param {string} tzid - IANA timezone the rule repeats in (default: UTC)
+ * @yields {Date} Occurrence
+ */
+function* iterateOccurrences(rrule, dtstart, after = null, tzid = 'UTC') {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  const start = new Date(dtstart);
+  if (isNaN(start.getTime())) {
+    throw new Error('Invalid DTSTART');
+  }
+
+  const local = { ...getZonedParts(start, tzid), millisecond: start.getUTCMilliseconds() };
+
+  // PERFORMANCE: Without COUNT we can jump close to `after` instead of walking from DTSTART
+  const firstPeriod = after && !rule.count ? estimatePeriod(rule, start, new Date(after), tzid) : 0;
+  let emitted = 0;
+
+  if (firstPeriod === 0) {
+    yield start;
+    emitted++;
+  }
+
+  for (let period = firstPeriod; period < firstPeriod + MAX_PERIODS; period++) {
+    for (const candidate of expandPeriod(rule, start, local, tzid, period)) {
+      if (candidate <= start) continue;
+      if (rule.until && candidate > rule.until) return;
+      if (rule.count && emitted >= rule.count) return;
+
+      yield candidate;
+      emitted++;
+    }
+
+    if (rule.count && emitted >= rule.count) return;
+  }
+}
+
+/**
+ * Get upcoming occurrences
+ * @param {Object|string} rrule - Parsed rule or RRULE string
+ * @param {Date|string} dtstart - First occurrence
+ * @param {Object} options - { after: exclusive lower bound (default: none), limit: max results (default: 10),
+ *   tzid: IANA timezone the rule repeats in (default: UTC) }
+ * @returns {Array<Date>} Occurrences
+ */
+function getOccurrences(rrule, dtstart, options = {}) {
+  const after = options.after ? new Date(options.after) : null;
+  const limit = options.limit || 10;
+  const results = [];
+
+  for (const occurrence of iterateOccurrences(rrule, dtstart, after, options.tzid || 'UTC')) {
+    if (after && occurrence <= after) continue;
+    results.push(occurrence);
+    if (results.length >= limit) break;
+  }
+
+  return results;
+}
+
+/**
+ * Get the first occurrence strictly after a point in time
+ * @param {Object|string} rrule - Parsed rule or RRULE string
+ * @param {Date|string} dtstart - First occurrence
+ * @param {Date|string} after - Exclusive lower bound
+ * @param {string} tzid - IANA timezone the rule repeats in (default: UTC)
+ * @returns {Date|null} Next occurrence or null if the series has ended
+ */
+function getNextOccurrence(rrule, dtstart, after, tzid = 'UTC') {
+  return getOccurrences(rrule, dtstart, { after, limit: 1, tzid })[0] || null;
+}
+
+/**
+ * @private
+ */
+function parsePositiveInt(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Parse UNTIL as YYYYMMDD, YYYYMMDDTHHMMSSZ or an ISO string
+ * @private
+ */
+function parseUntil(value) {
+  const compact = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  const date = compact
+    ? new Date(Date.UTC(+compact[1], +compact[2] - 1, +compact[3],
+      compact[4] ? +compact[4] : 23, compact[5] ? +compact[5] : 59, compact[6] ? +compact[6] : 59))
+    : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid UNTIL ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Parse a BYDAY token such as MO, 1MO or -1FR
+ * @private
+ */
+function parseByDay(token) {
+  const match = token.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+  if (!match) {
+    throw new Error(`Invalid BYDAY value ${token}`);
+  }
+
+  const ordinal = match[1] ? parseInt(match[1], 10) : null;
+  if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+    throw new Error(`Invalid BYDAY ordinal in ${token} - must be 1..5 or -1..-5`);
+  }
+
+  return { weekday: match[2], ordinal };
+}
+
+/**
+ * Estimate a period index safely before `after` (one period of slack)
+ * @private
+ */
+function estimatePeriod(rule, start, after, tzid) {
+  if (after <= start) return 0;
+
+  const diff = after - start;
+  let periods;
+
+  switch (rule.freq) {
+    case 'HOURLY':
+      periods = diff / (HOUR * rule.interval);
+      break;
+    case 'DAILY':
+      periods = diff / (DAY * rule.interval);
+      break;
+    case 'WEEKLY':
+      periods = diff / (7 * DAY * rule.interval);
+      break;
+    case 'MONTHLY':
+      periods = monthsBetween(getZonedParts(start, tzid), getZonedParts(after, tzid)) / rule.interval;
+      break;
+    case 'YEARLY':
+      periods = (getZonedParts(after, tzid).year - getZonedParts(start, tzid).year) / rule.interval;
+      break;
+  }
+
+  return Math.max(0, Math.floor(periods) - 1);
+}
+
+/**
+ * @private
+ */
+function monthsBetween(a, b) {
+  return (b.year - a.year) * 12 + (b.month - a.month);
+}
+
+/**
+ * @private
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Weekday of a calendar date (month is 0-based, out-of-range days roll over)
+ * @private
+ */
+function weekdayOf(year, month, day) {
+  return new Date(Date.UTC(year, month, day)).getUTCDay();
+}
+
+/**
+ * @private
+ */
+function matchesByDay(rule, weekday) {
+  return rule.byDay.length === 0 ||
+    rule.byDay.some(day => WEEKDAYS.indexOf(day.weekday) === weekday);
+}
+
+/**
+ * DTSTART's wall-clock time of day on another calendar date, as a UTC instant
+ * @private
+ */
+function atLocalTime(local, tzid, year, month, day) {
+  const instant = zonedTimeToUtc({
+    year,
+    month: month + 1,
+    day,
+    hour: local.hour,
+    minute: local.minute,
+    second: local.second
+  }, tzid);
+  return new Date(instant.getTime() + local.millisecond);
+}
+
+/**
+ * Expand one period (hour, day, week, month or year) into sorted candidate dates
+ * Days, weeks, months and years are calendar periods in the rule's timezone; hours are elapsed time.
+ * @private
+ */
+function expandPeriod(rule, start, local, tzid, period) {
+  const step = period * rule.interval;
+  const year = local.year;
+  const month = local.month - 1;
+
+  switch (rule.freq) {
+    case 'HOURLY': {
+      const date = new Date(start.getTime() + step * HOUR);
+      return matchesByDay(rule, getZonedParts(date, tzid).weekday) ? [date] : [];
+    }
+
+    case 'DAILY': {
+      const day = local.day + step;
+      return matchesByDay(rule, weekdayOf(year, month, day)) ? [atLocalTime(local, tzid, year, month, day)] : [];
+    }
+
+    case 'WEEKLY': {
+      // Weeks start on Monday (RFC 5545 default WKST=MO)
+      const weekStart = local.day - (local.weekday + 6) % 7 + step * 7;
+      const weekdays = rule.byDay.length > 0
+        ? rule.byDay.map(day => WEEKDAYS.indexOf(day.weekday))
+        : [local.weekday];
+
+      return [...new Set(weekdays)]
+        .map(weekday => (weekday + 6) % 7)
+        .sort((a, b) => a - b)
+        .map(offset => atLocalTime(local, tzid, year, month, weekStart + offset));
+    }
+
+    case 'MONTHLY': {
+      const monthIndex = month + step;
+      const targetYear = year + Math.floor(monthIndex / 12);
+      const targetMonth = ((monthIndex % 12) + 12) % 12;
+      const days = daysInMonth(targetYear, targetMonth);
+
+      if (rule.byDay.length === 0) {
+        // Months without DTSTART's day (e.g. the 31st) are skipped, as in RFC 5545
+        return local.day <= days
+          ? [atLocalTime(local, tzid, targetYear, targetMonth, local.day)]
+          : [];
+      }
+
+      const dates = new Set();
+      for (const { weekday, ordinal } of rule.byDay) {
+        const matching = [];
+        for (let day = 1; day <= days; day++) {
+          if (weekdayOf(targetYear, targetMonth, day) === WEEKDAYS.indexOf(weekday)) {
+            matching.push(day);
+          }
+        }
+
+        const picked = ordinal === null
+          ? matching
+          : [matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal]].filter(Boolean);
+
+        for (const day of picked) {
+          dates.add(day);
+        }
+      }
+
+      return [...dates].sort((a, b) => a - b).map(day => atLocalTime(local, tzid, targetYear, targetMonth, day));
+    }
+
+    case 'YEARLY': {
+      const targetYear = year + step;
+      // Feb 29 only recurs in leap years
+      return local.day <= daysInMonth(targetYear, month)
+        ? [atLocalTime(local, tzid, targetYear, month, local.day)]
+        : [];
+    }
+
+    default:
+      return [];
+  }
+}
+
+export {
+  parseRRule,
+  formatRRule,
+  iterateOccurrences,
+  getOccurrences,
+  getNextOccurrence,
+  WEEKDAYS
+};
@@ -0,0 +1,332 @@
+// lib/scoring-policy.js
+// Scoring and escalation policy for Never Forget tasks
+// Weights, deadline/recency bonuses, snooze effects and escalation cut-offs are data, not code,
+// so each person can tune them to their own time horizon (see the scoringPolicy setting)
+
+import { stepProgress } from './micro-steps';
+
+const HOUR = 60 * 60 * 1000;
+
+const ESCALATION_STAGES = {
+  normal: 'normal',          // Task is on track
+  attention: 'attention',    // Task needs attention soon
+  urgent: 'urgent',          // Task is becoming urgent
+  critical: 'critical',      // Task is overdue or extremely urgent
+  emergency: 'emergency'     // Task is dangerously overdue
+};
+
+// Keeps tier lists short enough to reason about
+const MAX_TIERS = 10;
+
+/**
+ * Default policy - what poke-brain has always used
+ * Tiers are checked in order: the first whose withinHours is not yet reached applies.
+ */
+const DEFAULT_SCORING_POLICY = {
+  // Base score per importance level
+  importanceWeights: {
+    critical: 100,
+    high: 50,
+    medium: 25,
+    low: 10
+  },
+  // Bonus as the deadline approaches; overdue tasks gain more every full hour
+  deadline: {
+    tiers: [
+      { withinHours: 24, bonus: 150 },
+      { withinHours: 72, bonus: 100 },
+      { withinHours: 168, bonus: 50 }
+    ],
+    overdueBonus: 200,
+    overduePerHour: 10
+  },
+  // Temporary visibility for newly added tasks
+  recency: {
+    tiers: [
+      { withinHours: 1, bonus: 30 },
+      { withinHours: 24, bonus: 10 }
+    ]
+  },
+  // An active snooze lowers the score; every snooze so far raises it (avoidance)
+  snooze: {
+    activePenalty: 100,
+    perSnoozeBonus: 20
+  },
+  // Momentum for started tasks - up to maxBonus in proportion to micro-step progress
+  progress: {
+    maxBonus: 40
+  },
+  // Stage cut-offs before and after the deadline, and for repeatedly snoozed tasks
+  escalation: {
+    attentionWithinHours: 72,
+    urgentWithinHours: 24,
+    criticalWithinHours: 6,
+    criticalAfterOverdueHours: 24,
+    emergencyAfterOverdueHours: 72,
+    attentionAfterSnoozes: 3,
+    urgentAfterSnoozes: 5
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge a partial policy onto a base (tier lists are replaced whole)
+ * @param {Object} base - Complete policy
+ * @param {Object} patch - Partial policy
+ * @returns {Object} New merged policy
+ */
+function mergePolicy(base, patch = {}) {
+  const merged = structuredClone(base);
+
+  for (const [key, value] of Object.entries(patch || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+      ? mergePolicy(merged[key], value)
+      : structuredClone(value);
+  }
+
+  return merged;
+}
+
+/**
+ * Check the shape and values of a (partial) policy against the default
+ * @private
+ */
+function validateShape(patch, template, path, errors) {
+  if (!isPlainObject(patch)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(patch)) {
+    const fieldPath = `${path}.${key}`;
+
+    if (!(key in template)) {
+      errors.push(`Unknown field: ${fieldPath}`);
+    } else if (key === 'tiers') {
+      validateTiers(value, fieldPath, errors);
+    } else if (isPlainObject(template[key])) {
+      validateShape(value, template[key], fieldPath, errors);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`${fieldPath} must be a number of at least 0`);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function validateTiers(tiers, path, errors) {
+  if (!Array.isArray(tiers) || tiers.length > MAX_TIERS) {
+    errors.push(`${path} must be a list of at most ${MAX_TIERS} { withinHours, bonus } tiers`);
+    return;
+  }
+
+  tiers.forEach((tier, index) => {
+    const valid = isPlainObject(tier) &&
+      Object.keys(tier).every(key => key === 'withinHours' || key === 'bonus') &&
+      typeof tier.withinHours === 'number' && tier.withinHours > 0 && Number.isFinite(tier.withinHours) &&
+      typeof tier.bonus === 'number' && tier.bonus >= 0 && Number.isFinite(tier.bonus);
+
+    if (!valid) {
+      errors.push(`${path}[${index}] must be { withinHours > 0, bonus >= 0 }`);
+    } else if (index > 0 && tiers[index - 1].withinHours >= tier.withinHours) {
+      errors.push(`${path} must be ordered by increasing withinHours`);
+    }
+  });
+}
+
+/**
+ * Validate a proposed policy change and resolve it against a base policy
+ * Checks every field, then that the merged cut-offs still make sense together
+ * (e.g. critical before urgent before attention).
+ * @param {Object} patch - Partial policy
+ * @param {Object} base - Policy the patch applies to (default: DEFAULT_SCORING_POLICY)
+ * @returns {Object} { policy } or { errors }
+ */
+function resolvePolicy(patch, base = DEFAULT_SCORING_POLICY) {
+  const errors = [];
+  validateShape(patch, DEFAULT_SCORING_POLICY, 'scoringPolicy', errors);
+  if (errors.length > 0) return { errors };
+
+  const policy = mergePolicy(base, patch);
+  const e = policy.escalation;
+
+  if (!(e.criticalWithinHours < e.urgentWithinHours && e.urgentWithinHours < e.attentionWithinHours)) {
+    errors.push('escalation must have criticalWithinHours < urgentWithinHours < attentionWithinHours');
+  }
+  if (!(e.criticalAfterOverdueHours < e.emergencyAfterOverdueHours)) {
+    errors.push('escalation must have criticalAfterOverdueHours < emergencyAfterOverdueHours');
+  }
+  if (!(e.attentionAfterSnoozes < e.urgentAfterSnoozes)) {
+    errors.push('escalation must have attentionAfterSnoozes < urgentAfterSnoozes');
+  }
+
+  return errors.length > 0 ? { errors } : { policy };
+}
+
+/**
+ * Human-readable length of a time span
+ * @private
+ */
+function formatHours(hours) {
+  if (hours < 1) return `${Math.max(1, Math.floor(hours * 60))} min`;
+  if (hours < 48) return `${Math.floor(hours)}h`;
+  return `${Math.floor(hours / 24)} days`;
+}
+
+/**
+ * Explain a task's priority score component by component
+ * Components: importance, deadline, overdueHours, recency, progress, snoozePenalty, snoozeCount.
+ * Every component is listed, with 0 points and the reason when it does not apply.
+ * @param {Object} task - Task object
+ * @param {Object} policy - Complete scoring policy
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { total, components: [{ component, points, explanation }] }
+ */
+function explainScore(task, policy, now = Date.now()) {
+  const components = [];
+  const add = (component, points, explanation) => components.push({ component, points, explanation });
+
+  // Base importance score
+  const importance = task.importance in policy.importanceWeights ? task.importance : 'medium';
+  add('importance', policy.importanceWeights[importance], `${importance} importance`);
+
+  // Deadline urgency
+  if (!task.deadline) {
+    add('deadline', 0, 'No deadline');
+    add('overdueHours', 0, 'No deadline');
+  } else {
+    const hoursUntilDeadline = (Date.parse(task.deadline) - now) / HOUR;
+
+    if (hoursUntilDeadline < 0) {
+      // Overdue - score grows with every full hour overdue
+      const hoursOverdue = Math.floor(-hoursUntilDeadline);
+      add('deadline', policy.deadline.overdueBonus, `Overdue by ${formatHours(-hoursUntilDeadline)}`);
+      add('overdueHours', hoursOverdue * policy.deadline.overduePerHour,
+        `${hoursOverdue} full hour(s) overdue × ${policy.deadline.overduePerHour}`);
+    } else {
+      const tier = policy.deadline.tiers.find(t => hoursUntilDeadline < t.withinHours);
+      add('deadline', tier ? tier.bonus : 0, tier
+        ? `Due in ${formatHours(hoursUntilDeadline)} (within ${tier.withinHours}h)`
+        : `Due in ${formatHours(hoursUntilDeadline)} - not close enough for a bonus`);
+      add('overdueHours', 0, 'Not overdue');
+    }
+  }
+
+  // Recency boost - newly added tasks get temporary visibility
+  const hoursSinceCreation = (now - Date.parse(task.createdAt)) / HOUR;
+  const recency = policy.recency.tiers.find(t => hoursSinceCreation < t.withinHours);
+  add('recency', recency ? recency.bonus : 0, recency
+    ? `Added ${formatHours(hoursSinceCreation)} ago (within ${recency.withinHours}h)`
+    : `Added ${formatHours(hoursSinceCreation)} ago - no longer new`);
+
+  // Progress boost - a half-done task is easier to finish than a new one is to start
+  const progress = stepProgress(task.microSteps);
+  add('progress', progress ? Math.round(policy.progress.maxBonus * progress / 100) : 0, progress
+    ? `${progress}% of planned micro-step time done`
+    : 'No micro-steps done yet');
+
+  // Snooze penalty - snoozed tasks get lower priority while the snooze lasts (never below 0)
+  const subtotal = components.reduce((sum, c) => sum + c.points, 0);
+  if (task.snoozedUntil && Date.parse(task.snoozedUntil) > now) {
+    add('snoozePenalty', -Math.min(subtotal, policy.snooze.activePenalty),
+      `Snoozed for another ${formatHours((Date.parse(task.snoozedUntil) - now) / HOUR)}`);
+  } else {
+    add('snoozePenalty', 0, 'Not snoozed');
+  }
+
+  // Consecutive snooze penalty - tasks snoozed multiple times get escalated
+  const snoozeCount = task.snoozeCount || 0;
+  add('snoozeCount', snoozeCount * policy.snooze.perSnoozeBonus, snoozeCount > 0
+    ? `Snoozed ${snoozeCount} time(s) × ${policy.snooze.perSnoozeBonus} - repeated snoozing escalates`
+    : 'Never snoozed');
+
+  return {
+    total: components.reduce((sum, c) => sum + c.points, 0),
+    components
+  };
+}
+
+/**
+ * Calculate the priority score of a task
+ * @param {Object} task - Task object
+ * @param {Object} policy - Complete scoring policy
+ * @param {number} now - Current time (ms)
+ * @returns {number} Priority score (higher = more important)
+ */
+function scoreTask(task, policy, now = Date.now()) {
+  return explainScore(task, policy, now).total;
+}
+
+/**
+ * Determine the escalation stage of a task
+ * @param {Object} task - Task object
+ * @param {Object} policy - Complete scoring policy
+ * @param {number} now - Current time (ms)
+ * @returns {string} Escalation stage
+ */
+function escalateTask(task, policy, now = Date.now()) {
+  const e = policy.escalation;
+
+  if (!task.deadline) {
+    return task.snoozeCount >= e.urgentAfterSnoozes ? ESCALATION_STAGES.urgent : ESCALATION_STAGES.normal;
+  }
+
+  const hoursUntilDeadline = (Date.parse(task.deadline) - now) / HOUR;
+
+  // Overdue tasks
+  if (hoursUntilDeadline < 0) {
+    const hoursOverdue = -hoursUntilDeadline;
+    if (hoursOverdue > e.emergencyAfterOverdueHours) return ESCALATION_STAGES.emergency;
+    if (hoursOverdue > e.criticalAfterOverdueHours) return ESCALATION_STAGES.critical;
+    return ESCALATION_STAGES.urgent;
+  }
+
+  // Approaching deadline
+  if (hoursUntilDeadline < e.criticalWithinHours) return ESCALATION_STAGES.critical;
+  if (hoursUntilDeadline < e.urgentWithinHours) return ESCALATION_STAGES.urgent;
+  if (hoursUntilDeadline < e.attentionWithinHours) return ESCALATION_STAGES.attention;
+
+  // Multiple snoozes indicate avoidance - escalate
+  if (task.snoozeCount >= e.urgentAfterSnoozes) return ESCALATION_STAGES.urgent;
+  if (task.snoozeCount >= e.attentionAfterSnoozes) return ESCALATION_STAGES.attention;
+
+  return ESCALATION_STAGES.normal;
+}
+
+/**
+ * Points in time (relative to deadline and creation) where a policy's score or stage steps
+ * Used to schedule metric recomputation; overdue tasks also change every full hour.
+ * @param {Object} policy - Complete scoring policy
+ * @returns {Object} { deadlineHours: hours before (+) / after (-) the deadline, recencyHours: hours after creation }
+ */
+function policyThresholds(policy) {
+  const e = policy.escalation;
+
+  return {
+    deadlineHours: [
+      ...policy.deadline.tiers.map(t => t.withinHours),
+      e.attentionWithinHours,
+      e.urgentWithinHours,
+      e.criticalWithinHours,
+      0,
+      -e.criticalAfterOverdueHours,
+      -e.emergencyAfterOverdueHours
+    ],
+    recencyHours: policy.recency.tiers.map(t => t.withinHours)
+  };
+}
+
+export {
+  DEFAULT_SCORING_POLICY,
+  ESCALATION_STAGES,
+  mergePolicy,
+  resolvePolicy,
+  scoreTask,
+  explainScore,
+  escalateTask,
+  policyThresholds
+};
@@ -0,0 +1,354 @@
+// lib/search-index.js
+// Local full-text search for poke-brain
+// PERFORMANCE OPTIMIZED: Inverted index (token -> documents) kept in sync through collection subscriptions
+// Covers tasks, reminders and Never Forget tasks including their notes and micro-steps
+
+import { getStorage, COLLECTIONS } from './storage';
+
+// Field weights - a match in a title counts more than one in a note
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  description: 1,
+  message: 1,
+  notes: 1,
+  microSteps: 1
+};
+
+// Relative value of a match kind
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.4
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'be', 'by', 'for', 'from', 'i', 'in', 'is', 'it',
+  'my', 'of', 'on', 'or', 'that', 'the', 'this', 'thing', 'to', 'with', 'about'
+]);
+
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Searchable text per collection
+ * Each extractor maps a record to { field: text }
+ */
+const SEARCHABLE = {
+  [COLLECTIONS.tasks]: task => ({
+    title: task.title,
+    description: task.description,
+    tags: (task.tags || []).join(' ')
+  }),
+  [COLLECTIONS.reminders]: reminder => ({
+    title: reminder.title,
+    message: reminder.message
+  }),
+  [COLLECTIONS.criticalTasks]: task => ({
+    title: task.title,
+    description: task.description,
+    tags: (task.tags || []).join(' '),
+    notes: (task.notes || []).map(note => note.text).join(' • '),
+    microSteps: (task.microSteps || []).map(step => step.description).join(' • ')
+  })
+};
+
+/**
+ * Fold a string for matching - lower case, accents removed
+ * @private
+ */
+function fold(text) {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into index tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens (folded, stop words removed)
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return fold(String(text))
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 0 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Edit distance allowed for a fuzzy match of a query term
+ * @private
+ */
+function maxEditDistance(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * Edit distance (Levenshtein + adjacent transpositions, so 'dentsit' is one
+ * edit from 'dentist') with an early exit once `limit` is exceeded
+ * @private
+ * @returns {number} Distance, or limit + 1 if larger than limit
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Escape text for use inside HTML
+ * @private
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+class SearchIndex {
+  /**
+   * @param {Object} storage - Storage adapter (default: configured shared adapter)
+   */
+  constructor(storage = getStorage()) {
+    // Document key ('collection:id') -> { collection, id, fields }
+    this.documents = new Map();
+    // Token -> Map(document key -> weighted term frequency)
+    this.postings = new Map();
+
+    for (const [collection, extract] of Object.entries(SEARCHABLE)) {
+      const records = storage.collection(collection);
+
+      for (const record of records.values()) {
+        this._add(collection, record, extract);
+      }
+
+      // Stay in sync with every write, whichever code path makes it
+      records.subscribe(({ op, key, value }) => {
+        if (op === 'set') {
+          this._remove(`${collection}:${key}`);
+          this._add(collection, value, extract);
+        } else if (op === 'delete') {
+          this._remove(`${collection}:${key}`);
+        } else if (op === 'clear') {
+          for (const docKey of this.documents.keys()) {
+            if (docKey.startsWith(`${collection}:`)) this._remove(docKey);
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Index a record
+   * @private
+   */
+  _add(collection, record, extract) {
+    const docKey = `${collection}:${record.id}`;
+    const fields = extract(record);
+    const weights = new Map();
+
+    for (const [field, text] of Object.entries(fields)) {
+      for (const token of tokenize(text)) {
+        weights.set(token, (weights.get(token) || 0) + FIELD_WEIGHTS[field]);
+      }
+    }
+
+    for (const [token, weight] of weights) {
+      if (!this.postings.has(token)) this.postings.set(token, new Map());
+      this.postings.get(token).set(docKey, weight);
+    }
+
+    this.documents.set(docKey, { collection, id: record.id, fields, tokens: [...weights.keys()] });
+  }
+
+  /**
+   * Remove a record from the index
+   * @private
+   */
+  _remove(docKey) {
+    const doc = this.documents.get(docKey);
+    if (!doc) return;
+
+    for (const token of doc.tokens) {
+      const posting = this.postings.get(token);
+      posting.delete(docKey);
+      if (posting.size === 0) this.postings.delete(token);
+    }
+    this.documents.delete(docKey);
+  }
+
+  /**
+   * Find index tokens matching a query term
+   * Exact match, prefix match (term is the start of a token) and fuzzy match
+   * (small edit distance, scaled with term length)
+   * @private
+   * @returns {Map} token -> match weight
+   */
+  _expandTerm(term) {
+    const matches = new Map();
+    if (this.postings.has(term)) matches.set(term, MATCH_WEIGHTS.exact);
+
+    const limit = maxEditDistance(term);
+    for (const token of this.postings.keys()) {
+      if (matches.has(token)) continue;
+
+      if (token.startsWith(term)) {
+        matches.set(token, MATCH_WEIGHTS.prefix);
+      } else if (limit > 0 && editDistance(term, token, limit) <= limit) {
+        matches.set(token, MATCH_WEIGHTS.fuzzy);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Search the index
+   * Ranking: documents matching more query terms come first; within the same
+   * coverage, TF-IDF weighted by field and match kind decides.
+   * @param {string} query - Free text query
+   * @param {Object} options - Search options
+   * @param {Array<string>} options.collections - Collections to search (default: all)
+   * @param {number} options.limit - Maximum results (default: 20)
+   * @returns {Array} Results: { collection, id, title, score, matchedTerms, coverage, snippet }
+   * Performance: O(V) per query term for prefix/fuzzy expansion (V = vocabulary size)
+   */
+  search(query, options = {}) {
+    const terms = [...new Set(tokenize(query))];
+    const collections = options.collections || Object.keys(SEARCHABLE);
+    const limit = options.limit || 20;
+    const totalDocs = this.documents.size || 1;
+
+    const hits = new Map(); // docKey -> { score, terms: Set, tokens: Set }
+
+    for (const term of terms) {
+      const expansions = this._expandTerm(term);
+
+      // IDF per query term, so a rare prefix/fuzzy match can't outrank an exact one
+      const matchedDocs = new Set();
+      for (const token of expansions.keys()) {
+        for (const docKey of this.postings.get(token).keys()) matchedDocs.add(docKey);
+      }
+      const idf = Math.log(1 + totalDocs / (matchedDocs.size || 1));
+
+      for (const [token, matchWeight] of expansions) {
+        const posting = this.postings.get(token);
+
+        for (const [docKey, weight] of posting) {
+          if (!hits.has(docKey)) hits.set(docKey, { score: 0, terms: new Set(), tokens: new Set() });
+          const hit = hits.get(docKey);
+          hit.score += weight * idf * matchWeight;
+          hit.terms.add(term);
+          hit.tokens.add(token);
+        }
+      }
+    }
+
+    const results = [];
+    for (const [docKey, hit] of hits) {
+      const doc = this.documents.get(docKey);
+      if (!collections.includes(doc.collection)) continue;
+
+      results.push({
+        collection: doc.collection,
+        id: doc.id,
+        title: doc.fields.title,
+        score: Math.round(hit.score * 100) / 100,
+        matchedTerms: [...hit.terms],
+        coverage: hit.terms.size / terms.length,
+        snippet: this._snippet(doc, hit.tokens)
+      });
+    }
+
+    return results
+      .sort((a, b) => (b.coverage - a.coverage) || (b.score - a.score))
+      .slice(0, limit);
+  }
+
+  /**
+   * Build a highlighted snippet from the best matching field
+   * Text is HTML-escaped; matched words are wrapped in <mark>
+   * @private
+   */
+  _snippet(doc, tokens) {
+    let best = null;
+
+    for (const [field, text] of Object.entries(doc.fields)) {
+      if (!text) continue;
+
+      const words = [...String(text).matchAll(/[\p{L}\p{N}]+/gu)]
+        .filter(match => tokens.has(fold(match[0])));
+      const score = words.length * FIELD_WEIGHTS[field];
+
+      if (words.length > 0 && (!best || score > best.score)) {
+        best = { field, text: String(text), words, score };
+      }
+    }
+
+    if (!best) return null;
+
+    const first = best.words[0].index;
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(best.text.length, first + SNIPPET_RADIUS * 2);
+
+    let html = '';
+    let cursor = start;
+    for (const match of best.words) {
+      const wordEnd = match.index + match[0].length;
+      if (match.index < start || wordEnd > end) continue;
+
+      html += escapeHtml(best.text.slice(cursor, match.index));
+      html += `<mark>${escapeHtml(match[0])}</mark>`;
+      cursor = wordEnd;
+    }
+    html += escapeHtml(best.text.slice(cursor, end));
+
+    return {
+      field: best.field,
+      text: `${start > 0 ? '…' : ''}${html}${end < best.text.length ? '…' : ''}`
+    };
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} { documents, tokens }
+   */
+  getStats() {
+    return { documents: this.documents.size, tokens: this.postings.size };
+  }
+}
+
+/**
+ * Get the process-wide search index
+ * Stored on globalThis so hot reloads don't stack up duplicate subscriptions
+ * @returns {SearchIndex} Shared index
+ */
+function getSearchIndex() {
+  const key = Symbol.for('poke-brain.searchIndex');
+
+  if (!globalThis[key]) {
+    globalThis[key] = new SearchIndex();
+  }
+
+  return globalThis[key];
+}
+
+const searchIndex = getSearchIndex();
+
+export { searchIndex, SearchIndex, SEARCHABLE, tokenize };
@@ -0,0 +1,159 @@
+// lib/settings.js
+// User settings for poke-brain
+// Persisted through the storage adapter; every update is validated before it is stored
+
+import { getStorage, COLLECTIONS } from './storage';
+import { isValidTimezone } from './timezone';
+import { DEFAULT_SCORING_POLICY, mergePolicy, resolvePolicy } from './scoring-policy';
+import {
+  DEFAULT_WORKING_HOURS, DEFAULT_SNOOZE_LIMITS, validateWorkingHours, validateSnoozeLimits
+} from './snooze-presets';
+
+const SETTINGS_KEY = 'user';
+
+// Trashed items can be kept for up to ten years
+const MAX_TRASH_RETENTION_DAYS = 3650;
+
+/**
+ * Defaults for every setting
+ * Stored settings only hold what the user changed
+ */
+const DEFAULT_SETTINGS = {
+  timezone: process.env.POKE_BRAIN_TIMEZONE || 'UTC',
+  trashRetentionDays: parseInt(process.env.POKE_BRAIN_TRASH_RETENTION_DAYS, 10) || 30,
+  // Never Forget scoring and escalation (see lib/scoring-policy.js) - updates are partial and deep-merged
+  scoringPolicy: DEFAULT_SCORING_POLICY,
+  // Snooze presets ("after lunch", "next workday") resolve against these (see lib/snooze-presets.js)
+  workingHours: DEFAULT_WORKING_HOURS,
+  // Longest snooze in hours per importance level - reminders map their type to a level
+  snoozeLimits: DEFAULT_SNOOZE_LIMITS
+};
+
+// Object settings whose updates are partial - merged field by field over the stored value
+const MERGED_SETTINGS = ['workingHours', 'snoozeLimits'];
+
+/**
+ * Validate a partial settings update
+ * @param {Object} updates - Settings to change
+ * @param {Object} current - Effective settings the update applies to (default: DEFAULT_SETTINGS)
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateSettings(updates, current = DEFAULT_SETTINGS) {
+  const errors = [];
+
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return ['Settings must be an object'];
+  }
+
+  for (const key of Object.keys(updates)) {
+    if (!(key in DEFAULT_SETTINGS)) {
+      errors.push(`Unknown setting: ${key}`);
+    }
+  }
+
+  if (updates.timezone !== undefined && !isValidTimezone(updates.timezone)) {
+    errors.push(`Invalid timezone: ${updates.timezone} - use an IANA name like Europe/Berlin`);
+  }
+
+  if (updates.trashRetentionDays !== undefined) {
+    const days = updates.trashRetentionDays;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_TRASH_RETENTION_DAYS) {
+      errors.push(`Invalid trashRetentionDays: must be a whole number between 1 and ${MAX_TRASH_RETENTION_DAYS}`);
+    }
+  }
+
+  if (updates.scoringPolicy !== undefined) {
+    // Checked against the current policy, so cross-field rules see the merged result
+    const { errors: policyErrors = [] } = resolvePolicy(updates.scoringPolicy, current.scoringPolicy);
+    errors.push(...policyErrors);
+  }
+
+  if (updates.workingHours !== undefined) {
+    errors.push(...validateWorkingHours(updates.workingHours, current.workingHours));
+  }
+
+  if (updates.snoozeLimits !== undefined) {
+    errors.push(...validateSnoozeLimits(updates.snoozeLimits));
+  }
+
+  return errors;
+}
+
+class SettingsStore {
+  /**
+   * @param {Object} storage - Storage adapter (default: configured shared adapter)
+   */
+  constructor(storage = getStorage()) {
+    this.settingsMap = storage.collection(COLLECTIONS.settings);
+  }
+
+  /**
+   * Get the effective settings (defaults merged with stored values)
+   * @returns {Object} Settings
+   */
+  get() {
+    const stored = this.settingsMap.get(SETTINGS_KEY) || {};
+    return {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      scoringPolicy: mergePolicy(DEFAULT_SCORING_POLICY, stored.scoringPolicy),
+      workingHours: { ...DEFAULT_WORKING_HOURS, ...stored.workingHours },
+      snoozeLimits: { ...DEFAULT_SNOOZE_LIMITS, ...stored.snoozeLimits }
+    };
+  }
+
+  /**
+   * Update settings
+   * @param {Object} updates - Settings to change
+   * @returns {Object} Effective settings after the update
+   * @throws {Error} If validation fails (message lists every problem)
+   */
+  update(updates) {
+    const errors = validateSettings(updates, this.get());
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const stored = this.settingsMap.get(SETTINGS_KEY) || {};
+    const next = { ...stored, ...updates };
+    if (updates.scoringPolicy !== undefined) {
+      // Only the overrides are stored, so later changes to the defaults still apply
+      next.scoringPolicy = mergePolicy(stored.scoringPolicy || {}, updates.scoringPolicy);
+    }
+    for (const key of MERGED_SETTINGS) {
+      if (updates[key] !== undefined) {
+        next[key] = { ...stored[key], ...updates[key] };
+      }
+    }
+
+    this.settingsMap.set(SETTINGS_KEY, {
+      ...next,
+      updatedAt: new Date().toISOString()
+    });
+
+    return this.get();
+  }
+
+  /**
+   * Watch for settings changes from any write path
+   * @param {Function} listener - Called with the effective settings after each change
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    return this.settingsMap.subscribe(() => listener(this.get()));
+  }
+
+  /**
+   * Restore all defaults
+   * @returns {Object} Default settings
+   */
+  reset() {
+    this.settingsMap.delete(SETTINGS_KEY);
+    return this.get();
+  }
+}
+
+// Create singleton instance
+const settings = new SettingsStore();
+
+export { settings, DEFAULT_SETTINGS, validateSettings };
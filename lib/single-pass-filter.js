@@ -1,17 +1,146 @@
 // lib/single-pass-filter.js
 // Universal single-pass filtering utility for performance optimization
 // Eliminates multiple array iterations and intermediate allocations
+// LAZY: Items are pulled through the pipeline one at a time - sync, iterator or async sources
+
+import { Heap } from './heap';
+
+// Operations that pass items through one at a time (sort is a barrier)
+const STREAMING_OPERATIONS = new Set(['filter', 'map', 'flatMap', 'distinct', 'skip', 'limit']);
+
+/**
+ * Build the per-run state of a run of streaming operations
+ * push() returns the items that come out for one input item; full() turns true
+ * once a limit is reached and nothing more can get through.
+ * @private
+ */
+function createPipeline(operations) {
+  const state = operations.map(operation => ({ count: 0, seen: operation.type === 'distinct' ? new Set() : null }));
+  const limits = operations
+    .map((operation, index) => (operation.type === 'limit' ? index : -1))
+    .filter(index => index >= 0);
+
+  const full = () => limits.some(index => state[index].count >= operations[index].fn);
+
+  function run(item, start, output) {
+    for (let i = start; i < operations.length; i++) {
+      const operation = operations[i];
+
+      switch (operation.type) {
+        case 'filter':
+          if (!operation.fn(item)) return;
+          break;
+        case 'map':
+          item = operation.fn(item);
+          break;
+        case 'flatMap':
+          for (const child of operation.fn(item)) {
+            run(child, i + 1, output);
+            if (full()) return;
+          }
+          return;
+        case 'distinct': {
+          const key = operation.fn(item);
+          if (state[i].seen.has(key)) return;
+          state[i].seen.add(key);
+          break;
+        }
+        case 'skip':
+          if (state[i].count < operation.fn) {
+            state[i].count++;
+            return;
+          }
+          break;
+        case 'limit':
+          if (state[i].count >= operation.fn) return;
+          state[i].count++;
+          break;
+      }
+    }
+
+    output.push(item);
+  }
+
+  return {
+    full,
+    push(item) {
+      const output = [];
+      run(item, 0, output);
+      return output;
+    }
+  };
+}
+
+/**
+ * How many sorted items the operations after a sort can use
+ * Only maps, skips and a limit keep the count predictable.
+ * @private
+ * @returns {number} skip + limit, or Infinity if everything is needed
+ */
+function sortBound(operations) {
+  let offset = 0;
+
+  for (const operation of operations) {
+    if (operation.type === 'map') continue;
+    if (operation.type === 'skip') {
+      offset += operation.fn;
+      continue;
+    }
+    return operation.type === 'limit' ? offset + operation.fn : Infinity;
+  }
+
+  return Infinity;
+}
+
+/**
+ * Sort an iterable, keeping only the first `bound` items
+ * Bounded heap holding the current best k - the worst of them sits on top.
+ * Stable: equal items keep their input order.
+ * @private
+ * Performance: O(n log k) instead of O(n log n) for a full sort
+ */
+function sortTop(items, compareFn, bound) {
+  const compare = (a, b) => compareFn(a.item, b.item) || a.index - b.index;
+
+  if (bound === Infinity) {
+    return Array.from(items).sort(compareFn);
+  }
+
+  const heap = new Heap((a, b) => compare(b, a));
+  let index = 0;
+
+  for (const item of items) {
+    const entry = { item, index: index++ };
+    if (heap.size < bound) {
+      heap.push(entry);
+    } else if (bound > 0 && compare(entry, heap.peek()) < 0) {
+      heap.pop();
+      heap.push(entry);
+    }
+  }
+
+  return heap.items.sort(compare).map(entry => entry.item);
+}
 
 /**
  * Single-pass filter, map, and reduce operations
  * Combines multiple operations into one iteration for maximum performance
- * 
+ *
+ * Operations run in the order they were added. Items stream through filter,
+ * map, flatMap, distinct, skip and limit without intermediate arrays; a sort
+ * collects what reaches it first - with a limit after it, only the top k are
+ * kept (bounded heap), so sort(...).limit(10) is the true top 10.
+ *
  * Performance: O(n) single pass instead of O(k*n) for k operations
- * 
+ *              O(n log k) for sort + limit(k)
+ *
  * @template T Input type
  * @template U Output type
  */
 class SinglePassProcessor {
+  /**
+   * @param {Iterable|AsyncIterable|Function} data - Items, or a function returning a fresh iterable per run
+   */
   constructor(data) {
     this.data = data;
     this.operations = [];
@@ -43,6 +172,32 @@ class SinglePassProcessor {
     return this;
   }
 
+  /**
+   * Add a flatMap operation - each item becomes zero or more items
+   * @param {Function} mapper - Returns an iterable of items
+   * @returns {SinglePassProcessor} Chainable instance
+   */
+  flatMap(mapper) {
+    this.operations.push({
+      type: 'flatMap',
+      fn: mapper
+    });
+    return this;
+  }
+
+  /**
+   * Drop items whose key was already seen (first one wins)
+   * @param {Function} keyFn - Key function (default: the item itself)
+   * @returns {SinglePassProcessor} Chainable instance
+   */
+  distinct(keyFn = item => item) {
+    this.operations.push({
+      type: 'distinct',
+      fn: keyFn
+    });
+    return this;
+  }
+
   /**
    * Add a sort operation
    * @param {Function} compareFn - Compare function
@@ -56,6 +211,19 @@ class SinglePassProcessor {
     return this;
   }
 
+  /**
+   * Skip the first items
+   * @param {number} count - Number of items to skip
+   * @returns {SinglePassProcessor} Chainable instance
+   */
+  skip(count) {
+    this.operations.push({
+      type: 'skip',
+      fn: count
+    });
+    return this;
+  }
+
   /**
    * Add a limit operation
    * @param {number} count - Maximum number of items
@@ -70,57 +238,107 @@ class SinglePassProcessor {
   }
 
   /**
-   * Execute all operations in a single pass
-   * @returns {Array} Processed results
-   * 
-   * Performance: Single iteration regardless of operation count
+   * Get a fresh iterable over the source
+   * @private
    */
-  execute() {
-    let results = [];
-    const hasLimit = this.operations.some(op => op.type === 'limit');
-    const limitValue = hasLimit 
-      ? this.operations.find(op => op.type === 'limit').fn 
-      : Infinity;
-
-    // PERFORMANCE: Single pass through data
-    for (const item of this.data) {
-      // Early termination if limit reached
-      if (results.length >= limitValue) {
-        break;
+  _source() {
+    return typeof this.data === 'function' ? this.data() : this.data;
+  }
+
+  /**
+   * Stream items through a list of operations, sort barriers included
+   * @private
+   */
+  * _run(items, operations) {
+    const barrier = operations.findIndex(operation => !STREAMING_OPERATIONS.has(operation.type));
+    const streaming = barrier === -1 ? operations : operations.slice(0, barrier);
+    const pipeline = createPipeline(streaming);
+
+    const stream = (function* () {
+      if (pipeline.full()) return;
+      for (const item of items) {
+        yield* pipeline.push(item);
+        if (pipeline.full()) return;
       }
+    })();
+
+    if (barrier === -1) {
+      yield* stream;
+      return;
+    }
+
+    const rest = operations.slice(barrier + 1);
+    yield* this._run(sortTop(stream, operations[barrier].fn, sortBound(rest)), rest);
+  }
 
-      let currentItem = item;
-      let shouldInclude = true;
+  /**
+   * Lazily iterate the results
+   * Nothing is computed until items are pulled; stopping early stops the source.
+   * @returns {Iterator} Result iterator
+   */
+  [Symbol.iterator]() {
+    const source = this._source();
+    if (!source[Symbol.iterator]) {
+      throw new Error('Source is async - use executeAsync() or for await');
+    }
+    return this._run(source, this.operations);
+  }
 
-      // Apply filter and map operations inline
-      for (const operation of this.operations) {
-        if (operation.type === 'filter') {
-          if (!operation.fn(currentItem)) {
-            shouldInclude = false;
-            break;
+  /**
+   * Lazily iterate the results of a sync or async source
+   * @returns {AsyncIterator} Result iterator
+   */
+  async * [Symbol.asyncIterator]() {
+    const source = this._source();
+    if (!source[Symbol.asyncIterator]) {
+      yield* this._run(source, this.operations);
+      return;
+    }
+
+    // Stream up to the first sort asynchronously, then continue in memory
+    const barrier = this.operations.findIndex(operation => !STREAMING_OPERATIONS.has(operation.type));
+    const streaming = barrier === -1 ? this.operations : this.operations.slice(0, barrier);
+    const pipeline = createPipeline(streaming);
+    const collected = [];
+
+    if (!pipeline.full()) {
+      for await (const item of source) {
+        for (const output of pipeline.push(item)) {
+          if (barrier === -1) {
+            yield output;
+          } else {
+            collected.push(output);
           }
-        } else if (operation.type === 'map') {
-          currentItem = operation.fn(currentItem);
         }
-      }
-
-      if (shouldInclude) {
-        results.push(currentItem);
+        if (pipeline.full()) break;
       }
     }
 
-    // Apply sort if needed (must be done after filtering)
-    const sortOp = this.operations.find(op => op.type === 'sort');
-    if (sortOp) {
-      results.sort(sortOp.fn);
+    if (barrier !== -1) {
+      const rest = this.operations.slice(barrier + 1);
+      yield* this._run(sortTop(collected, this.operations[barrier].fn, sortBound(rest)), rest);
     }
+  }
 
-    // Apply limit if needed and not already applied
-    const limitOp = this.operations.find(op => op.type === 'limit');
-    if (limitOp && results.length > limitOp.fn) {
-      results = results.slice(0, limitOp.fn);
-    }
+  /**
+   * Execute all operations in a single pass
+   * @returns {Array} Processed results
+   *
+   * Performance: Single iteration regardless of operation count
+   */
+  execute() {
+    return Array.from(this);
+  }
 
+  /**
+   * Execute all operations over a sync or async source
+   * @returns {Promise<Array>} Processed results
+   */
+  async executeAsync() {
+    const results = [];
+    for await (const item of this) {
+      results.push(item);
+    }
     return results;
   }
 
@@ -133,28 +351,28 @@ class SinglePassProcessor {
   reduce(reducer, initialValue) {
     let accumulator = initialValue;
 
-    for (const item of this.data) {
-      let currentItem = item;
-      let shouldInclude = true;
+    for (const item of this) {
+      accumulator = reducer(accumulator, item);
+    }
 
-      // Apply filters and maps first
-      for (const operation of this.operations) {
-        if (operation.type === 'filter') {
-          if (!operation.fn(currentItem)) {
-            shouldInclude = false;
-            break;
-          }
-        } else if (operation.type === 'map') {
-          currentItem = operation.fn(currentItem);
-        }
-      }
+    return accumulator;
+  }
 
-      if (shouldInclude) {
-        accumulator = reducer(accumulator, currentItem);
-      }
+  /**
+   * Group results by key
+   * @param {Function} keyFn - Key function
+   * @returns {Map} key -> Array of items (in result order)
+   */
+  groupBy(keyFn) {
+    const groups = new Map();
+
+    for (const item of this) {
+      const key = keyFn(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
     }
 
-    return accumulator;
+    return groups;
   }
 
   /**
@@ -167,24 +385,13 @@ class SinglePassProcessor {
 
   /**
    * Check if any item matches criteria
+   * Stops at the first match.
+   * @param {Function} predicate - Optional extra condition on the results
    * @returns {boolean} True if any match found
    */
-  some() {
-    for (const item of this.data) {
-      let shouldInclude = true;
-
-      for (const operation of this.operations) {
-        if (operation.type === 'filter') {
-          if (!operation.fn(item)) {
-            shouldInclude = false;
-            break;
-          }
-        }
-      }
-
-      if (shouldInclude) {
-        return true;
-      }
+  some(predicate = () => true) {
+    for (const item of this) {
+      if (predicate(item)) return true;
     }
 
     return false;
@@ -192,19 +399,21 @@ class SinglePassProcessor {
 
   /**
    * Check if all items match criteria
+   * Without a predicate: every source item passes the filters.
+   * @param {Function} predicate - Optional condition every result must meet
    * @returns {boolean} True if all match
    */
-  every() {
-    for (const item of this.data) {
-      let shouldInclude = true;
-
-      for (const operation of this.operations) {
-        if (operation.type === 'filter') {
-          if (!operation.fn(item)) {
-            return false;
-          }
-        }
+  every(predicate = null) {
+    if (predicate) {
+      for (const item of this) {
+        if (!predicate(item)) return false;
       }
+      return true;
+    }
+
+    const filters = this.operations.filter(operation => operation.type === 'filter');
+    for (const item of this._source()) {
+      if (!filters.every(operation => operation.fn(item))) return false;
     }
 
     return true;
@@ -213,7 +422,7 @@ class SinglePassProcessor {
 
 /**
  * Create a single-pass processor
- * @param {Array|Map|Set} data - Data to process
+ * @param {Array|Map|Set|Iterable|AsyncIterable} data - Data to process (Maps yield their values)
  * @returns {SinglePassProcessor} Processor instance
  * 
  * @example
@@ -225,7 +434,7 @@ class SinglePassProcessor {
  *   .sort((a, b) => b.score - a.score)
  *   .slice(0, 10);
  * 
- * // Use single-pass:
+ * // Use single-pass (top 10 kept in a heap - O(n log 10)):
  * const result = singlePass(tasks)
  *   .filter(t => !t.completed)
  *   .filter(t => t.priority === 'high')
@@ -233,16 +442,17 @@ class SinglePassProcessor {
  *   .sort((a, b) => b.score - a.score)
  *   .limit(10)
  *   .execute();
+ *
+ * // Lazily - stops reading the source after the first match:
+ * for (const task of singlePass(tasksMap).filter(t => t.overdue)) { ... break; }
  */
 function singlePass(data) {
-  // Convert Map/Set to array if needed
-  const arrayData = data instanceof Map 
-    ? Array.from(data.values())
-    : data instanceof Set
-    ? Array.from(data)
-    : data;
-
-  return new SinglePassProcessor(arrayData);
+  // Maps yield their values - read lazily, fresh on every run
+  if (data instanceof Map) {
+    return new SinglePassProcessor(() => data.values());
+  }
+
+  return new SinglePassProcessor(data);
 }
 
 /**
@@ -0,0 +1,326 @@
+// lib/snooze-analytics.js
+// Snooze intelligence for Never Forget tasks
+// Mines snooze histories for patterns (what, why, when) and flags avoidance loops
+// with concrete interventions - all computed locally from the stored histories
+
+import { getZonedParts } from './timezone';
+import { parseDuration, DEFAULT_STEP_MINUTES } from './micro-steps';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A task is in an avoidance loop after this many snoozes in the recent window...
+const LOOP_RECENT_SNOOZES = 3;
+const LOOP_WINDOW_DAYS = 14;
+// ...or this many snoozes in total without finishing a micro-step since the first one
+const LOOP_TOTAL_SNOOZES = 3;
+
+// Steps longer than this are big enough to put off - suggest splitting them
+const MAX_FRIENDLY_STEP_MINUTES = 15;
+
+// Rows in the tag and reason tables
+const TOP_GROUPS = 10;
+
+const DAYPARTS = [
+  { name: 'night', from: 0, to: 5 },
+  { name: 'morning', from: 5, to: 12 },
+  { name: 'afternoon', from: 12, to: 17 },
+  { name: 'evening', from: 17, to: 22 },
+  { name: 'night', from: 22, to: 24 }
+];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Reason themes - keywords that say why a task keeps getting put off
+ * The first matching theme wins; reasons matching none are 'other'.
+ */
+const REASON_THEMES = [
+  { theme: 'waiting', keywords: /\b(wait(ing)?|blocked|need(s)? (info|answer|reply)|depends|pending|until .* (replies|answers))\b/i },
+  { theme: 'unclear', keywords: /\b(unclear|not sure|don'?t know|confus(ed|ing)|how to|where to start|no idea)\b/i },
+  { theme: 'overwhelmed', keywords: /\b(overwhelm(ed|ing)?|too (big|much)|huge|stress(ed|ful)?|anxious|dread(ing)?)\b/i },
+  { theme: 'energy', keywords: /\b(tired|exhausted|no energy|sick|ill|headache|sleepy|burn(ed|t)? out)\b/i },
+  { theme: 'time', keywords: /\b(busy|no time|meetings?|later|tomorrow|weekend|running late|swamped)\b/i },
+  { theme: 'forgot', keywords: /\b(forgot|forgotten|missed|didn'?t see)\b/i }
+];
+
+/**
+ * @private
+ */
+function daypart(hour) {
+  return DAYPARTS.find(part => hour >= part.from && hour < part.to).name;
+}
+
+/**
+ * Normalize a snooze reason for grouping ("Too tired!!" and "too tired" are the same)
+ * @private
+ */
+function normalizeReason(reason) {
+  return (reason || '').toLowerCase().replace(/[^\p{L}\p{N}' ]+/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @private
+ */
+function reasonTheme(reason) {
+  const match = REASON_THEMES.find(({ keywords }) => keywords.test(reason));
+  return match ? match.theme : 'other';
+}
+
+/**
+ * Count into a Map of group -> { snoozes, tasks: Set }
+ * @private
+ */
+function countGroup(groups, key, taskId, snoozes) {
+  if (!groups.has(key)) groups.set(key, { snoozes: 0, tasks: new Set(), totalTasks: 0 });
+  const group = groups.get(key);
+  group.snoozes += snoozes;
+  group.totalTasks++;
+  if (snoozes > 0) group.tasks.add(taskId);
+}
+
+/**
+ * Turn a group Map into rows, most snoozed per task first
+ * snoozesPerTask counts every task in the group, so a busy tag with few snoozes
+ * ranks below a small tag that is snoozed every time.
+ * @private
+ */
+function groupRows(groups, label) {
+  return [...groups]
+    .map(([key, group]) => ({
+      [label]: key,
+      snoozes: group.snoozes,
+      tasksSnoozed: group.tasks.size,
+      tasks: group.totalTasks,
+      snoozesPerTask: Math.round((group.snoozes / group.totalTasks) * 100) / 100
+    }))
+    .filter(row => row.snoozes > 0)
+    .sort((a, b) => (b.snoozesPerTask - a.snoozesPerTask) || (b.snoozes - a.snoozes));
+}
+
+/**
+ * Daypart where most tasks get completed - the best time to schedule a loop task
+ * @private
+ */
+function productiveDaypart(tasks, timezone) {
+  const counts = new Map();
+  for (const task of tasks) {
+    if (!task.completedAt) continue;
+    const part = daypart(getZonedParts(new Date(task.completedAt), timezone).hour);
+    counts.set(part, (counts.get(part) || 0) + 1);
+  }
+
+  let best = null;
+  for (const [part, count] of counts) {
+    if (!best || count > best.count) best = { part, count };
+  }
+  return best ? best.part : null;
+}
+
+/**
+ * Check an open task for an avoidance loop and suggest interventions
+ * @private
+ * @returns {Object|null} Loop entry, or null if the task is not in a loop
+ */
+function detectLoop(task, context) {
+  const { now, bestDaypart } = context;
+  const history = task.snoozeHistory || [];
+  if (history.length === 0) return null;
+
+  const firstSnoozedAt = Date.parse(history[0].snoozedAt);
+  const recentSnoozes = history.filter(entry => Date.parse(entry.snoozedAt) >= now - LOOP_WINDOW_DAYS * DAY).length;
+  const steps = task.microSteps || [];
+  const stepsDoneSinceFirstSnooze = steps.filter(step =>
+    step.completed && step.completedAt && Date.parse(step.completedAt) >= firstSnoozedAt).length;
+
+  const signals = [];
+  if (recentSnoozes >= LOOP_RECENT_SNOOZES) {
+    signals.push(`Snoozed ${recentSnoozes} times in the last ${LOOP_WINDOW_DAYS} days`);
+  }
+  if (history.length >= LOOP_TOTAL_SNOOZES && stepsDoneSinceFirstSnooze === 0) {
+    signals.push(`Snoozed ${history.length} times with no micro-step done since the first snooze`);
+  }
+  if (signals.length === 0) return null;
+
+  const themes = new Set(history
+    .map(entry => normalizeReason(entry.reason))
+    .filter(Boolean)
+    .map(reasonTheme));
+  const interventions = [];
+
+  // Next step too big (or no plan at all) - make starting trivial
+  const nextStep = steps.find(step => !step.completed);
+  const nextMinutes = nextStep ? (parseDuration(nextStep.duration) || DEFAULT_STEP_MINUTES) : null;
+  if (!nextStep || nextMinutes > MAX_FRIENDLY_STEP_MINUTES) {
+    interventions.push({
+      type: 'breakDown',
+      message: nextStep
+        ? `Split "${nextStep.description}" (${nextStep.duration}) into steps of 5 minutes or less`
+        : 'Add a first micro-step you can do in 5 minutes',
+      stepId: nextStep ? nextStep.id : null
+    });
+  } else if (themes.has('overwhelmed') || themes.has('unclear')) {
+    // The plan is already small - the whole task is what feels big or vague
+    interventions.push({
+      type: 'firstStep',
+      message: `Forget the whole task - just do "${nextStep.description}" (${nextStep.duration})`,
+      stepId: nextStep.id
+    });
+  }
+
+  // The deadline is no longer real - snoozes already run past it
+  if (task.deadline) {
+    const deadline = Date.parse(task.deadline);
+    const snoozedPastDeadline = history.some(entry => Date.parse(entry.snoozedUntil) > deadline);
+    if (deadline < now || snoozedPastDeadline) {
+      interventions.push({
+        type: 'moveDeadline',
+        message: deadline < now
+          ? 'The deadline has passed - set a new, realistic one (or find out what happens if it slips)'
+          : 'Snoozes already run past the deadline - move it to a date you can commit to'
+      });
+    }
+  }
+
+  // Waiting on something or someone
+  if (themes.has('waiting') || task.blocked) {
+    interventions.push({
+      type: 'unblock',
+      message: 'Chase what you are waiting on first - add it as its own task or blocker'
+    });
+  }
+
+  // Snoozed for lack of energy or time - move it to when things usually get done
+  if ((themes.has('energy') || themes.has('time')) && bestDaypart) {
+    interventions.push({
+      type: 'reschedule',
+      message: `Plan it for the ${bestDaypart} - that is when you finish most tasks`
+    });
+  }
+
+  // Low stakes and endlessly deferred - maybe it doesn't need doing
+  if (task.importance === 'low' && history.length >= LOOP_TOTAL_SNOOZES * 2) {
+    interventions.push({
+      type: 'reconsider',
+      message: 'Snoozed many times at low importance - drop or delegate it if it no longer matters'
+    });
+  }
+
+  if (interventions.length === 0) {
+    interventions.push({
+      type: 'bodyDouble',
+      message: `Do just the first ${MAX_FRIENDLY_STEP_MINUTES} minutes with a timer or a body double - starting is the hard part`
+    });
+  }
+
+  return {
+    id: task.id,
+    title: task.title,
+    importance: task.importance,
+    snoozeCount: history.length,
+    recentSnoozes,
+    firstSnoozedAt: history[0].snoozedAt,
+    lastSnoozedAt: history[history.length - 1].snoozedAt,
+    progress: task.progress ?? null,
+    reasonThemes: [...themes],
+    signals,
+    interventions
+  };
+}
+
+/**
+ * Analyze snooze histories across tasks
+ * @param {Array} tasks - Never Forget tasks (open and completed)
+ * @param {Object} options - Analysis options
+ * @param {string} options.timezone - IANA timezone for time-of-day buckets (default: UTC)
+ * @param {string} options.since - Only count snoozes at or after this ISO time
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {Object} { summary, byImportance, byTag, reasons, themes, timeOfDay, avoidanceLoops }
+ * Performance: O(n + s) - n = tasks, s = snooze entries
+ */
+function analyzeSnoozes(tasks, options = {}) {
+  const timezone = options.timezone || 'UTC';
+  const now = options.now ?? Date.now();
+  const since = options.since ? Date.parse(options.since) : -Infinity;
+
+  const byImportance = new Map();
+  const byTag = new Map();
+  const reasons = new Map();
+  const themes = new Map();
+  const byHour = new Array(24).fill(0);
+  const byWeekday = new Array(7).fill(0);
+  const byDaypart = new Map();
+  let totalSnoozes = 0;
+  let tasksSnoozed = 0;
+
+  for (const task of tasks) {
+    const snoozes = (task.snoozeHistory || []).filter(entry => Date.parse(entry.snoozedAt) >= since);
+
+    totalSnoozes += snoozes.length;
+    if (snoozes.length > 0) tasksSnoozed++;
+
+    countGroup(byImportance, task.importance || 'medium', task.id, snoozes.length);
+    for (const tag of new Set((task.tags || []).map(t => t.toLowerCase()))) {
+      countGroup(byTag, tag, task.id, snoozes.length);
+    }
+
+    for (const entry of snoozes) {
+      const reason = normalizeReason(entry.reason);
+      const theme = reason ? reasonTheme(reason) : 'none';
+
+      if (reason) {
+        if (!reasons.has(reason)) reasons.set(reason, { reason: entry.reason.trim(), count: 0, tasks: new Set(), theme });
+        const row = reasons.get(reason);
+        row.count++;
+        row.tasks.add(task.id);
+      }
+      themes.set(theme, (themes.get(theme) || 0) + 1);
+
+      const parts = getZonedParts(new Date(entry.snoozedAt), timezone);
+      byHour[parts.hour]++;
+      byWeekday[parts.weekday]++;
+      const part = daypart(parts.hour);
+      byDaypart.set(part, (byDaypart.get(part) || 0) + 1);
+    }
+  }
+
+  const peakHour = totalSnoozes > 0 ? byHour.indexOf(Math.max(...byHour)) : null;
+  const bestDaypart = productiveDaypart(tasks, timezone);
+
+  const avoidanceLoops = tasks
+    .filter(task => !task.completed)
+    .map(task => detectLoop(task, { now, bestDaypart }))
+    .filter(Boolean)
+    .sort((a, b) => (b.recentSnoozes - a.recentSnoozes) || (b.snoozeCount - a.snoozeCount));
+
+  return {
+    summary: {
+      totalSnoozes,
+      tasksSnoozed,
+      tasks: tasks.length,
+      avoidanceLoops: avoidanceLoops.length,
+      timezone
+    },
+    byImportance: groupRows(byImportance, 'importance'),
+    byTag: groupRows(byTag, 'tag').slice(0, TOP_GROUPS),
+    // Recurring = given more than once, most frequent first
+    reasons: [...reasons.values()]
+      .filter(row => row.count > 1)
+      .map(row => ({ reason: row.reason, theme: row.theme, count: row.count, tasks: row.tasks.size }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_GROUPS),
+    themes: [...themes]
+      .map(([theme, count]) => ({ theme, count }))
+      .sort((a, b) => b.count - a.count),
+    timeOfDay: {
+      byHour,
+      byDaypart: Object.fromEntries(['morning', 'afternoon', 'evening', 'night'].map(part => [part, byDaypart.get(part) || 0])),
+      byWeekday: Object.fromEntries(WEEKDAYS.map((day, index) => [day, byWeekday[index]])),
+      peakHour,
+      peakDaypart: peakHour === null ? null : daypart(peakHour),
+      mostProductiveDaypart: bestDaypart
+    },
+    avoidanceLoops
+  };
+}
+
+export { analyzeSnoozes, REASON_THEMES };
@@ -0,0 +1,324 @@
+// lib/snooze-presets.js
+// Named snooze presets for poke-brain ("15m", "after lunch", "next workday", ...)
+// Resolved in the user's timezone against their working hours - anything else is read as a time
+// Per-importance limits keep critical things from being snoozed out of sight
+
+import { getZonedParts, zonedTimeToUtc, formatInTimezone } from './timezone';
+import { parseTimeExpression, describeRelative } from './time-parser';
+
+// Longest snooze limit that can be configured - a year
+const MAX_SNOOZE_LIMIT_HOURS = 24 * 365;
+
+/**
+ * Default working hours - wall-clock times in the user's timezone
+ * days: working weekdays, 0 = Sunday ... 6 = Saturday
+ */
+const DEFAULT_WORKING_HOURS = {
+  start: '09:00',
+  lunchEnd: '13:00',
+  end: '17:00',
+  days: [1, 2, 3, 4, 5]
+};
+
+/**
+ * Longest snooze per importance level, in hours (null = no limit)
+ */
+const DEFAULT_SNOOZE_LIMITS = {
+  critical: 4,
+  high: 24,
+  medium: 72,
+  low: 168
+};
+
+// Reminders have no importance - their type stands in for it
+const REMINDER_TYPE_IMPORTANCE = {
+  urgent: 'critical',
+  persistent: 'high',
+  gentle: 'medium'
+};
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// "45m", "2h", "3 days", "1w" - any whole number of minutes, hours, days or weeks (as in filter queries)
+const DURATION_PRESET = /^(\d{1,4}) ?(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|wks?|weeks?)$/;
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Named presets
+ * resolve(context) returns the Date the snooze ends; context holds now (ms), timezone,
+ * today (zoned parts), hours (working-hours times in minutes of the day) and days (Set)
+ */
+const SNOOZE_PRESETS = {
+  '15m': {
+    description: 'In 15 minutes',
+    resolve: ({ now }) => new Date(now + 15 * UNIT_MS.m)
+  },
+  '1h': {
+    description: 'In an hour',
+    resolve: ({ now }) => new Date(now + UNIT_MS.h)
+  },
+  'after lunch': {
+    description: 'When lunch ends - today, or tomorrow once it has passed',
+    resolve: context => {
+      const today = atTime(context, 0, context.hours.lunchEnd);
+      return today.getTime() > context.now ? today : atTime(context, 1, context.hours.lunchEnd);
+    }
+  },
+  'this evening': {
+    description: 'When the working day ends, today',
+    resolve: context => {
+      const evening = atTime(context, 0, context.hours.end);
+      if (evening.getTime() <= context.now) {
+        throw new Error('The working day is already over - try "tomorrow morning" or a duration like "1h"');
+      }
+      return evening;
+    }
+  },
+  'tomorrow morning': {
+    description: 'Start of the working day tomorrow',
+    resolve: context => atTime(context, 1, context.hours.start)
+  },
+  'next workday': {
+    description: 'Start of the next working day',
+    resolve: context => atTime(context, nextDay(context, weekday => context.days.has(weekday)), context.hours.start)
+  },
+  'weekend': {
+    description: 'Morning of the next day off that follows a working day (Saturday by default)',
+    resolve: context => {
+      const offset = nextDay(context, weekday =>
+        !context.days.has(weekday) && context.days.has((weekday + 6) % 7));
+
+      if (offset === null) {
+        throw new Error('Every day is a working day - there is no weekend to snooze to');
+      }
+      return atTime(context, offset, context.hours.start);
+    }
+  }
+};
+
+/**
+ * Minutes since midnight of an "HH:MM" time
+ * @private
+ */
+function minutesOfDay(time) {
+  const [, hour, minute] = TIME_OF_DAY.exec(time);
+  return Number(hour) * 60 + Number(minute);
+}
+
+/**
+ * Wall-clock time on a day relative to today, in the context's timezone
+ * @private
+ */
+function atTime(context, dayOffset, minutes) {
+  const { year, month, day } = context.today;
+  return zonedTimeToUtc({
+    year,
+    month,
+    day: day + dayOffset,
+    hour: Math.floor(minutes / 60),
+    minute: minutes % 60
+  }, context.timezone);
+}
+
+/**
+ * Days from today to the first day in the coming week whose weekday passes the test
+ * @private
+ * @returns {number|null} Offset (1-7), or null if no day passes
+ */
+function nextDay(context, test) {
+  for (let offset = 1; offset <= 7; offset++) {
+    if (test((context.today.weekday + offset) % 7)) return offset;
+  }
+  return null;
+}
+
+/**
+ * "After-Lunch" -> "after lunch", "15 M" -> "15 m"
+ * @private
+ */
+function normalizePreset(input) {
+  return input.trim().toLowerCase().replace(/[-_\s]+/g, ' ');
+}
+
+/**
+ * Resolve a snooze to the time it ends
+ * Named presets are matched first (case, hyphens and extra spaces ignored), then
+ * durations like "45m", "2h", "3 days" or "1w", then anything parseTimeExpression understands.
+ * @param {string|Date} input - Preset, duration, natural-language time or ISO timestamp
+ * @param {Object} options - Resolve options
+ * @param {string} options.timezone - IANA timezone (default: UTC)
+ * @param {Object} options.workingHours - Working hours (default: DEFAULT_WORKING_HOURS)
+ * @param {Date|number} options.now - Reference time (default: now)
+ * @returns {Object} { input, preset, date, iso, timezone, interpretation, relative } - preset is null for plain times
+ * @throws {Error} If the input cannot be understood or is not in the future
+ */
+function resolveSnooze(input, { timezone = 'UTC', workingHours = DEFAULT_WORKING_HOURS, now = Date.now() } = {}) {
+  const time = new Date(now).getTime();
+  let preset = null;
+  let date;
+
+  if (input instanceof Date) {
+    date = input;
+  } else {
+    if (typeof input !== 'string' || input.trim() === '') {
+      throw new Error('Snooze time is required');
+    }
+
+    const name = normalizePreset(input);
+    const duration = DURATION_PRESET.exec(name);
+
+    if (Object.hasOwn(SNOOZE_PRESETS, name)) {
+      preset = name;
+      date = SNOOZE_PRESETS[name].resolve({
+        now: time,
+        timezone,
+        today: getZonedParts(time, timezone),
+        hours: {
+          start: minutesOfDay(workingHours.start),
+          lunchEnd: minutesOfDay(workingHours.lunchEnd),
+          end: minutesOfDay(workingHours.end)
+        },
+        days: new Set(workingHours.days)
+      });
+    } else if (duration) {
+      const unit = duration[2][0];
+      preset = `${duration[1]}${unit}`;
+      date = new Date(time + Number(duration[1]) * UNIT_MS[unit]);
+    } else {
+      try {
+        date = parseTimeExpression(input, { timezone, now: time }).date;
+      } catch (error) {
+        throw new Error(`Could not understand snooze "${input.trim()}" - use a preset ` +
+          `(${Object.keys(SNOOZE_PRESETS).join(', ')}), a duration like "45m" or a time like "tomorrow at 9"`);
+      }
+    }
+  }
+
+  if (isNaN(date.getTime())) {
+    throw new Error('Invalid snooze date');
+  }
+
+  if (date.getTime() <= time) {
+    throw new Error('Snooze time must be in the future');
+  }
+
+  return {
+    input: input instanceof Date ? input.toISOString() : input.trim(),
+    preset,
+    date,
+    iso: date.toISOString(),
+    timezone,
+    interpretation: `${formatInTimezone(date, timezone)} (${timezone})`,
+    relative: describeRelative(date.getTime() - time)
+  };
+}
+
+/**
+ * "4 hours", "1 day", "7 days"
+ * @private
+ */
+function formatLimit(hours) {
+  const [amount, unit] = hours >= 24 && hours % 24 === 0 ? [hours / 24, 'day'] : [hours, 'hour'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+/**
+ * Check a snooze against the limit for an importance level
+ * @param {Date|string} until - When the snooze would end
+ * @param {string} importance - critical|high|medium|low (unknown levels use medium)
+ * @param {Object} limits - Hours per importance level (default: DEFAULT_SNOOZE_LIMITS)
+ * @param {Date|number} now - Reference time (default: now)
+ * @returns {Object|null} null if allowed, else { importance, maxHours, latest, limit } - limit reads "4 hours"
+ */
+function checkSnoozeLimit(until, importance, limits = DEFAULT_SNOOZE_LIMITS, now = Date.now()) {
+  const level = importance in limits ? importance : 'medium';
+  const maxHours = limits[level];
+
+  if (maxHours === null || maxHours === undefined) return null;
+
+  const latest = new Date(new Date(now).getTime() + maxHours * UNIT_MS.h);
+  if (new Date(until) <= latest) return null;
+
+  return { importance: level, maxHours, latest, limit: formatLimit(maxHours) };
+}
+
+/**
+ * Validate a partial working-hours update
+ * @param {Object} updates - Fields to change
+ * @param {Object} current - Working hours the update applies to (default: DEFAULT_WORKING_HOURS)
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateWorkingHours(updates, current = DEFAULT_WORKING_HOURS) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return ['workingHours must be an object'];
+  }
+
+  const errors = [];
+  const times = ['start', 'lunchEnd', 'end'];
+
+  for (const key of Object.keys(updates)) {
+    if (!(key in DEFAULT_WORKING_HOURS)) {
+      errors.push(`Unknown workingHours field: ${key}`);
+    }
+  }
+
+  for (const key of times) {
+    if (updates[key] !== undefined && !TIME_OF_DAY.test(updates[key])) {
+      errors.push(`Invalid workingHours.${key}: use a 24-hour "HH:MM" time`);
+    }
+  }
+
+  if (updates.days !== undefined) {
+    const { days } = updates;
+    if (!Array.isArray(days) || days.length === 0 ||
+        !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) ||
+        new Set(days).size !== days.length) {
+      errors.push('Invalid workingHours.days: a non-empty list of distinct weekdays, 0 (Sunday) to 6 (Saturday)');
+    }
+  }
+
+  if (errors.length > 0) return errors;
+
+  // The day has to run in order: start, end of lunch, end of work
+  const merged = { ...current, ...updates };
+  const [start, lunchEnd, end] = times.map(key => minutesOfDay(merged[key]));
+  if (!(start < lunchEnd && lunchEnd < end)) {
+    errors.push('Invalid workingHours: must run start < lunchEnd < end');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a partial snooze-limits update
+ * @param {Object} updates - Hours per importance level to change (null = no limit)
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateSnoozeLimits(updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return ['snoozeLimits must be an object'];
+  }
+
+  const errors = [];
+
+  for (const [level, hours] of Object.entries(updates)) {
+    if (!(level in DEFAULT_SNOOZE_LIMITS)) {
+      errors.push(`Unknown snoozeLimits level: ${level} - must be one of ${Object.keys(DEFAULT_SNOOZE_LIMITS).join(', ')}`);
+    } else if (hours !== null && (typeof hours !== 'number' || !(hours > 0) || hours > MAX_SNOOZE_LIMIT_HOURS)) {
+      errors.push(`Invalid snoozeLimits.${level}: hours between 0 and ${MAX_SNOOZE_LIMIT_HOURS}, or null for no limit`);
+    }
+  }
+
+  return errors;
+}
+
+export {
+  resolveSnooze,
+  checkSnoozeLimit,
+  validateWorkingHours,
+  validateSnoozeLimits,
+  SNOOZE_PRESETS,
+  DEFAULT_WORKING_HOURS,
+  DEFAULT_SNOOZE_LIMITS,
+  REMINDER_TYPE_IMPORTANCE
+};
@@ -0,0 +1,146 @@
+// lib/sqlite-storage.js
+// SQLite storage adapter for poke-brain
+// Write-through Map cache: reads stay O(1) in memory, every write is committed to SQLite
+// Requires the optional `better-sqlite3` dependency
+
+import path from 'path';
+import fs from 'fs';
+
+/**
+ * Load the SQLite driver on demand so the default Map adapter
+ * never needs the native module to be installed
+ * @private
+ */
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(
+      'SQLite storage requires the "better-sqlite3" package - run `npm install better-sqlite3`'
+    );
+  }
+}
+
+/**
+ * Map-compatible collection backed by a SQLite table
+ * All rows are loaded once, then set/delete/clear write through to the database
+ * Performance: O(1) reads, one indexed statement per write
+ */
+class SqliteCollection extends Map {
+  constructor(name, statements) {
+    super();
+    this.name = name;
+    this.statements = statements;
+    this.listeners = new Set();
+
+    for (const row of statements.all.all(name)) {
+      super.set(row.id, JSON.parse(row.data));
+    }
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.statements.upsert.run(this.name, String(key), JSON.stringify(value));
+    this._notify({ op: 'set', key, value });
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) {
+      this.statements.remove.run(this.name, String(key));
+      this._notify({ op: 'delete', key });
+    }
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.statements.clear.run(this.name);
+    this._notify({ op: 'clear' });
+  }
+
+  /**
+   * Listen for writes (see the collection contract in lib/storage.js)
+   * @param {Function} listener - Called with { op, key, value } after each committed write
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  _notify(change) {
+    for (const listener of this.listeners) {
+      listener(change);
+    }
+  }
+}
+
+/**
+ * SQLite storage adapter
+ * Stores every collection in a single `records` table keyed by (collection, id)
+ */
+class SqliteStorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.filename - Database file (default: ./.data/poke-brain.sqlite)
+   */
+  constructor(options = {}) {
+    const Database = loadDriver();
+    const filename = options.filename || path.join(process.cwd(), '.data', 'poke-brain.sqlite');
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.name = 'sqlite';
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = FULL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `);
+
+    this.statements = {
+      all: this.db.prepare('SELECT id, data FROM records WHERE collection = ?'),
+      upsert: this.db.prepare(`
+        INSERT INTO records (collection, id, data) VALUES (?, ?, ?)
+        ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data
+      `),
+      remove: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+      clear: this.db.prepare('DELETE FROM records WHERE collection = ?')
+    };
+
+    this.collections = new Map();
+  }
+
+  /**
+   * Get (or create) a named collection
+   * @param {string} name - Collection name
+   * @returns {SqliteCollection} Map-compatible collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new SqliteCollection(name, this.statements));
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+export { SqliteStorageAdapter, SqliteCollection };
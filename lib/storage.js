@@ -0,0 +1,120 @@
+// lib/storage.js
+// Pluggable storage adapters for poke-brain
+// InMemoryDB and NeverForgetManager only talk to this contract, never to a concrete store
+
+import path from 'path';
+import { getJournal } from './journal';
+import { SqliteStorageAdapter } from './sqlite-storage';
+
+/**
+ * Collections every adapter must be able to serve
+ */
+const COLLECTIONS = {
+  tasks: 'tasks',
+  reminders: 'reminders',
+  criticalTasks: 'criticalTasks',
+  settings: 'settings',
+  trash: 'trash',
+  archive: 'archive',
+  revisions: 'revisions'
+};
+
+/**
+ * Storage adapter contract
+ *
+ * An adapter exposes:
+ * - name: string                  Adapter identifier ('map', 'sqlite', ...)
+ * - collection(name): Collection  Get (or create) a named collection
+ * - close(): void                 Release file handles / connections
+ *
+ * A Collection is Map-compatible (it extends Map) keyed by record ID:
+ * get, set, delete, has, clear, size, keys, values, entries and iteration.
+ * Writes (set/delete/clear) must be durable when they return. Records are
+ * plain JSON-serializable objects; callers mutate a record and then `set` it
+ * again to persist the change.
+ *
+ * Collections also expose subscribe(listener) -> unsubscribe. Listeners are
+ * called synchronously after every durable write with { op, key, value }
+ * (op: 'set' | 'delete' | 'clear'), so derived structures such as the search
+ * index stay in sync without every mutation having to update them.
+ */
+
+/**
+ * Default adapter - the Map store, persisted through the append-only journal
+ */
+class MapStorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {FileJournal} options.journal - Journal to use (default: shared journal)
+   */
+  constructor(options = {}) {
+    this.name = 'map';
+    this.journal = options.journal || getJournal();
+  }
+
+  /**
+   * Get (or create) a named collection
+   * @param {string} name - Collection name
+   * @returns {JournaledMap} Map-compatible collection
+   */
+  collection(name) {
+    return this.journal.collection(name);
+  }
+
+  /**
+   * Close the journal file handle
+   */
+  close() {
+    this.journal.close();
+  }
+}
+
+/**
+ * Create a storage adapter from configuration
+ * @param {Object} config - Storage configuration
+ * @param {string} config.adapter - 'map' (default) or 'sqlite'
+ * @param {FileJournal} config.journal - Map adapter: journal to use (default: shared journal)
+ * @param {string} config.filename - SQLite adapter: database file
+ * @returns {Object} Storage adapter
+ */
+function createStorageAdapter(config = {}) {
+  const adapter = config.adapter || 'map';
+
+  switch (adapter) {
+    case 'map':
+      return new MapStorageAdapter({ journal: config.journal });
+    case 'sqlite':
+      return new SqliteStorageAdapter({ filename: config.filename });
+    default:
+      throw new Error(`Unknown storage adapter: ${adapter} (expected map or sqlite)`);
+  }
+}
+
+/**
+ * Get the process-wide storage adapter
+ * Stored on globalThis so hot reloads and separately bundled API routes share it
+ *
+ * Configuration (environment):
+ * - POKE_BRAIN_STORAGE: 'map' (default) or 'sqlite'
+ * - POKE_BRAIN_SQLITE_PATH: SQLite database file (default: <data dir>/poke-brain.sqlite)
+ * - POKE_BRAIN_DATA_DIR / POKE_BRAIN_PERSIST: see lib/journal.js
+ *
+ * @returns {Object} Shared storage adapter
+ */
+function getStorage() {
+  const key = Symbol.for('poke-brain.storage');
+
+  if (!globalThis[key]) {
+    const dataDir = process.env.POKE_BRAIN_DATA_DIR;
+
+    globalThis[key] = createStorageAdapter({
+      adapter: process.env.POKE_BRAIN_STORAGE || 'map',
+      filename: process.env.POKE_BRAIN_SQLITE_PATH ||
+        (dataDir ? path.join(dataDir, 'poke-brain.sqlite') : undefined)
+    });
+  }
+
+  return globalThis[key];
+}
+
+export { COLLECTIONS, MapStorageAdapter, createStorageAdapter, getStorage };
@@ -0,0 +1,449 @@
+// lib/time-parser.js
+// Natural-language time parsing for poke-brain ("in 20 minutes", "tomorrow at 9", "end of month")
+// ADHD-friendly: no ISO timestamps required. Fully local - no external services.
+// Every result echoes a human-readable interpretation so the user can confirm it
+
+import { getZonedParts, zonedTimeToUtc, formatInTimezone } from './timezone';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  fifteen: 15, twenty: 20, thirty: 30, forty: 40, fortyfive: 45,
+  couple: 2, 'a couple of': 2, few: 3, 'a few': 3
+};
+
+const UNITS = {
+  m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+  h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+  d: 'day', day: 'day', days: 'day',
+  w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+  month: 'month', months: 'month'
+};
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tues: 2, tue: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thurs: 4, thu: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+};
+
+const MONTHS = {
+  january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4,
+  may: 5, june: 6, jun: 6, july: 7, jul: 7, august: 8, aug: 8,
+  september: 9, sept: 9, sep: 9, october: 10, oct: 10, november: 11, nov: 11,
+  december: 12, dec: 12
+};
+
+/**
+ * Named times of day
+ */
+const TIMES_OF_DAY = {
+  morning: { hour: 9, minute: 0 },
+  noon: { hour: 12, minute: 0 },
+  midday: { hour: 12, minute: 0 },
+  lunchtime: { hour: 12, minute: 0 },
+  afternoon: { hour: 14, minute: 0 },
+  evening: { hour: 18, minute: 0 },
+  night: { hour: 21, minute: 0 },
+  tonight: { hour: 21, minute: 0 },
+  midnight: { hour: 0, minute: 0 }
+};
+
+// "End of ..." means the end of the working day
+const END_OF_DAY = { hour: 17, minute: 0 };
+
+const NUMBER_PATTERN = `(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})(\\s+and\\s+a\\s+half)?`;
+const UNIT_PATTERN = `(${Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|')})`;
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).join('|');
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+
+/**
+ * Parse a natural-language (or ISO) time expression
+ *
+ * Understands, among others:
+ * - ISO timestamps: '2025-12-01T17:00:00Z', '2025-12-01' (date only - uses defaultTime)
+ * - Relative: 'in 20 minutes', 'in half an hour', 'in 2 and a half hours', '3 days from now'
+ * - Days: 'today', 'tomorrow', 'day after tomorrow', 'friday', 'next friday', 'next week', 'next month', 'weekend'
+ * - Dates: 'dec 5', 'december 5th 2026', '5th of december'
+ * - Deadlines: 'end of day', 'end of week', 'end of month', 'end of year'
+ * - Times: 'at 9', '9:30', '3pm', 'noon', 'morning', 'evening', 'tonight'
+ * - Combinations: 'tomorrow at 9', 'next friday evening', 'friday 3pm'
+ *
+ * Bare hours without am/pm read as daytime: 'at 3' is 15:00, 'at 9' is 09:00.
+ * A time without a day that has already passed today means tomorrow.
+ *
+ * @param {string} input - Expression to parse
+ * @param {Object} options - Parse options
+ * @param {string} options.timezone - IANA timezone for wall-clock expressions (default: UTC)
+ * @param {Date|string} options.now - Reference time (default: now)
+ * @param {Object} options.defaultTime - Time for day-only expressions (default: { hour: 9, minute: 0 })
+ * @returns {Object} { input, date, iso, timezone, interpretation, relative }
+ * @throws {Error} If the expression cannot be understood
+ */
+function parseTimeExpression(input, options = {}) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new Error('Time expression is required');
+  }
+
+  const timezone = options.timezone || 'UTC';
+  const now = options.now ? new Date(options.now) : new Date();
+  const defaultTime = options.defaultTime || { hour: 9, minute: 0 };
+  const raw = input.trim();
+
+  const date = parseIso(raw, timezone, defaultTime) ||
+    parseNatural(normalize(raw), { timezone, now, defaultTime }) ||
+    parseFallback(raw);
+
+  if (!date) {
+    throw new Error(`Could not understand time "${raw}" - try "in 20 minutes", "tomorrow at 9" or an ISO date`);
+  }
+
+  return {
+    input: raw,
+    date,
+    iso: date.toISOString(),
+    timezone,
+    interpretation: `${formatInTimezone(date, timezone)} (${timezone})`,
+    relative: describeRelative(date.getTime() - now.getTime())
+  };
+}
+
+/**
+ * Human-readable distance from now, e.g. 'in 20 minutes' or '3 days ago'
+ * @param {number} deltaMs - Target minus now in ms
+ * @returns {string} Description
+ */
+function describeRelative(deltaMs) {
+  const abs = Math.abs(deltaMs);
+  let amount;
+  let unit;
+
+  if (abs < HOUR) {
+    amount = Math.round(abs / MINUTE);
+    unit = 'minute';
+  } else if (abs < 2 * DAY) {
+    amount = Math.round(abs / HOUR);
+    unit = 'hour';
+  } else {
+    amount = Math.round(abs / DAY);
+    unit = 'day';
+  }
+
+  if (amount === 0) return 'now';
+
+  const phrase = `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+  return deltaMs >= 0 ? `in ${phrase}` : `${phrase} ago`;
+}
+
+/**
+ * @private
+ */
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[.,!?]+$/, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^(on|by|due|for)\s+/, '')
+    .trim();
+}
+
+/**
+ * ISO dates: date-only and offset-less timestamps are wall-clock time in the timezone
+ * @private
+ */
+function parseIso(raw, timezone, defaultTime) {
+  const match = raw.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, offset] = match;
+
+  if (offset) {
+    const date = new Date(raw);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  return zonedTimeToUtc({
+    year: +year,
+    month: +month,
+    day: +day,
+    hour: hour !== undefined ? +hour : defaultTime.hour,
+    minute: minute !== undefined ? +minute : defaultTime.minute,
+    second: second !== undefined ? +second : 0
+  }, timezone);
+}
+
+/**
+ * Anything else Date understands (e.g. 'Nov 30 2025 15:00 GMT') keeps working
+ * @private
+ */
+function parseFallback(raw) {
+  // Require an explicit year - Date happily turns 'feb 30' into March 2001
+  if (!/[a-z]/i.test(raw) || !/\d{4}/.test(raw)) return null;
+
+  const date = new Date(raw);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @private
+ */
+function parseNatural(text, context) {
+  const { now } = context;
+
+  if (['now', 'right now', 'asap', 'immediately'].includes(text)) {
+    return new Date(now);
+  }
+
+  const duration = parseDuration(text, now);
+  if (duration) {
+    return duration;
+  }
+
+  const { time, rest, impliesToday } = extractTimeOfDay(text);
+  const day = parseDay(rest, context);
+
+  if (day === undefined) {
+    return null; // Unrecognized day expression
+  }
+
+  const today = getZonedParts(now, context.timezone);
+
+  // Time only ('at 9pm', 'tonight') - today, or tomorrow if it already passed
+  if (day === null) {
+    if (!time) return null;
+
+    const candidate = zonedTimeToUtc({ year: today.year, month: today.month, day: today.day, ...time }, context.timezone);
+    if (candidate > now || impliesToday) {
+      return candidate;
+    }
+    return zonedTimeToUtc({ year: today.year, month: today.month, day: today.day + 1, ...time }, context.timezone);
+  }
+
+  if (day.keepTime && !time) {
+    return day.instant;
+  }
+
+  return zonedTimeToUtc({
+    year: day.year,
+    month: day.month,
+    day: day.day,
+    ...(time || day.defaultTime || context.defaultTime)
+  }, context.timezone);
+}
+
+/**
+ * Pure offsets: 'in 20 minutes', 'in half an hour', '2 hours from now'
+ * @private
+ */
+function parseDuration(text, now) {
+  if (/^in (half an|a half) hour$/.test(text) || text === 'half an hour from now') {
+    return new Date(now.getTime() + 30 * MINUTE);
+  }
+
+  const match = text.match(new RegExp(`^in ${NUMBER_PATTERN} ?${UNIT_PATTERN}$`)) ||
+    text.match(new RegExp(`^${NUMBER_PATTERN} ?${UNIT_PATTERN} (?:from now|later)$`));
+  if (!match) return null;
+
+  const unit = UNITS[match[3]];
+  if (unit !== 'minute' && unit !== 'hour') {
+    return null; // Day-sized offsets are handled with the calendar (they can take a time)
+  }
+
+  const amount = parseAmount(match[1], match[2]);
+  return new Date(now.getTime() + amount * (unit === 'hour' ? HOUR : MINUTE));
+}
+
+/**
+ * @private
+ */
+function parseAmount(value, half) {
+  const base = NUMBER_WORDS[value] !== undefined ? NUMBER_WORDS[value] : parseFloat(value);
+  return base + (half ? 0.5 : 0);
+}
+
+/**
+ * Find and remove a time of day from the text
+ * @private
+ * @returns {Object} { time: { hour, minute } | null, rest: remaining text, impliesToday }
+ */
+function extractTimeOfDay(text) {
+  const remove = (match) => (text.slice(0, match.index) + text.slice(match.index + match[0].length))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // 3pm, 9:30 am, at 11pm
+  let match = text.match(/(?:^|\s)(?:at\s+|@\s*)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)(?=\s|$)/);
+  if (match) {
+    let hour = parseInt(match[1], 10);
+    const minute = match[2] ? parseInt(match[2], 10) : 0;
+    if (hour < 1 || hour > 12 || minute > 59) return { time: null, rest: text };
+
+    const pm = match[3].startsWith('p');
+    if (hour === 12) hour = pm ? 12 : 0;
+    else if (pm) hour += 12;
+
+    return { time: { hour, minute }, rest: remove(match) };
+  }
+
+  // 17:00, at 9:30
+  match = text.match(/(?:^|\s)(?:at\s+|@\s*)?(\d{1,2}):(\d{2})(?=\s|$)/);
+  if (match) {
+    const hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    if (hour > 23 || minute > 59) return { time: null, rest: text };
+    return { time: { hour, minute }, rest: remove(match) };
+  }
+
+  // at 9 - bare hours read as daytime (1-7 -> afternoon)
+  match = text.match(/(?:^|\s)(?:at|@)\s*(\d{1,2})(?=\s|$)/);
+  if (match) {
+    let hour = parseInt(match[1], 10);
+    if (hour > 23) return { time: null, rest: text };
+    if (hour >= 1 && hour <= 7) hour += 12;
+    return { time: { hour, minute: 0 }, rest: remove(match) };
+  }
+
+  // morning, this evening, in the afternoon, tonight
+  match = text.match(new RegExp(`(?:^|\\s)(?:at\\s+|in\\s+the\\s+|this\\s+)?(${Object.keys(TIMES_OF_DAY).join('|')})(?=\\s|$)`));
+  if (match) {
+    const impliesToday = match[1] === 'tonight' || /this\s+$/.test(match[0].replace(match[1], ''));
+    return { time: { ...TIMES_OF_DAY[match[1]] }, rest: remove(match), impliesToday };
+  }
+
+  return { time: null, rest: text, impliesToday: false };
+}
+
+/**
+ * Parse a day expression relative to today in the timezone
+ * @private
+ * @returns {Object|null|undefined} Day ({ year, month, day, defaultTime? } or { keepTime, instant }),
+ *   null if there is no day expression, undefined if it is not understood
+ */
+function parseDay(text, { timezone, now }) {
+  if (text === '') return null;
+
+  const today = getZonedParts(now, timezone);
+  const offset = (days, defaultTime) => {
+    // Normalize through UTC arithmetic so month/year rollover is handled
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), defaultTime };
+  };
+  // Same wall-clock time as now on another day, so "in 2 weeks" is not shifted by DST
+  const atCurrentTime = (day) => {
+    const { hour, minute, second } = today;
+    const instant = zonedTimeToUtc({ year: day.year, month: day.month, day: day.day, hour, minute, second }, timezone);
+    return { ...day, keepTime: true, instant: new Date(instant.getTime() + now.getUTCMilliseconds()) };
+  };
+  const daysUntil = (weekday, allowToday) => {
+    const diff = (weekday - today.weekday + 7) % 7;
+    return diff === 0 && !allowToday ? 7 : diff;
+  };
+  // Once today's end of day has passed, "end of ..." rolls forward to the next one
+  const pastEndOfDay = zonedTimeToUtc({ year: today.year, month: today.month, day: today.day, ...END_OF_DAY }, timezone) <= now;
+  const lastDayOfMonth = (months) => {
+    const last = new Date(Date.UTC(today.year, today.month + months, 0));
+    return { year: last.getUTCFullYear(), month: last.getUTCMonth() + 1, day: last.getUTCDate(), defaultTime: END_OF_DAY };
+  };
+
+  switch (text) {
+    case 'today':
+      return offset(0);
+    case 'tomorrow':
+    case 'tmrw':
+    case 'tmr':
+      return offset(1);
+    case 'day after tomorrow':
+    case 'the day after tomorrow':
+      return offset(2);
+    case 'next week':
+      return offset(daysUntil(1, false));
+    case 'weekend':
+    case 'the weekend':
+    case 'this weekend':
+      return offset(daysUntil(6, true));
+    case 'next month':
+      return { year: today.year, month: today.month + 1, day: 1 };
+    case 'end of day':
+    case 'end of the day':
+    case 'end of today':
+    case 'eod':
+      return offset(pastEndOfDay ? 1 : 0, END_OF_DAY);
+    case 'end of week':
+    case 'end of the week':
+    case 'eow':
+      return offset(daysUntil(5, !pastEndOfDay), END_OF_DAY);
+    case 'end of month':
+    case 'end of the month':
+    case 'eom': {
+      const thisMonth = lastDayOfMonth(0);
+      return thisMonth.day === today.day && pastEndOfDay ? lastDayOfMonth(1) : thisMonth;
+    }
+    case 'end of year':
+    case 'end of the year': {
+      const year = today.month === 12 && today.day === 31 && pastEndOfDay ? today.year + 1 : today.year;
+      return { year, month: 12, day: 31, defaultTime: END_OF_DAY };
+    }
+  }
+
+  // friday, this friday, next friday
+  let match = text.match(new RegExp(`^(?:(this|next|coming|the)\\s+)?(${WEEKDAY_PATTERN})$`));
+  if (match) {
+    return offset(daysUntil(WEEKDAYS[match[2]], match[1] === 'this'));
+  }
+
+  // in 3 days, in a week, 2 weeks from now
+  match = text.match(new RegExp(`^in ${NUMBER_PATTERN} ?${UNIT_PATTERN}$`)) ||
+    text.match(new RegExp(`^${NUMBER_PATTERN} ?${UNIT_PATTERN} (?:from now|later)$`));
+  if (match && ['day', 'week', 'month'].includes(UNITS[match[3]])) {
+    const amount = Math.round(parseAmount(match[1], match[2]));
+    const unit = UNITS[match[3]];
+
+    if (unit === 'month') {
+      const date = new Date(Date.UTC(today.year, today.month - 1 + amount, today.day));
+      return atCurrentTime({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() });
+    }
+
+    return atCurrentTime(offset(unit === 'week' ? amount * 7 : amount));
+  }
+
+  // dec 5, december 5th 2026
+  match = text.match(new RegExp(`^(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?$`));
+  if (match) {
+    return calendarDate(MONTHS[match[1]], parseInt(match[2], 10), match[3], today);
+  }
+
+  // 5 dec, 5th of december 2026
+  match = text.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})(?:,?\\s+(\\d{4}))?$`));
+  if (match) {
+    return calendarDate(MONTHS[match[2]], parseInt(match[1], 10), match[3], today);
+  }
+
+  return undefined;
+}
+
+/**
+ * A month/day without a year means the next time that date comes around
+ * @private
+ */
+function calendarDate(month, day, year, today) {
+  const daysInMonth = new Date(Date.UTC(year ? +year : 2000, month, 0)).getUTCDate();
+  if (day < 1 || day > daysInMonth) {
+    return undefined;
+  }
+
+  if (year) {
+    return { year: +year, month, day };
+  }
+
+  const isPast = month < today.month || (month === today.month && day < today.day);
+  return { year: isPast ? today.year + 1 : today.year, month, day };
+}
+
+export { parseTimeExpression, describeRelative, TIMES_OF_DAY };
@@ -0,0 +1,137 @@
+// lib/timezone.js
+// IANA timezone helpers for poke-brain (built on Intl - no external tz database)
+// Converts between UTC instants and wall-clock time in a user's timezone
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// PERFORMANCE: Intl.DateTimeFormat construction is expensive - reuse one per timezone
+const formatters = new Map();
+
+/**
+ * @private
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - e.g. 'Europe/Berlin'
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.trim() === '') {
+    return false;
+  }
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date|number} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0=Sunday) }
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+/**
+ * Get the UTC offset of a timezone at an instant
+ * @param {Date|number} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in ms (positive east of UTC)
+ */
+function getTimezoneOffset(date, timezone) {
+  const time = new Date(date).getTime();
+  const p = getZonedParts(time, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ * Out-of-range values roll over (day 32 -> next month), like Date.UTC.
+ * Times skipped by a DST jump resolve forward; ambiguous times take the earlier instant.
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} UTC instant
+ */
+function zonedTimeToUtc(parts, timezone) {
+  const wallClock = Date.UTC(
+    parts.year, parts.month - 1, parts.day,
+    parts.hour || 0, parts.minute || 0, parts.second || 0
+  );
+
+  // Two passes converge across DST transitions
+  let guess = wallClock - getTimezoneOffset(wallClock, timezone);
+  guess = wallClock - getTimezoneOffset(guess, timezone);
+  return new Date(guess);
+}
+
+/**
+ * Get midnight (start of the calendar day) in a timezone
+ * @param {Date|number} date - Any instant on the day
+ * @param {string} timezone - IANA timezone
+ * @param {number} addDays - Move this many calendar days forward (negative = back)
+ * @returns {Date} UTC instant of local midnight
+ */
+function startOfDayInTimezone(date, timezone, addDays = 0) {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return zonedTimeToUtc({ year, month, day: day + addDays }, timezone);
+}
+
+/**
+ * Format an instant for humans in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} e.g. 'Friday, 23 October 2026 at 18:00'
+ */
+function formatInTimezone(date, timezone) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  }).format(new Date(date));
+}
+
+export {
+  isValidTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  startOfDayInTimezone,
+  formatInTimezone
+};
@@ -0,0 +1,292 @@
+// lib/trash.js
+// Trash and archive for poke-brain
+// Deleting a task, reminder or Never Forget task moves it to the trash instead of destroying it;
+// trashed items are purged once the retention period (settings.trashRetentionDays) has passed.
+// Archived items (cleared completed tasks) are kept until they are removed explicitly.
+
+import { getStorage, COLLECTIONS } from './storage';
+import { settings } from './settings';
+import { revisions } from './revisions';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Collections whose items can be trashed or archived
+ */
+const TRASHABLE_COLLECTIONS = [
+  COLLECTIONS.tasks,
+  COLLECTIONS.reminders,
+  COLLECTIONS.criticalTasks
+];
+
+const BINS = {
+  trash: 'trash',
+  archive: 'archive'
+};
+
+class TrashManager {
+  /**
+   * @param {Object} storage - Storage adapter (default: configured shared adapter)
+   */
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+
+    // Bin entries: { id, collection, item, deletedAt | archivedAt, deletedWith }
+    // deletedWith links items removed together (a subtask deleted with its parent)
+    this.binMaps = {
+      [BINS.trash]: storage.collection(COLLECTIONS.trash),
+      [BINS.archive]: storage.collection(COLLECTIONS.archive)
+    };
+  }
+
+  /**
+   * Get a trashable source collection
+   * @private
+   */
+  _source(collection) {
+    if (!TRASHABLE_COLLECTIONS.includes(collection)) {
+      throw new Error(`Items in ${collection} cannot be trashed`);
+    }
+    return this.storage.collection(collection);
+  }
+
+  /**
+   * Move an item from its collection into a bin
+   * The bin entry is written before the source record is deleted, so a crash
+   * in between leaves a duplicate rather than losing the item.
+   * @private
+   */
+  _move(bin, collection, id, timestampField, deletedWith = null) {
+    const source = this._source(collection);
+    const item = source.get(id);
+    if (!item) return null;
+
+    const entry = {
+      id,
+      collection,
+      item,
+      [timestampField]: new Date().toISOString(),
+      deletedWith
+    };
+
+    this.binMaps[bin].set(id, entry);
+    source.delete(id);
+    return this._decorate(bin, entry);
+  }
+
+  /**
+   * Add derived fields to a bin entry
+   * @private
+   */
+  _decorate(bin, entry) {
+    if (bin !== BINS.trash) {
+      return { ...entry, bin };
+    }
+
+    const purgeAt = new Date(new Date(entry.deletedAt).getTime() + this.getRetentionMs());
+    return { ...entry, bin, purgeAt: purgeAt.toISOString() };
+  }
+
+  /**
+   * Retention period for trashed items
+   * @returns {number} Retention in ms
+   */
+  getRetentionMs() {
+    return settings.get().trashRetentionDays * DAY_MS;
+  }
+
+  /**
+   * Soft delete - move an item to the trash
+   * @param {string} collection - Source collection (see COLLECTIONS)
+   * @param {string} id - Item ID
+   * @param {Object} options - Move options
+   * @param {string} options.deletedWith - ID of the item this one is deleted along with;
+   *   restoring or purging that item does the same to this one
+   * @returns {Object|null} Trash entry or null if the item was not found
+   * Performance: O(1) - Two Map writes
+   */
+  moveToTrash(collection, id, options = {}) {
+    this.purgeExpired();
+    return this._move(BINS.trash, collection, id, 'deletedAt', options.deletedWith || null);
+  }
+
+  /**
+   * Move an item to the archive (kept until removed explicitly)
+   * @param {string} collection - Source collection (see COLLECTIONS)
+   * @param {string} id - Item ID
+   * @returns {Object|null} Archive entry or null if the item was not found
+   * Performance: O(1) - Two Map writes
+   */
+  moveToArchive(collection, id) {
+    return this._move(BINS.archive, collection, id, 'archivedAt');
+  }
+
+  /**
+   * Find an entry in the trash or the archive
+   * @param {string} id - Item ID
+   * @returns {Object|null} Entry (with bin) or null if not found
+   * Performance: O(1) - Direct Map lookups
+   */
+  getEntry(id) {
+    this.purgeExpired();
+
+    for (const bin of Object.values(BINS)) {
+      const entry = this.binMaps[bin].get(id);
+      if (entry) return this._decorate(bin, entry);
+    }
+    return null;
+  }
+
+  /**
+   * List the entries of a bin, most recently removed first
+   * @param {string} bin - 'trash' (default) or 'archive'
+   * @param {Object} options - Filter options
+   * @param {string} options.collection - Only entries from this collection
+   * @returns {Array} Bin entries
+   * Performance: O(n log n) - Iterate and sort
+   */
+  list(bin = BINS.trash, options = {}) {
+    if (!this.binMaps[bin]) {
+      throw new Error(`Unknown bin: ${bin} (expected trash or archive)`);
+    }
+    this.purgeExpired();
+
+    const removedAt = entry => entry.deletedAt || entry.archivedAt;
+    const results = [];
+
+    for (const entry of this.binMaps[bin].values()) {
+      if (options.collection && entry.collection !== options.collection) continue;
+      results.push(this._decorate(bin, entry));
+    }
+
+    return results.sort((a, b) => new Date(removedAt(b)) - new Date(removedAt(a)));
+  }
+
+  /**
+   * IDs of entries deleted along with an item
+   * @private
+   */
+  _deletedWith(bin, id) {
+    const ids = [];
+    for (const entry of this.binMaps[bin].values()) {
+      if (entry.deletedWith === id) ids.push(entry.id);
+    }
+    return ids;
+  }
+
+  /**
+   * Restore an item from the trash or the archive into its collection
+   * Items deleted along with it (e.g. its subtasks) are restored too.
+   * @param {string} id - Item ID
+   * @returns {Object|null} { collection, item, cascaded } or null if not found
+   *   (cascaded = IDs of the items restored along with it)
+   * @throws {Error} If an item with the same ID already exists in the collection
+   * Performance: O(n) - Scans the bin for items deleted along with this one
+   */
+  restore(id) {
+    const entry = this.getEntry(id);
+    if (!entry) return null;
+
+    const target = this._source(entry.collection);
+    if (target.has(id)) {
+      throw new Error(`An item with ID ${id} already exists in ${entry.collection}`);
+    }
+
+    // Write the item back first - a crash in between leaves a duplicate, never a loss
+    target.set(id, entry.item);
+    this.binMaps[entry.bin].delete(id);
+
+    const cascaded = [];
+    for (const linkedId of this._deletedWith(entry.bin, id)) {
+      const linked = this.binMaps[entry.bin].get(linkedId);
+      const linkedTarget = this._source(linked.collection);
+      if (linkedTarget.has(linkedId)) continue;
+
+      linkedTarget.set(linkedId, linked.item);
+      this.binMaps[entry.bin].delete(linkedId);
+      cascaded.push(linkedId);
+    }
+
+    return { collection: entry.collection, item: entry.item, cascaded };
+  }
+
+  /**
+   * Permanently remove an entry from the trash or the archive
+   * Items deleted along with it are purged too.
+   * @param {string} id - Item ID
+   * @returns {boolean} True if removed, false if not found
+   * Performance: O(n) - Scans the bin for items deleted along with this one
+   */
+  purge(id) {
+    for (const bin of Object.values(BINS)) {
+      if (!this.binMaps[bin].delete(id)) continue;
+
+      revisions.forget(id);
+      for (const linkedId of this._deletedWith(bin, id)) {
+        this.binMaps[bin].delete(linkedId);
+        revisions.forget(linkedId);
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Permanently remove everything in the trash
+   * @returns {number} Number of entries purged
+   * Performance: O(n) - Revision histories are dropped per entry
+   */
+  emptyTrash() {
+    const trashMap = this.binMaps[BINS.trash];
+    const count = trashMap.size;
+
+    for (const id of trashMap.keys()) {
+      revisions.forget(id);
+    }
+    trashMap.clear();
+    return count;
+  }
+
+  /**
+   * Purge trash entries older than the retention period
+   * Runs whenever the trash is touched and once on server boot
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {number} Number of entries purged
+   * Performance: O(n) - Iterate the trash
+   */
+  purgeExpired(now = Date.now()) {
+    const cutoff = now - this.getRetentionMs();
+    const trashMap = this.binMaps[BINS.trash];
+    let purgedCount = 0;
+
+    for (const [id, entry] of trashMap.entries()) {
+      if (new Date(entry.deletedAt).getTime() <= cutoff) {
+        trashMap.delete(id);
+        revisions.forget(id);
+        purgedCount++;
+      }
+    }
+
+    return purgedCount;
+  }
+
+  /**
+   * Get trash and archive statistics
+   * @returns {Object} Statistics
+   * Performance: O(n) - Includes an expiry pass
+   */
+  getStats() {
+    this.purgeExpired();
+
+    return {
+      trashed: this.binMaps[BINS.trash].size,
+      archived: this.binMaps[BINS.archive].size,
+      retentionDays: settings.get().trashRetentionDays
+    };
+  }
+}
+
+// Create singleton instance
+const trash = new TrashManager();
+
+export { trash, BINS, TRASHABLE_COLLECTIONS };
@@ -8,7 +8,8 @@ const nextConfig = {
   },
   // Enable experimental features if needed
   experimental: {
-    // Add any experimental features here
+    // Runs instrumentation.js on server boot (starts the reminder scheduler)
+    instrumentationHook: true,
   },
 }
 
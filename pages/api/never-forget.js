@@ -2,19 +2,37 @@
 // API endpoint for "Never Forget" critical task tracking
 // ADHD-friendly persistent task management with escalation
 
-import { neverForget } from '../../lib/never-forget';
+import { neverForget, ESCALATION_STAGES, SORT_KEYS, FILTER_FIELDS } from '../../lib/never-forget';
+import { parseTimeExpression } from '../../lib/time-parser';
+import { isValidTimezone } from '../../lib/timezone';
+import { settings } from '../../lib/settings';
+import { resolveSnooze } from '../../lib/snooze-presets';
+import { parseListQuery, parsePositiveInt, sortItems, paginate } from '../../lib/list-query';
+import { compileFilterQuery, applyFilterQuery } from '../../lib/filter-query';
+
+// Day-only deadlines ("friday", "end of month") are due at the end of the working day
+const DEADLINE_DEFAULT_TIME = { hour: 17, minute: 0 };
+
+const MAX_ESCALATIONS = 200;
 
 /**
  * Main API handler for Never Forget endpoints
  * 
  * Endpoints:
- * - GET    /api/never-forget          - Get all critical tasks (sorted by priority)
+ * - GET    /api/never-forget          - Get critical tasks (sorted by priority, paginated)
  * - GET    /api/never-forget?top=N    - Get top N priority tasks
+ * - GET    /api/never-forget?ready=true  - Hide tasks that are blocked by open tasks
+ * - GET    /api/never-forget?explain=true - Add a per-component score breakdown to each task
+ * - GET    /api/never-forget?q=tag:work AND due<7d - Filter with the query language
  * - GET    /api/never-forget?alerts=true - Get urgent alerts only
  * - GET    /api/never-forget?stats=true  - Get statistics
+ * - GET    /api/never-forget?escalations=true - Recent escalation stage transitions across tasks
+ * - GET    /api/never-forget?snoozeAnalytics=true - Snooze patterns, avoidance loops and interventions
+ * - GET    /api/never-forget?id=ID&history=true - Get a task's revision history
  * - POST   /api/never-forget          - Add a new critical task
- * - PUT    /api/never-forget          - Update task (complete, snooze, add note, update step)
- * - DELETE /api/never-forget?id=ID    - Delete a task (use sparingly - tasks should be completed)
+ * - PUT    /api/never-forget          - Update task (complete, snooze, add note, micro-steps, dependencies, undo)
+ * - DELETE /api/never-forget?id=ID    - Move a task to the trash (use sparingly - tasks should be completed)
+ * - DELETE /api/never-forget?clearCompleted=true - Archive completed tasks
  * 
  * @param {Object} req - Request object
  * @param {Object} res - Response object
@@ -54,12 +72,138 @@ export default function handler(req, res) {
  * - top: Number of top priority tasks to return
  * - alerts: Return only urgent alerts (true/false)
  * - stats: Return statistics instead of tasks (true/false)
+ * - history: Return the revision history of task `id` (true/false)
+ * - escalations: Return recent stage transitions, newest first (true/false)
+ *   Combines with id, escalationStage (stage entered), direction (up/down), since (ISO time), limit
+ * - snoozeAnalytics: Return snooze analytics (true/false) - optional since (ISO time), timezone
  * - includeCompleted: Include completed tasks (true/false)
  * - escalationStage: Filter by escalation stage
+ * - ready: Only tasks that are not blocked (true/false)
+ * - explain: Add scoreBreakdown { total, components } to each open task (true/false)
+ * - q: Filter query, e.g. 'priority:high AND (tag:work OR due<7d)' (see lib/filter-query.js)
+ *   Queries that mention `completed` also see completed tasks
+ * - timezone: IANA timezone for calendar dates in q (default: user setting)
+ * - limit, cursor: Page size and nextCursor from the previous page (unpaginated without either)
+ * - sort: Sort keys, '-' for descending (e.g. 'deadline,-priorityScore')
+ * - fields: Fields to return (e.g. 'title,deadline,priorityScore')
  */
 function handleGet(req, res) {
   try {
-    const { top, alerts, stats, includeCompleted, escalationStage } = req.query;
+    const {
+      top, alerts, stats, escalations, snoozeAnalytics, includeCompleted, escalationStage, id, history, ready, explain, q, timezone
+    } = req.query;
+
+    // Return a task's revision history
+    if (history === 'true') {
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Task ID is required for history'
+        });
+      }
+
+      const revisions = neverForget.getTaskHistory(id);
+      if (!revisions) {
+        return res.status(404).json({
+          success: false,
+          error: 'Task not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        count: revisions.length,
+        data: revisions
+      });
+    }
+
+    // Return recent escalations (stage transitions) across all tasks
+    if (escalations === 'true') {
+      const { direction, since, limit } = req.query;
+
+      if (escalationStage && !Object.values(ESCALATION_STAGES).includes(escalationStage)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid escalationStage - must be one of: ${Object.values(ESCALATION_STAGES).join(', ')}`
+        });
+      }
+
+      if (direction && direction !== 'up' && direction !== 'down') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid direction - must be up or down'
+        });
+      }
+
+      if (since && isNaN(Date.parse(since))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid since - must be an ISO date'
+        });
+      }
+
+      let maxResults;
+      if (limit !== undefined) {
+        maxResults = parsePositiveInt(limit);
+        if (maxResults === null || maxResults > MAX_ESCALATIONS) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid limit - must be between 1 and ${MAX_ESCALATIONS}`
+          });
+        }
+      }
+
+      const transitions = neverForget.getRecentEscalations({
+        taskId: id,
+        escalationStage,
+        direction,
+        since,
+        limit: maxResults
+      });
+      const emergencies = transitions.filter(transition => transition.to === ESCALATION_STAGES.emergency).length;
+
+      return res.status(200).json({
+        success: true,
+        count: transitions.length,
+        data: transitions,
+        message: emergencies > 0
+          ? `🚨 ${emergencies} escalation(s) to emergency`
+          : `📈 ${transitions.length} recent escalation(s)`
+      });
+    }
+
+    // Return snooze analytics - what gets put off, why, when, and what to do about it
+    if (snoozeAnalytics === 'true') {
+      const { since } = req.query;
+
+      if (since && isNaN(Date.parse(since))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid since - must be an ISO date'
+        });
+      }
+
+      if (timezone !== undefined && !isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid timezone - use an IANA name like Europe/Berlin'
+        });
+      }
+
+      const analytics = neverForget.getSnoozeAnalytics({
+        since,
+        timezone: timezone || settings.get().timezone
+      });
+      const loops = analytics.avoidanceLoops.length;
+
+      return res.status(200).json({
+        success: true,
+        data: analytics,
+        message: loops > 0
+          ? `🔁 ${loops} task(s) look stuck in a snooze loop - see the suggested next moves`
+          : '✨ No avoidance loops - nice!'
+      });
+    }
 
     // Return statistics
     if (stats === 'true') {
@@ -85,15 +229,18 @@ function handleGet(req, res) {
 
     // Return top N priority tasks
     if (top) {
-      const topN = parseInt(top, 10);
-      if (isNaN(topN) || topN < 1) {
+      const topN = parsePositiveInt(top);
+      if (topN === null) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid top parameter - must be a positive number'
+          error: 'Invalid top parameter - must be a positive whole number'
         });
       }
 
-      const topTasks = neverForget.getTopPriorityTasks(topN);
+      const topTasks = neverForget.getTopPriorityTasks(topN, {
+        ready: ready === 'true',
+        explain: explain === 'true'
+      });
       return res.status(200).json({
         success: true,
         count: topTasks.length,
@@ -104,18 +251,54 @@ function handleGet(req, res) {
       });
     }
 
-    // Return all tasks with optional filters
+    // Return tasks with optional filters, paginated
+    const listQuery = parseListQuery(req.query, SORT_KEYS);
+    if (listQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: listQuery.error
+      });
+    }
+
+    let filter = null;
+    if (q !== undefined) {
+      if (timezone !== undefined && !isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid timezone - use an IANA name like Europe/Berlin'
+        });
+      }
+
+      filter = compileFilterQuery(q, FILTER_FIELDS, { timezone: timezone || settings.get().timezone });
+      if (filter.error) {
+        return res.status(400).json({
+          success: false,
+          error: filter.error
+        });
+      }
+    }
+
     const options = {
-      includeCompleted: includeCompleted === 'true',
-      escalationStage: escalationStage || null
+      includeCompleted: includeCompleted === 'true' || Boolean(filter && filter.fieldsUsed.has('completed')),
+      escalationStage: escalationStage || null,
+      ready: ready === 'true',
+      explain: explain === 'true'
     };
 
-    const tasks = neverForget.getCriticalTasks(options);
+    let tasks = neverForget.getCriticalTasks(options);
+    if (filter) {
+      tasks = applyFilterQuery(tasks, filter);
+    }
+
+    tasks = sortItems(tasks, listQuery, SORT_KEYS);
+    const page = paginate(tasks, listQuery);
     
     return res.status(200).json({
       success: true,
-      count: tasks.length,
-      data: tasks
+      count: page.data.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      data: page.data
     });
   } catch (error) {
     return res.status(500).json({
@@ -125,18 +308,31 @@ function handleGet(req, res) {
   }
 }
 
+/**
+ * Offer to complete a task once its last micro-step is done
+ * @param {Object} task - Task object
+ * @returns {Object|null} { action, taskId, message } to send back as the next action
+ */
+function completionOffer(task) {
+  return neverForget.allStepsDone(task)
+    ? { action: 'complete', taskId: task.id, message: '🏁 All steps done - complete the task?' }
+    : null;
+}
+
 /**
  * POST - Add a new critical task
  * Body parameters:
  * - title: Task title (required)
  * - description: Task description (optional)
  * - importance: critical|high|medium|low (default: high)
- * - deadline: ISO date string (optional)
+ * - deadline: ISO date string or natural language, e.g. "next friday" (optional)
+ * - timezone: IANA timezone for natural-language deadlines (default: user setting)
  * - tags: Array of tag strings (optional)
+ * - blockedBy: IDs of critical tasks that must be completed first (optional)
  */
 function handlePost(req, res) {
   try {
-    const { title, description, importance, deadline, tags } = req.body;
+    const { title, description, importance, deadline, tags, timezone, blockedBy } = req.body;
 
     // Validation
     if (!title || title.trim() === '') {
@@ -154,13 +350,35 @@ function handlePost(req, res) {
       });
     }
 
-    // Validate deadline if provided
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone - use an IANA name like Europe/Berlin'
+      });
+    }
+
+    if (blockedBy !== undefined) {
+      const blockerError = neverForget.validateBlockers(null, blockedBy);
+      if (blockerError) {
+        return res.status(400).json({
+          success: false,
+          error: blockerError
+        });
+      }
+    }
+
+    // Resolve deadline - ISO or natural language ("end of month") in the user's timezone
+    let parsed = null;
     if (deadline) {
-      const deadlineDate = new Date(deadline);
-      if (isNaN(deadlineDate.getTime())) {
+      try {
+        parsed = parseTimeExpression(String(deadline), {
+          timezone: timezone || settings.get().timezone,
+          defaultTime: DEADLINE_DEFAULT_TIME
+        });
+      } catch (error) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid deadline format - use ISO date string'
+          error: `Invalid deadline: ${error.message}`
         });
       }
     }
@@ -170,13 +388,21 @@ function handlePost(req, res) {
       title: title.trim(),
       description: description?.trim() || '',
       importance: importance || 'high',
-      deadline: deadline || null,
-      tags: Array.isArray(tags) ? tags : []
+      deadline: parsed ? parsed.iso : null,
+      tags: Array.isArray(tags) ? tags : [],
+      blockedBy: blockedBy ? [...new Set(blockedBy)] : []
     });
 
     return res.status(201).json({
       success: true,
       data: task,
+      parsed: parsed && {
+        input: parsed.input,
+        deadline: parsed.iso,
+        timezone: parsed.timezone,
+        interpretation: parsed.interpretation,
+        relative: parsed.relative
+      },
       message: getTaskCreationMessage(task)
     });
   } catch (error) {
@@ -191,9 +417,19 @@ function handlePost(req, res) {
  * PUT - Update a task
  * Supported operations (specify in body.action):
  * - complete: Mark task as completed
- * - snooze: Snooze task until specified time
+ * - snooze: Snooze task (body.until - preset like "after lunch", duration like "45m", or a time;
+ *   optional body.reason, body.timezone) - capped per importance by the snoozeLimits setting
  * - note: Add a note to the task
- * - step: Update micro-step completion status
+ * - step: Update micro-step completion status (body.stepId, body.completed)
+ * - addStep: Add a micro-step (body.description, optional body.duration and body.position)
+ * - editStep: Change a micro-step (body.stepId + description, duration and/or actualMinutes)
+ * - deleteStep: Remove a micro-step (body.stepId)
+ * - reorderSteps: Put the micro-steps in a new order (body.stepIds - all of them)
+ * - startStep / stopStep: Start timing a micro-step (body.stepId) / pause the one in progress
+ * Step actions respond with suggestion { action: 'complete' } once every step is done
+ * - dependencies: Replace the tasks this task is blocked by (body.blockedBy)
+ * - demote: Move the task back to the regular task list (see PUT /api/tasks action promote)
+ * - undo: Revert the most recent change (e.g. re-open a completed task)
  */
 function handlePut(req, res) {
   try {
@@ -209,7 +445,7 @@ function handlePut(req, res) {
     if (!action) {
       return res.status(400).json({
         success: false,
-        error: 'action is required (complete|snooze|note|step)'
+        error: 'action is required (complete|snooze|note|step|addStep|editStep|deleteStep|reorderSteps|startStep|stopStep|dependencies|demote|undo)'
       });
     }
 
@@ -225,7 +461,7 @@ function handlePut(req, res) {
         });
 
       case 'snooze':
-        const { until, reason } = req.body;
+        const { until, reason, timezone } = req.body;
         
         if (!until) {
           return res.status(400).json({
@@ -234,12 +470,34 @@ function handlePut(req, res) {
           });
         }
 
-        task = neverForget.snoozeTask(taskId, until, reason || '');
+        if (timezone !== undefined && !isValidTimezone(timezone)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid timezone - use an IANA name like Europe/Berlin'
+          });
+        }
+
+        // Preset ("after lunch", "next workday"), duration ("45m") or time, in the user's working hours
+        const current = settings.get();
+        const snooze = resolveSnooze(String(until), {
+          timezone: timezone || current.timezone,
+          workingHours: current.workingHours
+        });
+
+        task = neverForget.snoozeTask(taskId, snooze.date, reason || '');
         
         return res.status(200).json({
           success: true,
           data: task,
-          message: `💤 Task snoozed until ${new Date(until).toLocaleString()}`,
+          parsed: {
+            input: snooze.input,
+            preset: snooze.preset,
+            snoozedUntil: snooze.iso,
+            timezone: snooze.timezone,
+            interpretation: snooze.interpretation,
+            relative: snooze.relative
+          },
+          message: `💤 Task snoozed until ${snooze.interpretation}`,
           warning: task.snoozeCount >= 3 
             ? '⚠️ This task has been snoozed multiple times - consider if it\'s time to tackle it!'
             : null
@@ -287,13 +545,128 @@ function handlePut(req, res) {
           data: task,
           message: completed 
             ? '✅ Step completed - keep up the momentum!'
-            : '⬜ Step marked as incomplete'
+            : '⬜ Step marked as incomplete',
+          suggestion: completionOffer(task)
+        });
+
+      case 'addStep':
+        const { description, duration, position } = req.body;
+
+        task = neverForget.addMicroStep(taskId, { description, duration, position });
+
+        return res.status(201).json({
+          success: true,
+          data: task,
+          message: '➕ Step added'
+        });
+
+      case 'editStep':
+        if (!req.body.stepId) {
+          return res.status(400).json({
+            success: false,
+            error: 'stepId is required'
+          });
+        }
+
+        task = neverForget.editMicroStep(taskId, req.body.stepId, {
+          description: req.body.description,
+          duration: req.body.duration,
+          actualMinutes: req.body.actualMinutes
+        });
+
+        return res.status(200).json({
+          success: true,
+          data: task,
+          message: '✏️ Step updated'
+        });
+
+      case 'deleteStep':
+        if (!req.body.stepId) {
+          return res.status(400).json({
+            success: false,
+            error: 'stepId is required'
+          });
+        }
+
+        task = neverForget.deleteMicroStep(taskId, req.body.stepId);
+
+        return res.status(200).json({
+          success: true,
+          data: task,
+          message: '🗑️ Step removed',
+          suggestion: completionOffer(task)
+        });
+
+      case 'reorderSteps':
+        task = neverForget.reorderMicroSteps(taskId, req.body.stepIds);
+
+        return res.status(200).json({
+          success: true,
+          data: task,
+          message: '🔀 Steps reordered'
+        });
+
+      case 'startStep':
+        if (!req.body.stepId) {
+          return res.status(400).json({
+            success: false,
+            error: 'stepId is required'
+          });
+        }
+
+        task = neverForget.startMicroStep(taskId, req.body.stepId);
+
+        return res.status(200).json({
+          success: true,
+          data: task,
+          message: '▶️ Step started - you\'ve got this!'
+        });
+
+      case 'stopStep':
+        task = neverForget.stopMicroStep(taskId);
+
+        return res.status(200).json({
+          success: true,
+          data: task,
+          message: '⏸️ Step paused - time so far is saved'
+        });
+
+      case 'dependencies':
+        const { blockedBy } = req.body;
+
+        task = neverForget.setBlockers(taskId, blockedBy);
+
+        return res.status(200).json({
+          success: true,
+          data: task,
+          message: task.blocked
+            ? `⛓️ Task is waiting on ${task.waitingOn.length} other task(s)`
+            : '✅ Task is ready to do'
+        });
+
+      case 'demote':
+        task = neverForget.demoteTask(taskId);
+
+        return res.status(200).json({
+          success: true,
+          data: task,
+          message: '⬇️ Moved back to your regular tasks - history and reminders came along'
+        });
+
+      case 'undo':
+        const result = neverForget.undoLastChange(taskId);
+
+        return res.status(200).json({
+          success: true,
+          data: result.task,
+          undone: result.revision,
+          message: `↩️ Undid ${result.revision.action}`
         });
 
       default:
         return res.status(400).json({
           success: false,
-          error: 'Invalid action - must be: complete, snooze, note, or step'
+          error: 'Invalid action - must be: complete, snooze, note, step, addStep, editStep, deleteStep, reorderSteps, startStep, stopStep, dependencies, demote, or undo'
         });
     }
   } catch (error) {
@@ -305,22 +678,22 @@ function handlePut(req, res) {
 }
 
 /**
- * DELETE - Remove a task
+ * DELETE - Move a task to the trash
  * Use sparingly - tasks should generally be marked as completed
  * Query parameters:
  * - id: Task ID (required)
- * - clearCompleted: Clear all completed tasks (true/false)
+ * - clearCompleted: Archive all completed tasks (true/false)
  */
 function handleDelete(req, res) {
   try {
     const { id, clearCompleted } = req.query;
 
-    // Clear all completed tasks
+    // Archive all completed tasks
     if (clearCompleted === 'true') {
       const count = neverForget.clearCompleted();
       return res.status(200).json({
         success: true,
-        message: `🗑️ Cleared ${count} completed task(s)`
+        message: `📦 Archived ${count} completed task(s)`
       });
     }
 
@@ -332,22 +705,20 @@ function handleDelete(req, res) {
       });
     }
 
-    // Note: This is a destructive operation
-    // In a real implementation, you might want to archive instead
-    const taskIndex = neverForget.criticalTasks.findIndex(t => t.id === id);
-    
-    if (taskIndex === -1) {
+    let entry;
+    try {
+      entry = neverForget.deleteTask(id);
+    } catch (error) {
       return res.status(404).json({
         success: false,
-        error: 'Task not found'
+        error: error.message
       });
     }
 
-    neverForget.criticalTasks.splice(taskIndex, 1);
-
     return res.status(200).json({
       success: true,
-      message: '🗑️ Task deleted',
+      data: entry,
+      message: '🗑️ Task moved to trash - restore it via /api/trash',
       warning: 'Consider marking tasks as complete instead of deleting them for better tracking'
     });
   } catch (error) {
@@ -1,20 +1,36 @@
 // pages/api/reminders.js
 // ADHD-friendly reminders API endpoint for poke-brain
 
-import { db } from '../../lib/db';
+import { db, REMINDER_SORT_KEYS, REMINDER_FILTER_FIELDS } from '../../lib/db';
+import { reminderScheduler } from '../../lib/reminder-scheduler';
+import { parseRRule, getOccurrences } from '../../lib/rrule';
+import { parseTimeExpression } from '../../lib/time-parser';
+import { isValidTimezone, formatInTimezone } from '../../lib/timezone';
+import { settings } from '../../lib/settings';
+import { resolveSnooze, checkSnoozeLimit, REMINDER_TYPE_IMPORTANCE } from '../../lib/snooze-presets';
+import { validateAttachment, describeItem } from '../../lib/item-links';
+import { parseListQuery, parsePositiveInt, sortItems, paginate } from '../../lib/list-query';
+import { compileFilterQuery, applyFilterQuery } from '../../lib/filter-query';
+
+const MAX_OCCURRENCES = 50;
 
 export default function handler(req, res) {
   const { method } = req;
 
+  // Normally started by instrumentation.js - this covers runtimes without the hook
+  reminderScheduler.start();
+
   switch (method) {
     case 'GET':
       return getReminders(req, res);
     case 'POST':
       return createReminder(req, res);
+    case 'PUT':
+      return updateReminder(req, res);
     case 'DELETE':
       return deleteReminder(req, res);
     default:
-      res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+      res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE']);
       return res.status(405).json({ error: `Method ${method} Not Allowed` });
   }
 }
@@ -22,31 +38,77 @@ export default function handler(req, res) {
 // GET /api/reminders - Retrieve reminders
 function getReminders(req, res) {
   try {
-    const { type, upcoming } = req.query;
-    let reminders = db.getReminders();
+    const { type, upcoming, occurrences, q, timezone, attachedTo } = req.query;
+
+    // Pagination, sorting and field selection (see lib/list-query.js)
+    const listQuery = parseListQuery(req.query, REMINDER_SORT_KEYS);
+    if (listQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: listQuery.error
+      });
+    }
+
+    // Filter query, e.g. ?q=type:urgent AND at<2h (see lib/filter-query.js)
+    let filter = null;
+    if (q !== undefined) {
+      if (timezone !== undefined && !isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid timezone - use an IANA name like Europe/Berlin'
+        });
+      }
 
-    // Filter by type if specified
-    if (type) {
-      reminders = reminders.filter(reminder => reminder.type === type);
+      filter = compileFilterQuery(q, REMINDER_FILTER_FIELDS, { timezone: timezone || settings.get().timezone });
+      if (filter.error) {
+        return res.status(400).json({
+          success: false,
+          error: filter.error
+        });
+      }
     }
 
-    // Filter upcoming reminders (within next 24 hours)
+    // Type and upcoming (within the next 24 hours) come straight from the indexes,
+    // or the reminders attached to one task (?attachedTo=ID, combines with type)
+    const criteria = { type: type || undefined };
     if (upcoming === 'true') {
-      const now = new Date();
-      const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-      reminders = reminders.filter(reminder => {
-        const remindAt = new Date(reminder.remindAt);
-        return remindAt >= now && remindAt <= tomorrow;
-      });
+      criteria.from = Date.now();
+      criteria.to = criteria.from + 24 * 60 * 60 * 1000;
+    }
+
+    let reminders = attachedTo !== undefined
+      ? db.getAttachedReminders(attachedTo).filter(reminder => !type || reminder.type === type)
+      : db.findReminders(criteria);
+
+    if (filter) {
+      reminders = applyFilterQuery(reminders, filter);
+    }
+
+    // Sorted by remindAt (earliest first) unless another sort was requested
+    reminders = sortItems(reminders, listQuery, REMINDER_SORT_KEYS);
+
+    // Expand the next N occurrences of recurring reminders
+    if (occurrences !== undefined) {
+      const count = parsePositiveInt(occurrences);
+      if (count === null || count > MAX_OCCURRENCES) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid occurrences parameter - must be between 1 and ${MAX_OCCURRENCES}`
+        });
+      }
+
+      reminders = reminders.map(reminder => withUpcomingOccurrences(reminder, count));
     }
 
-    // Sort by remindAt (earliest first)
-    reminders.sort((a, b) => new Date(a.remindAt) - new Date(b.remindAt));
+    const page = paginate(reminders, listQuery);
 
     return res.status(200).json({
       success: true,
-      count: reminders.length,
-      data: reminders
+      count: page.data.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      attachedItem: attachedTo !== undefined ? describeItem(attachedTo) : undefined, // Omitted when unset
+      data: page.data
     });
   } catch (error) {
     return res.status(500).json({
@@ -59,7 +121,7 @@ function getReminders(req, res) {
 // POST /api/reminders - Create a new reminder
 function createReminder(req, res) {
   try {
-    const { title, message, remindAt, type = 'gentle' } = req.body;
+    const { title, message, remindAt, type = 'gentle', rrule, timezone, attachedTo } = req.body;
 
     // Validation
     if (!title || title.trim() === '') {
@@ -76,20 +138,33 @@ function createReminder(req, res) {
       });
     }
 
-    // Validate date
-    const reminderDate = new Date(remindAt);
-    if (isNaN(reminderDate.getTime())) {
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid date format for remindAt'
+        error: 'Invalid timezone - use an IANA name like Europe/Berlin'
       });
     }
 
+    // Resolve ISO or natural language ("tomorrow at 9") in the user's timezone
+    let parsed;
+    try {
+      parsed = parseTimeExpression(String(remindAt), {
+        timezone: timezone || settings.get().timezone
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid remindAt: ${error.message}`
+      });
+    }
+
+    const reminderDate = parsed.date;
+
     // Check if date is in the past
     if (reminderDate < new Date()) {
       return res.status(400).json({
         success: false,
-        error: 'Reminder time cannot be in the past'
+        error: `Reminder time cannot be in the past (understood as ${parsed.interpretation})`
       });
     }
 
@@ -101,16 +176,52 @@ function createReminder(req, res) {
       });
     }
 
+    // Validate recurrence rule
+    if (rrule !== undefined && rrule !== null) {
+      try {
+        parseRRule(rrule);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid rrule: ${error.message}`
+        });
+      }
+    }
+
+    // Task or Never Forget task the reminder is about - resolved when that is completed
+    if (attachedTo !== undefined && attachedTo !== null) {
+      const attachmentError = validateAttachment(attachedTo);
+      if (attachmentError) {
+        return res.status(400).json({
+          success: false,
+          error: attachmentError
+        });
+      }
+    }
+
     const reminder = db.createReminder({
       title: title.trim(),
       message: message?.trim() || '',
       remindAt: reminderDate.toISOString(),
-      type
+      type,
+      rrule: rrule || null,
+      timezone: parsed.timezone,
+      attachedTo: attachedTo || null
     });
 
+    reminderScheduler.schedule(reminder);
+
     return res.status(201).json({
       success: true,
       data: reminder,
+      parsed: {
+        input: parsed.input,
+        remindAt: parsed.iso,
+        timezone: parsed.timezone,
+        interpretation: parsed.interpretation,
+        relative: parsed.relative
+      },
+      attachedItem: reminder.attachedTo ? describeItem(reminder.attachedTo) : null,
       message: getReminderTypeMessage(type)
     });
   } catch (error) {
@@ -121,7 +232,181 @@ function createReminder(req, res) {
   }
 }
 
-// DELETE /api/reminders - Delete a reminder
+// PUT /api/reminders - Reminder actions
+// - acknowledge: Stop re-notifications for a fired reminder (optional body.timezone for the reply)
+// - snooze: Notify again later (body.until - preset like "after lunch", duration like "45m",
+//   or a time; optional body.timezone) - capped by the snoozeLimits setting for the type
+// - attach: Attach to a task or Never Forget task (body.attachedTo - null detaches)
+function updateReminder(req, res) {
+  try {
+    const { id, action, timezone } = req.body;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reminder ID is required'
+      });
+    }
+
+    if (!['acknowledge', 'snooze', 'attach'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid action - must be: acknowledge, snooze, attach'
+      });
+    }
+
+    const existing = db.getReminderById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reminder not found'
+      });
+    }
+
+    if (action === 'snooze') {
+      return snoozeReminder(req, res, existing);
+    }
+
+    if (action === 'attach') {
+      return attachReminder(req, res, existing);
+    }
+
+    if (!existing.triggered) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reminder has not fired yet - delete it instead'
+      });
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone - use an IANA name like Europe/Berlin'
+      });
+    }
+
+    const reminder = db.acknowledgeReminder(id);
+
+    // Cancels repeats - or schedules the next occurrence of a recurring reminder
+    reminderScheduler.schedule(reminder);
+
+    return res.status(200).json({
+      success: true,
+      data: reminder,
+      message: reminder.recurrence && !reminder.recurrence.ended
+        ? `👍 Reminder acknowledged - see you again ${formatInTimezone(reminder.remindAt, timezone || settings.get().timezone)}`
+        : '👍 Reminder acknowledged - no more pokes'
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update reminder'
+    });
+  }
+}
+
+// PUT /api/reminders { action: 'snooze' } - Push the next notification back
+function snoozeReminder(req, res, existing) {
+  const { until, timezone } = req.body;
+
+  if (!until) {
+    return res.status(400).json({
+      success: false,
+      error: 'Snooze time (until) is required'
+    });
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid timezone - use an IANA name like Europe/Berlin'
+    });
+  }
+
+  if (existing.acknowledged) {
+    return res.status(400).json({
+      success: false,
+      error: 'Reminder was already acknowledged - nothing to snooze'
+    });
+  }
+
+  const current = settings.get();
+  let snooze;
+
+  try {
+    snooze = resolveSnooze(String(until), {
+      timezone: timezone || current.timezone,
+      workingHours: current.workingHours
+    });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const exceeded = checkSnoozeLimit(snooze.date, REMINDER_TYPE_IMPORTANCE[existing.type], current.snoozeLimits);
+  if (exceeded) {
+    return res.status(400).json({
+      success: false,
+      error: `Snooze too long - ${existing.type} reminders can be snoozed for at most ${exceeded.limit}`
+    });
+  }
+
+  const reminder = db.snoozeReminder(existing.id, snooze.date);
+  reminderScheduler.schedule(reminder);
+
+  return res.status(200).json({
+    success: true,
+    data: reminder,
+    parsed: {
+      input: snooze.input,
+      preset: snooze.preset,
+      snoozedUntil: snooze.iso,
+      timezone: snooze.timezone,
+      interpretation: snooze.interpretation,
+      relative: snooze.relative
+    },
+    message: `💤 Reminder snoozed until ${snooze.interpretation}`
+  });
+}
+
+// PUT /api/reminders { action: 'attach' } - Point a reminder at the task it is about
+function attachReminder(req, res, existing) {
+  const { attachedTo } = req.body;
+
+  if (attachedTo === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'attachedTo is required - a task or Never Forget task ID, or null to detach'
+    });
+  }
+
+  if (attachedTo !== null) {
+    const attachmentError = validateAttachment(attachedTo);
+    if (attachmentError) {
+      return res.status(400).json({
+        success: false,
+        error: attachmentError
+      });
+    }
+  }
+
+  const reminder = db.attachReminder(existing.id, attachedTo);
+  const item = attachedTo && describeItem(attachedTo);
+
+  return res.status(200).json({
+    success: true,
+    data: reminder,
+    attachedItem: item || null,
+    message: item
+      ? `🔗 Attached to "${item.title}" - completing it resolves this reminder`
+      : '🔗 Reminder detached'
+  });
+}
+
+// DELETE /api/reminders - Move a reminder to the trash
 function deleteReminder(req, res) {
   try {
     const { id } = req.query;
@@ -133,18 +418,21 @@ function deleteReminder(req, res) {
       });
     }
 
-    const deleted = db.deleteReminder(id);
+    const entry = db.deleteReminder(id);
 
-    if (!deleted) {
+    if (!entry) {
       return res.status(404).json({
         success: false,
         error: 'Reminder not found'
       });
     }
 
+    reminderScheduler.unschedule(id);
+
     return res.status(200).json({
       success: true,
-      message: 'Reminder deleted successfully'
+      data: entry,
+      message: 'Reminder moved to trash - restore it via /api/trash'
     });
   } catch (error) {
     return res.status(500).json({
@@ -154,6 +442,27 @@ function deleteReminder(req, res) {
   }
 }
 
+// Helper function to attach the next N occurrences to a recurring reminder
+function withUpcomingOccurrences(reminder, count) {
+  if (!reminder.recurrence || reminder.recurrence.ended) {
+    return { ...reminder, upcomingOccurrences: reminder.recurrence ? [] : [reminder.remindAt] };
+  }
+
+  // Include the pending occurrence itself unless it already fired
+  const after = reminder.triggered
+    ? reminder.remindAt
+    : new Date(new Date(reminder.remindAt).getTime() - 1);
+
+  return {
+    ...reminder,
+    upcomingOccurrences: getOccurrences(reminder.recurrence.rrule, reminder.recurrence.dtstart, {
+      after,
+      limit: count,
+      tzid: reminder.recurrence.tzid
+    }).map(date => date.toISOString())
+  };
+}
+
 // Helper function to provide friendly messages based on reminder type
 function getReminderTypeMessage(type) {
   const messages = {
@@ -0,0 +1,82 @@
+// pages/api/scoring.js
+// Never Forget scoring policy API endpoint for poke-brain
+// Read the policy in use and preview ("what-if") a change before saving it via PUT /api/settings
+
+import { neverForget } from '../../lib/never-forget';
+import { DEFAULT_SCORING_POLICY } from '../../lib/scoring-policy';
+
+const MAX_PREVIEW_TASKS = 100;
+
+export default function handler(req, res) {
+  const { method } = req;
+
+  switch (method) {
+    case 'GET':
+      return getPolicy(req, res);
+    case 'POST':
+      return previewPolicy(req, res);
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return res.status(405).json({ error: `Method ${method} Not Allowed` });
+  }
+}
+
+// GET /api/scoring - Current scoring policy and the defaults
+function getPolicy(req, res) {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: {
+        policy: neverForget.policy,
+        defaults: DEFAULT_SCORING_POLICY
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve scoring policy'
+    });
+  }
+}
+
+// POST /api/scoring - What-if: how the ranking would change under a proposed policy
+// Body: { policy: { ...partial scoring policy }, limit?: N (default 20) }
+function previewPolicy(req, res) {
+  const { policy, limit } = req.body || {};
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Proposed policy (policy) is required'
+    });
+  }
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PREVIEW_TASKS)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid limit - must be between 1 and ${MAX_PREVIEW_TASKS}`
+    });
+  }
+
+  let preview;
+
+  try {
+    preview = neverForget.previewScoringPolicy(policy, { limit });
+  } catch (error) {
+    // Validation errors list every invalid field
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const { movedUp, movedDown, stageChanges } = preview.summary;
+
+  return res.status(200).json({
+    success: true,
+    data: preview,
+    message: movedUp + movedDown + stageChanges > 0
+      ? `🔀 ${movedUp} task(s) would move up, ${movedDown} down, ${stageChanges} change stage`
+      : '🟰 The ranking would stay the same'
+  });
+}
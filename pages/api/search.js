@@ -0,0 +1,81 @@
+// pages/api/search.js
+// Full-text search API endpoint for poke-brain
+// Searches tasks, reminders and Never Forget tasks (incl. notes and micro-steps) in one go
+
+import { searchIndex, SEARCHABLE } from '../../lib/search-index';
+import { parsePositiveInt } from '../../lib/list-query';
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_RESULTS = 100;
+
+export default function handler(req, res) {
+  const { method } = req;
+
+  switch (method) {
+    case 'GET':
+      return search(req, res);
+    default:
+      res.setHeader('Allow', ['GET']);
+      return res.status(405).json({ error: `Method ${method} Not Allowed` });
+  }
+}
+
+// GET /api/search?q=dentist - Ranked results with highlighted snippets
+// Optional: in=tasks,reminders,criticalTasks (default: all), limit=N (default 20)
+function search(req, res) {
+  try {
+    const { q, limit } = req.query;
+    const query = typeof q === 'string' ? q.trim() : '';
+
+    if (query === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query (q) is required'
+      });
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Search query must be at most ${MAX_QUERY_LENGTH} characters`
+      });
+    }
+
+    const collections = req.query.in ? String(req.query.in).split(',') : undefined;
+    const unknown = (collections || []).filter(collection => !SEARCHABLE[collection]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot search in: ${unknown.join(', ')} - use ${Object.keys(SEARCHABLE).join(', ')}`
+      });
+    }
+
+    let maxResults = 20;
+    if (limit !== undefined) {
+      maxResults = parsePositiveInt(limit);
+      if (maxResults === null || maxResults > MAX_RESULTS) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid limit - must be between 1 and ${MAX_RESULTS}`
+        });
+      }
+    }
+
+    const results = searchIndex.search(query, { collections, limit: maxResults });
+
+    return res.status(200).json({
+      success: true,
+      query,
+      count: results.length,
+      data: results,
+      message: results.length > 0
+        ? `🔎 Found ${results.length} match(es)`
+        : '🤷 Nothing found - try fewer or shorter words'
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Search failed'
+    });
+  }
+}
@@ -0,0 +1,72 @@
+// pages/api/settings.js
+// User settings API endpoint for poke-brain
+
+import { settings } from '../../lib/settings';
+
+export default function handler(req, res) {
+  const { method } = req;
+
+  switch (method) {
+    case 'GET':
+      return getSettings(req, res);
+    case 'PUT':
+      return updateSettings(req, res);
+    case 'DELETE':
+      return resetSettings(req, res);
+    default:
+      res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+      return res.status(405).json({ error: `Method ${method} Not Allowed` });
+  }
+}
+
+// GET /api/settings - Retrieve the effective settings
+function getSettings(req, res) {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: settings.get()
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve settings'
+    });
+  }
+}
+
+// PUT /api/settings - Update one or more settings
+function updateSettings(req, res) {
+  let updated;
+
+  try {
+    updated = settings.update(req.body);
+  } catch (error) {
+    // Validation errors list every invalid field
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: updated,
+    message: '⚙️ Settings saved'
+  });
+}
+
+// DELETE /api/settings - Restore defaults
+function resetSettings(req, res) {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: settings.reset(),
+      message: '⚙️ Settings reset to defaults'
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reset settings'
+    });
+  }
+}
@@ -1,7 +1,20 @@
 // pages/api/tasks.js
 // Task management API endpoint for poke-brain
 
-import { db } from '../../lib/db';
+import { db, TASK_VIEWS, DELETE_CASCADE, TASK_SORT_KEYS, TASK_FILTER_FIELDS } from '../../lib/db';
+import { neverForget } from '../../lib/never-forget';
+import { parseTimeExpression } from '../../lib/time-parser';
+import { isValidTimezone } from '../../lib/timezone';
+import { settings } from '../../lib/settings';
+import { parseListQuery, sortItems, paginate } from '../../lib/list-query';
+import { compileFilterQuery, applyFilterQuery } from '../../lib/filter-query';
+
+// Day-only dates: due at the end of the working day, startable from the morning
+const DUE_DEFAULT_TIME = { hour: 17, minute: 0 };
+const START_DEFAULT_TIME = { hour: 9, minute: 0 };
+
+// Estimates are capped at one week of minutes
+const MAX_ESTIMATED_MINUTES = 7 * 24 * 60;
 
 export default function handler(req, res) {
   const { method } = req;
@@ -21,27 +34,144 @@ export default function handler(req, res) {
   }
 }
 
-// GET /api/tasks - Retrieve all tasks
+// GET /api/tasks - Retrieve all tasks (or one task's revision history with ?id=ID&history=true)
+// ?view=today|overdue|week|no-date returns open tasks in work order
+// ?format=tree nests subtasks under their parents, ?format=flat adds depth info
+// ?ready=true keeps only open tasks that are not blocked and can already be started
+// ?priority=high, ?completed=false, ?tag=work are answered from secondary indexes
+// ?q=priority:high AND (due<7d OR blocked) AND NOT completed filters with the query language (see lib/filter-query.js)
+//   - quote multi-word dates: due<"next friday"
+// Lists are paginated when ?limit or ?cursor is passed; ?sort=priority,-createdAt, ?fields=title,dueDate
 function getTasks(req, res) {
   try {
-    const { priority, completed } = req.query;
-    let tasks = db.getTasks();
+    const { priority, completed, tag, id, history, view, timezone, parentId, format, ready, q } = req.query;
 
-    // Filter by priority if specified
-    if (priority) {
-      tasks = tasks.filter(task => task.priority === priority);
+    if (format !== undefined && !['tree', 'flat'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format - must be: tree, flat'
+      });
     }
 
-    // Filter by completion status if specified
-    if (completed !== undefined) {
-      const isCompleted = completed === 'true';
-      tasks = tasks.filter(task => task.completed === isCompleted);
+    if (history === 'true') {
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Task ID is required for history'
+        });
+      }
+
+      const revisions = db.getTaskHistory(id);
+      if (revisions.length === 0 && !db.getTaskById(id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Task not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        count: revisions.length,
+        data: revisions
+      });
     }
 
+    // Pagination, sorting and field selection (see lib/list-query.js)
+    const listQuery = parseListQuery(req.query, TASK_SORT_KEYS);
+    if (listQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: listQuery.error
+      });
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone - use an IANA name like Europe/Berlin'
+      });
+    }
+    const zone = timezone || settings.get().timezone;
+
+    // Filter query (see lib/filter-query.js)
+    let filter = null;
+    if (q !== undefined) {
+      filter = compileFilterQuery(q, TASK_FILTER_FIELDS, { timezone: zone });
+      if (filter.error) {
+        return res.status(400).json({
+          success: false,
+          error: filter.error
+        });
+      }
+    }
+
+    let tasks;
+
+    if (view !== undefined) {
+      if (!Object.values(TASK_VIEWS).includes(view)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid view - must be: ${Object.values(TASK_VIEWS).join(', ')}`
+        });
+      }
+
+      tasks = db.getTaskView(view, { timezone: zone });
+
+      // Views are already narrowed down - filter them in memory
+      if (priority) {
+        tasks = tasks.filter(task => task.priority === priority);
+      }
+      if (completed !== undefined) {
+        tasks = tasks.filter(task => task.completed === (completed === 'true'));
+      }
+      if (tag) {
+        tasks = tasks.filter(task => (task.tags || []).some(t => t.toLowerCase() === String(tag).toLowerCase()));
+      }
+    } else {
+      // Priority, completion status and tag come straight from the indexes
+      tasks = db.findTasks({
+        priority: priority || undefined,
+        completed: completed !== undefined ? completed === 'true' : undefined,
+        tag: tag || undefined
+      });
+    }
+
+    // Ready to do - nothing to wait for
+    if (ready === 'true') {
+      const now = new Date();
+      tasks = tasks.filter(task =>
+        !task.completed && !task.blocked && (!task.startDate || new Date(task.startDate) <= now)
+      );
+    }
+
+    // Direct subtasks of a task ('null' = top-level tasks only)
+    if (parentId !== undefined) {
+      const parent = parentId === 'null' ? null : parentId;
+      tasks = tasks.filter(task => (task.parentId || null) === parent);
+    }
+
+    if (filter) {
+      tasks = applyFilterQuery(tasks, filter);
+    }
+
+    // Sort before building trees so siblings follow the requested order too
+    tasks = sortItems(tasks, listQuery, TASK_SORT_KEYS);
+
+    if (format === 'tree') {
+      tasks = db.getTaskTree(tasks);
+    } else if (format === 'flat') {
+      tasks = db.getFlattenedTasks(tasks);
+    }
+
+    // Trees are paginated by top-level task
+    const page = paginate(tasks, listQuery);
+
     return res.status(200).json({
       success: true,
-      count: tasks.length,
-      data: tasks
+      count: page.data.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      data: page.data
     });
   } catch (error) {
     return res.status(500).json({
@@ -71,15 +201,52 @@ function createTask(req, res) {
       });
     }
 
+    const tags = parseTags(req.body.tags);
+    if (tags.error) {
+      return res.status(400).json({
+        success: false,
+        error: tags.error
+      });
+    }
+
+    const { parentId, blockedBy } = req.body;
+    if (parentId && !db.getTaskById(parentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Parent task not found'
+      });
+    }
+
+    const blockerError = blockedBy !== undefined && db.validateBlockers(null, blockedBy);
+    if (blockerError) {
+      return res.status(400).json({
+        success: false,
+        error: blockerError
+      });
+    }
+
+    const schedule = parseSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        error: schedule.error
+      });
+    }
+
     const task = db.createTask({
       title: title.trim(),
       description: description?.trim() || '',
-      priority
+      priority,
+      tags: tags.tags || [],
+      parentId: parentId || null,
+      blockedBy: blockedBy ? [...new Set(blockedBy)] : [],
+      ...schedule.updates
     });
 
     return res.status(201).json({
       success: true,
-      data: task
+      data: task,
+      parsed: schedule.parsed
     });
   } catch (error) {
     return res.status(500).json({
@@ -89,10 +256,10 @@ function createTask(req, res) {
   }
 }
 
-// PUT /api/tasks - Update a task
+// PUT /api/tasks - Update a task (or run an action: { id, action: 'undo' | 'promote' })
 function updateTask(req, res) {
   try {
-    const { id, title, description, priority, completed } = req.body;
+    const { id, title, description, priority, completed, parentId, blockedBy, action } = req.body;
 
     if (!id) {
       return res.status(400).json({
@@ -101,6 +268,14 @@ function updateTask(req, res) {
       });
     }
 
+    if (action === 'promote') {
+      return promoteTask(req, res);
+    }
+
+    if (action !== undefined) {
+      return undoTaskChange(req, res, action);
+    }
+
     const updates = {};
     if (title !== undefined) updates.title = title.trim();
     if (description !== undefined) updates.description = description.trim();
@@ -114,19 +289,83 @@ function updateTask(req, res) {
       updates.priority = priority;
     }
     if (completed !== undefined) updates.completed = Boolean(completed);
+    if (req.body.tags !== undefined) {
+      const tags = parseTags(req.body.tags);
+      if (tags.error) {
+        return res.status(400).json({
+          success: false,
+          error: tags.error
+        });
+      }
+      updates.tags = tags.tags;
+    }
 
-    const task = db.updateTask(id, updates);
+    const existing = db.getTaskById(id);
 
-    if (!task) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         error: 'Task not found'
       });
     }
 
+    // A parent's completion follows its subtasks
+    if (updates.completed !== undefined && updates.completed !== existing.completed) {
+      const completionError = db.validateCompletion(id, updates.completed);
+      if (completionError) {
+        return res.status(400).json({
+          success: false,
+          error: completionError
+        });
+      }
+    }
+
+    // Move under another task (null = make it a top-level task)
+    if (parentId !== undefined) {
+      if (parentId !== null && !db.getTaskById(parentId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Parent task not found'
+        });
+      }
+
+      if (db.wouldCreateCycle(id, parentId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'A task cannot be moved under itself or one of its subtasks'
+        });
+      }
+
+      updates.parentId = parentId;
+    }
+
+    // Replace the tasks this one is blocked by
+    if (blockedBy !== undefined) {
+      const blockerError = db.validateBlockers(id, blockedBy);
+      if (blockerError) {
+        return res.status(400).json({
+          success: false,
+          error: blockerError
+        });
+      }
+
+      updates.blockedBy = [...new Set(blockedBy)];
+    }
+
+    const schedule = parseSchedule(req.body, existing);
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        error: schedule.error
+      });
+    }
+
+    const task = db.updateTask(id, { ...updates, ...schedule.updates });
+
     return res.status(200).json({
       success: true,
-      data: task
+      data: task,
+      parsed: schedule.parsed
     });
   } catch (error) {
     return res.status(500).json({
@@ -136,10 +375,76 @@ function updateTask(req, res) {
   }
 }
 
-// DELETE /api/tasks - Delete a task
+// PUT /api/tasks { id, action: 'undo' } - Revert the most recent change
+function undoTaskChange(req, res, action) {
+  if (action !== 'undo') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid action - must be: undo, promote'
+    });
+  }
+
+  let result;
+  try {
+    result = db.undoTaskChange(req.body.id);
+  } catch (error) {
+    // Nothing left to undo
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: result.task,
+    undone: result.revision,
+    message: `↩️ Undid ${result.revision.action}`
+  });
+}
+
+// PUT /api/tasks { id, action: 'promote', importance? } - Move the task into Never Forget
+// It keeps its ID, revision history and attached reminders; demote it back via PUT /api/never-forget
+function promoteTask(req, res) {
+  const { id, importance } = req.body;
+
+  if (!db.getTaskById(id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  let task;
+  try {
+    task = neverForget.promoteTask(id, { importance });
+  } catch (error) {
+    // Completed task or invalid importance
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: task,
+    message: '🚨 Promoted to Never Forget - history and reminders came along'
+  });
+}
+
+// DELETE /api/tasks - Move a task to the trash
+// ?cascade=delete (default) trashes its subtasks too, ?cascade=promote moves them up a level
 function deleteTask(req, res) {
   try {
-    const { id } = req.query;
+    const { id, cascade = DELETE_CASCADE.delete } = req.query;
 
     if (!id) {
       return res.status(400).json({
@@ -148,9 +453,16 @@ function deleteTask(req, res) {
       });
     }
 
-    const deleted = db.deleteTask(id);
+    if (!Object.values(DELETE_CASCADE).includes(cascade)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid cascade - must be: ${Object.values(DELETE_CASCADE).join(', ')}`
+      });
+    }
+
+    const entry = db.deleteTask(id, { cascade });
 
-    if (!deleted) {
+    if (!entry) {
       return res.status(404).json({
         success: false,
         error: 'Task not found'
@@ -159,7 +471,8 @@ function deleteTask(req, res) {
 
     return res.status(200).json({
       success: true,
-      message: 'Task deleted successfully'
+      data: entry,
+      message: getDeleteMessage(cascade, entry.cascaded.length)
     });
   } catch (error) {
     return res.status(500).json({
@@ -167,4 +480,92 @@ function deleteTask(req, res) {
       error: 'Failed to delete task'
     });
   }
-}
\ No newline at end of file
+}
+
+// Helper function to describe what a delete did to the task and its subtasks
+function getDeleteMessage(cascade, subtaskCount) {
+  if (subtaskCount === 0) {
+    return 'Task moved to trash - restore it via /api/trash';
+  }
+
+  return cascade === DELETE_CASCADE.promote
+    ? `Task moved to trash - its ${subtaskCount} subtask(s) moved up a level`
+    : `Task and ${subtaskCount} subtask(s) moved to trash - restoring the task restores them too`;
+}
+
+// Helper function to validate tags: trimmed, non-empty strings, duplicates dropped (case-insensitive)
+// Returns { tags } (undefined if not given) or { error }
+function parseTags(tags) {
+  if (tags === undefined) return {};
+
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+    return { error: 'tags must be an array of non-empty strings' };
+  }
+
+  const unique = new Map();
+  for (const tag of tags.map(t => t.trim())) {
+    if (!unique.has(tag.toLowerCase())) unique.set(tag.toLowerCase(), tag);
+  }
+  return { tags: [...unique.values()] };
+}
+
+// Helper function to validate and resolve dueDate, startDate and estimatedMinutes
+// Dates accept ISO strings or natural language ("friday", "end of week"); null clears a field.
+// Returns { updates, parsed } or { error }
+function parseSchedule(body, existing = {}) {
+  const { dueDate, startDate, estimatedMinutes, timezone } = body;
+  const updates = {};
+  const parsed = {};
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return { error: 'Invalid timezone - use an IANA name like Europe/Berlin' };
+  }
+
+  const dates = [
+    ['dueDate', dueDate, DUE_DEFAULT_TIME],
+    ['startDate', startDate, START_DEFAULT_TIME]
+  ];
+
+  for (const [field, value, defaultTime] of dates) {
+    if (value === undefined) continue;
+
+    if (value === null || value === '') {
+      updates[field] = null;
+      continue;
+    }
+
+    try {
+      const result = parseTimeExpression(String(value), {
+        timezone: timezone || settings.get().timezone,
+        defaultTime
+      });
+      updates[field] = result.iso;
+      parsed[field] = {
+        input: result.input,
+        [field]: result.iso,
+        timezone: result.timezone,
+        interpretation: result.interpretation,
+        relative: result.relative
+      };
+    } catch (error) {
+      return { error: `Invalid ${field}: ${error.message}` };
+    }
+  }
+
+  if (estimatedMinutes !== undefined) {
+    if (estimatedMinutes !== null &&
+        (!Number.isInteger(estimatedMinutes) || estimatedMinutes < 1 || estimatedMinutes > MAX_ESTIMATED_MINUTES)) {
+      return { error: `estimatedMinutes must be a whole number between 1 and ${MAX_ESTIMATED_MINUTES}` };
+    }
+    updates.estimatedMinutes = estimatedMinutes;
+  }
+
+  // A task cannot be due before it can be started
+  const due = updates.dueDate !== undefined ? updates.dueDate : existing.dueDate;
+  const start = updates.startDate !== undefined ? updates.startDate : existing.startDate;
+  if (due && start && new Date(start) > new Date(due)) {
+    return { error: 'startDate must not be after dueDate' };
+  }
+
+  return { updates, parsed: Object.keys(parsed).length > 0 ? parsed : null };
+}
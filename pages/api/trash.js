@@ -0,0 +1,166 @@
+// pages/api/trash.js
+// Trash and archive API endpoint for poke-brain
+// Deleted items wait here until they are restored or purged
+
+import { trash, BINS, TRASHABLE_COLLECTIONS } from '../../lib/trash';
+import { COLLECTIONS } from '../../lib/storage';
+import { reminderScheduler } from '../../lib/reminder-scheduler';
+import { db } from '../../lib/db';
+
+export default function handler(req, res) {
+  const { method } = req;
+
+  switch (method) {
+    case 'GET':
+      return getTrash(req, res);
+    case 'PUT':
+      return updateTrash(req, res);
+    case 'DELETE':
+      return purgeTrash(req, res);
+    default:
+      res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+      return res.status(405).json({ error: `Method ${method} Not Allowed` });
+  }
+}
+
+// GET /api/trash - List trashed (or archived) items
+// Query: bin=trash|archive, collection=tasks|reminders|criticalTasks, stats=true
+function getTrash(req, res) {
+  try {
+    const { bin = BINS.trash, collection, stats } = req.query;
+
+    if (stats === 'true') {
+      return res.status(200).json({
+        success: true,
+        data: trash.getStats()
+      });
+    }
+
+    if (!Object.values(BINS).includes(bin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bin must be trash or archive'
+      });
+    }
+
+    if (collection && !TRASHABLE_COLLECTIONS.includes(collection)) {
+      return res.status(400).json({
+        success: false,
+        error: `Collection must be one of: ${TRASHABLE_COLLECTIONS.join(', ')}`
+      });
+    }
+
+    const entries = trash.list(bin, { collection });
+
+    return res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve trash'
+    });
+  }
+}
+
+// PUT /api/trash - Restore an item ({ id, action: 'restore' })
+function updateTrash(req, res) {
+  try {
+    const { id, action } = req.body;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Item ID is required'
+      });
+    }
+
+    if (action !== 'restore') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid action - must be: restore'
+      });
+    }
+
+    let restored;
+    try {
+      restored = trash.restore(id);
+    } catch (error) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found in trash or archive'
+      });
+    }
+
+    // Restored reminders go back on the schedule
+    if (restored.collection === COLLECTIONS.reminders) {
+      reminderScheduler.schedule(restored.item);
+    }
+
+    // A restored subtask counts towards its parent's completion again
+    if (restored.collection === COLLECTIONS.tasks) {
+      db.rollUpCompletion(restored.item.parentId);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: restored,
+      message: restored.cascaded.length > 0
+        ? `♻️ Item restored with ${restored.cascaded.length} subtask(s)`
+        : '♻️ Item restored'
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to restore item'
+    });
+  }
+}
+
+// DELETE /api/trash - Purge an item permanently (?id=ID) or empty the trash (?empty=true)
+function purgeTrash(req, res) {
+  try {
+    const { id, empty } = req.query;
+
+    if (empty === 'true') {
+      const count = trash.emptyTrash();
+      return res.status(200).json({
+        success: true,
+        message: `🗑️ Permanently deleted ${count} item(s)`
+      });
+    }
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Item ID is required'
+      });
+    }
+
+    if (!trash.purge(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found in trash or archive'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Item permanently deleted'
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete item'
+    });
+  }
+}
@@ -0,0 +1,13 @@
+// vitest.config.mjs
+// Behavior tests for the lib/ modules (`npm test`) - they live in __tests__/
+
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    include: ['__tests__/**/*.test.js'],
+    environment: 'node',
+    // Keep the shared storage in memory - journal tests use their own temp directories
+    env: { POKE_BRAIN_PERSIST: 'false' }
+  }
+});